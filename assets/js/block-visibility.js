@@ -1,14 +1,24 @@
 /* jshint esversion: 11 */
 
 /**
- * Restrictly™ Block Visibility (Core Blocks Only).
+ * Restrictly™ Block Visibility.
  *
- * Adds block-level visibility controls to core Gutenberg blocks.
+ * Adds block-level visibility controls to Gutenberg blocks.
  * Navigation blocks are handled separately.
  *
- * Free version intentionally ignores:
- * - WooCommerce blocks.
- * - Third-party plugin blocks.
+ * Supported blocks follow Settings → Restrictly → Block Visibility
+ * (localized into `window.RestrictlySettings`):
+ * - `allowedNamespaces` lists namespaces that get the panel (default: core).
+ * - `disabledBlocks` lists individual blocks denied within those namespaces.
+ *
+ * Blocks can also be scheduled with `restrictlyStart` / `restrictlyEnd`
+ * (local date strings, enforced in the site timezone by BlockVisibility).
+ *
+ * `restrictlyFallback` picks what unauthorized viewers see instead of a
+ * hidden block: nothing, a message, a login link or a synced pattern.
+ *
+ * When several blocks are selected, the panel edits all of them at once and
+ * shows a mixed state where their visibility or roles differ.
  *
  * @package Restrictly
  * @since 0.1.0
@@ -22,7 +32,19 @@
 	const { createHigherOrderComponent } = wp.compose;
 	const { createElement, Fragment } = wp.element;
 	const { InspectorControls } = wp.blockEditor;
-	const { PanelBody, SelectControl, CheckboxControl } = wp.components;
+	const { useSelect, useDispatch } = wp.data;
+	const {
+		PanelBody,
+		SelectControl,
+		CheckboxControl,
+		RadioControl,
+		TextareaControl,
+		BaseControl,
+		Button,
+		DateTimePicker,
+		Dropdown
+	} = wp.components;
+	const { dateI18n, getDate, getSettings: getDateSettings } = wp.date;
 
 	// Navigation blocks excluded from this script.
 	const RESTRICTLY_NAV_BLOCKS = [
@@ -33,62 +55,308 @@
 		'core/page-list-item'
 	];
 
+	// Block support settings localized by Base::restrictly_enqueue_block_editor_assets().
+	const supportSettings = window.RestrictlySettings || {};
+
+	/**
+	 * Determine whether a block should receive Restrictly visibility controls.
+	 *
+	 * @param {string} name Block name, including namespace.
+	 * @return {boolean} True if supported.
+	 */
+	const isSupportedBlock = (name) => {
+		if (!name || RESTRICTLY_NAV_BLOCKS.includes(name)) {
+			return false;
+		}
+
+		const namespaces = supportSettings.allowedNamespaces || ['core'];
+		const disabled = supportSettings.disabledBlocks || [];
+
+		return namespaces.includes(name.split('/')[0]) && !disabled.includes(name);
+	};
+
 	// ---------------------------------------------------------------------
-	// 1. Register Restrictly attributes (core blocks only).
+	// 1. Register Restrictly attributes (supported blocks only).
 	// ---------------------------------------------------------------------
 	addFilter(
 		'blocks.registerBlockType',
 		'restrictly/add-visibility-attributes',
 		(settings, name) => {
-			// Ignore non-core blocks.
-			if (!name || !name.startsWith('core/')) {
-				return settings;
-			}
-
-			// Ignore navigation blocks.
-			if (RESTRICTLY_NAV_BLOCKS.includes(name)) {
+			// Ignore unsupported and navigation blocks.
+			if (!isSupportedBlock(name)) {
 				return settings;
 			}
 
-			settings.attributes = Object.assign(settings.attributes || {}, {
-				restrictlyVisibility: {
-					type: 'string',
-					default: 'everyone'
+			// Copied, as block types are processed again when a condition is registered later.
+			settings.attributes = Object.assign(
+				{},
+				settings.attributes,
+				{
+					restrictlyVisibility: {
+						type: 'string',
+						default: 'everyone'
+					},
+					restrictlyRoles: {
+						type: 'array',
+						default: []
+					},
+					restrictlyRoleMode: {
+						type: 'string',
+						default: 'include'
+					},
+					restrictlyCapability: {
+						type: 'string',
+						default: ''
+					},
+					restrictlyFallback: {
+						type: 'string',
+						default: 'none'
+					},
+					restrictlyFallbackMessage: {
+						type: 'string',
+						default: ''
+					},
+					restrictlyFallbackPattern: {
+						type: 'number',
+						default: 0
+					},
+					restrictlyStart: {
+						type: 'string',
+						default: ''
+					},
+					restrictlyEnd: {
+						type: 'string',
+						default: ''
+					}
 				},
-				restrictlyRoles: {
-					type: 'array',
-					default: []
-				}
-			});
+				// Attributes required by custom visibility conditions.
+				window.restrictly.getConditionAttributes('block')
+			);
 
 			return settings;
 		}
 	);
 
 	// ---------------------------------------------------------------------
-	// 2. Inspector controls (sidebar UI).
+	// 2. Inspector controls (sidebar UI) and toolbar dropdown.
 	// ---------------------------------------------------------------------
+
+	/**
+	 * Render a date/time picker for one end of the block schedule.
+	 *
+	 * @param {Object}   props               Control props.
+	 * @param {string}   props.label         Control label.
+	 * @param {string}   props.value         Local date string, or '' when unset.
+	 * @param {Function} props.onChange      Receives the new date string ('' to clear).
+	 * @return {Object} React element.
+	 */
+	const ScheduleControl = ({ label, value, onChange }) => {
+		const dateSettings = getDateSettings();
+		const is12Hour = /a/i.test(dateSettings.formats.time);
+
+		return createElement(
+			BaseControl,
+			{ label, __nextHasNoMarginBottom: true },
+			createElement(Dropdown, {
+				popoverProps: { placement: 'left-start' },
+				renderToggle: ({ isOpen, onToggle }) =>
+					createElement(
+						Button,
+						{
+							variant: 'secondary',
+							onClick: onToggle,
+							'aria-expanded': isOpen,
+							style: { display: 'block', width: '100%' }
+						},
+						value ? dateI18n(dateSettings.formats.datetime, getDate(value)) : 'Not set'
+					),
+				renderContent: () =>
+					createElement(
+						'div',
+						{ style: { padding: '8px' } },
+						createElement(DateTimePicker, {
+							currentDate: value || null,
+							onChange: (date) => onChange(date || ''),
+							is12Hour
+						}),
+						value &&
+							createElement(
+								Button,
+								{ variant: 'link', isDestructive: true, onClick: () => onChange('') },
+								'Clear'
+							)
+					)
+			})
+		);
+	};
+
+	// What unauthorized viewers see in place of a hidden block.
+	const FALLBACK_OPTIONS = [
+		{ label: 'Nothing', value: 'none' },
+		{ label: 'A message', value: 'message' },
+		{ label: 'A login link', value: 'login' },
+		{ label: 'A synced pattern', value: 'pattern' }
+	];
+
+	/**
+	 * Render the fallback controls for blocks hidden from a viewer.
+	 *
+	 * @param {Object}   props               Control props.
+	 * @param {Object}   props.attributes    Block attributes.
+	 * @param {Function} props.setAttributes Block attribute setter.
+	 * @return {Object} React element.
+	 */
+	const FallbackControl = ({ attributes, setAttributes }) => {
+		const fallback = attributes.restrictlyFallback || 'none';
+		const patterns = useSelect(
+			(select) => {
+				if (fallback !== 'pattern') {
+					return null;
+				}
+
+				return select('core').getEntityRecords('postType', 'wp_block', {
+					per_page: -1,
+					status: 'publish'
+				});
+			},
+			[fallback]
+		);
+
+		let details = null;
+
+		if (fallback === 'message') {
+			details = createElement(TextareaControl, {
+				label: 'Message:',
+				value: attributes.restrictlyFallbackMessage || '',
+				onChange: (message) => setAttributes({ restrictlyFallbackMessage: message }),
+				help: 'Leave empty to use the default message from Restrictly settings.',
+				__nextHasNoMarginBottom: true
+			});
+		} else if (fallback === 'login') {
+			details = createElement(
+				'p',
+				{ className: 'components-base-control__help' },
+				'Logged-out visitors get a login link that returns them to this page. Logged-in users who still cannot see the block get the default message.'
+			);
+		} else if (fallback === 'pattern') {
+			const patternOptions = [{ label: 'Select a pattern', value: 0 }].concat(
+				(patterns || []).map((pattern) => ({
+					label: pattern.title.raw || `#${pattern.id}`,
+					value: pattern.id
+				}))
+			);
+
+			details = createElement(SelectControl, {
+				label: 'Pattern:',
+				value: attributes.restrictlyFallbackPattern || 0,
+				options: patternOptions,
+				onChange: (id) => setAttributes({ restrictlyFallbackPattern: parseInt(id, 10) || 0 }),
+				__next40pxDefaultSize: true,
+				__nextHasNoMarginBottom: true
+			});
+		}
+
+		return createElement(
+			Fragment,
+			null,
+			createElement(SelectControl, {
+				label: 'When hidden, show:',
+				value: fallback,
+				options: FALLBACK_OPTIONS,
+				onChange: (value) => setAttributes({ restrictlyFallback: value }),
+				__next40pxDefaultSize: true,
+				__nextHasNoMarginBottom: true
+			}),
+			details
+		);
+	};
+
+	/**
+	 * Get the supported blocks of a multi-selection led by a block.
+	 *
+	 * The block inspector shows the panel of the first selected block only, so
+	 * that block's panel edits the whole selection.
+	 *
+	 * @param {string} clientId Block client ID.
+	 * @return {Object[]} Selected blocks, or an empty array unless the block leads a multi-selection.
+	 */
+	const useMultiSelection = (clientId) => {
+		const selected = useSelect(
+			(select) => {
+				const store = select('core/block-editor');
+
+				if (!store.isFirstMultiSelectedBlock(clientId)) {
+					return null;
+				}
+
+				return store.getBlocksByClientId(store.getSelectedBlockClientIds());
+			},
+			[clientId]
+		);
+
+		if (!selected) {
+			return [];
+		}
+
+		const blocks = selected.filter((block) => block && isSupportedBlock(block.name));
+
+		return blocks.length > 1 ? blocks : [];
+	};
+
 	const withVisibilityControl = createHigherOrderComponent((BlockEdit) => {
 		return (props) => {
-			// Core blocks only.
-			if (!props.name || !props.name.startsWith('core/')) {
+			const selection = useMultiSelection(props.clientId);
+			const { updateBlockAttributes } = useDispatch('core/block-editor');
+
+			// Supported blocks only (navigation blocks are skipped).
+			if (!isSupportedBlock(props.name)) {
 				return createElement(BlockEdit, props);
 			}
 
-			// Skip navigation blocks.
-			if (RESTRICTLY_NAV_BLOCKS.includes(props.name)) {
-				return createElement(BlockEdit, props);
+			const { attributes } = props;
+			const clientIds = selection.map((block) => block.clientId);
+			let setAttributes = props.setAttributes;
+
+			// Changes made in the panel apply to every selected block.
+			if (selection.length) {
+				setAttributes = (changes) => updateBlockAttributes(clientIds, changes);
 			}
 
-			const { attributes, setAttributes } = props;
-			const visibility = attributes.restrictlyVisibility || 'everyone';
+			let visibility = attributes.restrictlyVisibility || 'everyone';
 			const selectedRoles = attributes.restrictlyRoles || [];
 
-			const baseOptions = [
-				{ label: 'Everyone', value: 'everyone' },
-				{ label: 'Logged-in Users', value: 'logged_in' },
-				{ label: 'Logged-out Users', value: 'logged_out' }
-			];
+			// Core conditions plus any registered through window.restrictly.
+			let baseOptions = window.restrictly.getVisibilityOptions('block');
+
+			if (
+				selection.some(
+					(block) => (block.attributes.restrictlyVisibility || 'everyone') !== visibility
+				)
+			) {
+				visibility = '';
+				baseOptions = [{ label: '— Mixed —', value: '' }].concat(baseOptions);
+			}
+
+			const condition = window.restrictly.getVisibilityCondition(visibility, 'block');
+
+			// Custom condition inspector controls.
+			let conditionControls = null;
+
+			if (condition && condition.edit) {
+				conditionControls = createElement(condition.edit, {
+					attributes: window.restrictly.getConditionBlockAttributes(condition, attributes),
+					setAttributes,
+					context: 'block'
+				});
+			}
+
+			const scheduleStart = attributes.restrictlyStart || '';
+			const scheduleEnd = attributes.restrictlyEnd || '';
+			let scheduleHelp = 'Times use the site timezone. Leave both empty to always show.';
+
+			if (scheduleStart && scheduleEnd && getDate(scheduleEnd) <= getDate(scheduleStart)) {
+				scheduleHelp = 'The end date must be after the start date, or the block never shows.';
+			}
 
 			let roleOptions = [];
 
@@ -98,50 +366,132 @@
 
 			let roleCheckboxes = null;
 
+			/**
+			 * Add or remove a role, on every selected block when several are.
+			 *
+			 * @param {string}  role    Role slug.
+			 * @param {boolean} checked Whether the role should be present.
+			 */
+			const toggleRole = (role, checked) => {
+				const updates = {};
+
+				(selection.length ? selection : [props]).forEach((block) => {
+					const updated = new Set(block.attributes.restrictlyRoles || []);
+					if (checked) {
+						updated.add(role);
+					} else {
+						updated.delete(role);
+					}
+					updates[block.clientId] = { restrictlyRoles: Array.from(updated) };
+				});
+
+				updateBlockAttributes(Object.keys(updates), updates, true);
+			};
+
 			if (visibility === 'logged_in' && roleOptions.length) {
-				roleCheckboxes = roleOptions.map((role) =>
-					createElement(CheckboxControl, {
+				roleCheckboxes = roleOptions.map((role) => {
+					let checked = selectedRoles.includes(role.value);
+					let indeterminate = false;
+
+					if (selection.length) {
+						const count = selection.filter((block) =>
+							(block.attributes.restrictlyRoles || []).includes(role.value)
+						).length;
+
+						checked = count === selection.length;
+						indeterminate = count > 0 && !checked;
+					}
+
+					return createElement(CheckboxControl, {
 						key: role.value,
 						label: role.label,
-						checked: selectedRoles.includes(role.value),
-						onChange: (checked) => {
-							const updated = new Set(selectedRoles);
-							if (checked) {
-								updated.add(role.value);
-							} else {
-								updated.delete(role.value);
-							}
-							setAttributes({ restrictlyRoles: Array.from(updated) });
-						},
+						checked,
+						indeterminate,
+						onChange: (value) => toggleRole(role.value, value),
 						__nextHasNoMarginBottom: true
+					});
+				});
+
+				roleCheckboxes.push(
+					createElement(RadioControl, {
+						key: 'restrictly-role-mode',
+						label: 'Apply roles as:',
+						selected: attributes.restrictlyRoleMode || 'include',
+						options: window.restrictly.ROLE_MODES,
+						onChange: (mode) => setAttributes({ restrictlyRoleMode: mode })
 					})
 				);
 			}
 
+			let capabilityControl = null;
+
+			if (visibility === 'logged_in') {
+				capabilityControl = createElement(window.restrictly.CapabilityControl, {
+					value: attributes.restrictlyCapability,
+					onChange: (capability) => setAttributes({ restrictlyCapability: capability })
+				});
+			}
+
+			let panelTitle = 'Restrictly Visibility';
+
+			if (selection.length) {
+				panelTitle = `Restrictly Visibility (${selection.length} blocks)`;
+			}
+
 			return createElement(
 				Fragment,
 				null,
 				createElement(BlockEdit, props),
+				createElement(window.restrictly.VisibilityToolbar, {
+					attributes,
+					setAttributes,
+					context: 'block',
+					roleOptions
+				}),
 				createElement(
 					InspectorControls,
 					null,
 					createElement(
 						PanelBody,
-						{ title: 'Restrictly Visibility', initialOpen: false },
+						{ title: panelTitle, initialOpen: false },
 						createElement(SelectControl, {
-							label: 'Show this block to:',
+							label: selection.length ? 'Show these blocks to:' : 'Show this block to:',
 							value: visibility,
 							options: baseOptions,
 							onChange: (val) => {
+								// “Mixed” only describes the selection.
+								if (!val) {
+									return;
+								}
+
 								setAttributes({ restrictlyVisibility: val });
 								if (val !== 'logged_in') {
-									setAttributes({ restrictlyRoles: [] });
+									setAttributes({
+										restrictlyRoles: [],
+										restrictlyRoleMode: 'include',
+										restrictlyCapability: ''
+									});
 								}
 							},
 							__next40pxDefaultSize: true,
 							__nextHasNoMarginBottom: true
 						}),
-						roleCheckboxes
+						roleCheckboxes,
+						capabilityControl,
+						conditionControls,
+						visibility !== 'everyone' &&
+							createElement(FallbackControl, { attributes, setAttributes }),
+						createElement(ScheduleControl, {
+							label: 'Show from:',
+							value: scheduleStart,
+							onChange: (date) => setAttributes({ restrictlyStart: date })
+						}),
+						createElement(ScheduleControl, {
+							label: 'Hide after:',
+							value: scheduleEnd,
+							onChange: (date) => setAttributes({ restrictlyEnd: date })
+						}),
+						createElement('p', { className: 'components-base-control__help' }, scheduleHelp)
 					)
 				)
 			);
@@ -183,13 +533,13 @@
 					return el(BlockListBlock, props);
 				}
 
-				// Core blocks only.
-				if (!props.name || !props.name.startsWith('core/')) {
+				// Skip navigation blocks.
+				if (!props.name || RESTRICTLY_NAV_BLOCKS.includes(props.name)) {
 					return el(BlockListBlock, props);
 				}
 
-				// Skip navigation blocks.
-				if (RESTRICTLY_NAV_BLOCKS.includes(props.name)) {
+				// Blocks without Restrictly attributes (unsupported blocks).
+				if (!props.attributes || !('restrictlyVisibility' in props.attributes)) {
 					return el(BlockListBlock, props);
 				}
 
@@ -209,18 +559,60 @@
 					short = 'Logged-in';
 					if (roles.length) {
 						const nice = roles.map((r) => r.replace(/^role_/, '')).join(', ');
-						label += ` (${nice})`;
-						short += ' • ' + nice;
+						const except = props.attributes.restrictlyRoleMode === 'exclude' ? 'except ' : '';
+						label += ` (${except}${nice})`;
+						short += ` • ${except}${nice}`;
+					}
+					if (props.attributes.restrictlyCapability) {
+						label += ` — requires ${props.attributes.restrictlyCapability}`;
+						short += ` • ${props.attributes.restrictlyCapability}`;
 					}
 				} else if (vis === 'logged_out') {
 					label = 'Visible to: Logged-out Users';
 					short = 'Logged-out';
+				} else if (vis !== 'everyone') {
+					// Custom condition registered through window.restrictly.
+					const condition = window.restrictly.getVisibilityCondition(vis, 'block');
+					short = condition ? condition.label : vis;
+					label = `Visible to: ${short}`;
 				}
 
+				// Schedule status is appended to the audience pill.
+				const schedule = window.restrictly.getScheduleStatus(props.attributes);
+
+				if (schedule) {
+					const dateFormat = wp.date.getSettings().formats.datetime;
+					const scheduleLabels = {
+						scheduled: 'Scheduled',
+						active: 'Scheduled',
+						expired: 'Expired'
+					};
+					let range = '';
+
+					if (props.attributes.restrictlyStart) {
+						range += ` from ${wp.date.dateI18n(dateFormat, wp.date.getDate(props.attributes.restrictlyStart))}`;
+					}
+
+					if (props.attributes.restrictlyEnd) {
+						range += ` until ${wp.date.dateI18n(dateFormat, wp.date.getDate(props.attributes.restrictlyEnd))}`;
+					}
+
+					if (vis === 'everyone') {
+						short = scheduleLabels[schedule];
+					} else {
+						short += ` • ${scheduleLabels[schedule]}`;
+					}
+
+					label += ` — ${scheduleLabels[schedule]}${range}`;
+				}
+
+				const restricted = vis !== 'everyone' || schedule !== '';
+
 				const cls =
 					(props.className || '') +
-					(vis !== 'everyone' ? ' strictly-has-restrictly-vis' : '') +
-					(vis ? ` strictly-vis-${vis}` : '');
+					(restricted ? ' strictly-has-restrictly-vis' : '') +
+					(vis ? ` strictly-vis-${vis}` : '') +
+					(schedule ? ` strictly-vis-${schedule}` : '');
 
 				const mergedWrapper = Object.assign({}, props.wrapperProps || {}, {
 					className: [(props.wrapperProps && props.wrapperProps.className) || '', cls]
@@ -237,8 +629,16 @@
 
 				setTimeout(() => {
 					const root = document.querySelector(`[data-block="${props.clientId}"]`);
-					if (root && vis !== 'everyone') {
+					if (root && restricted) {
 						root.classList.add('strictly-has-restrictly-vis', `strictly-vis-${vis}`);
+						root.classList.remove(
+							'strictly-vis-scheduled',
+							'strictly-vis-active',
+							'strictly-vis-expired'
+						);
+						if (schedule) {
+							root.classList.add(`strictly-vis-${schedule}`);
+						}
 						root.setAttribute('data-restrictly-short', short);
 						root.setAttribute('data-restrictly-label', label);
 						root.setAttribute('title', label);
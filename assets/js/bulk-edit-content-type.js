@@ -2,15 +2,21 @@
  * Bulk Edit functionality for Restrictly.
  *
  * Handles toggling enforcement action fields in the Bulk Edit panel and applies bulk changes.
+ * Changes are sent in chunks with a progress indicator; the Restrictly columns
+ * are then updated in place and a per-post summary is shown as an admin notice,
+ * with an Undo button that restores the snapshot taken before the edit.
  *
  * @package Restrictly
  *
  * @since 0.1.0
  */
 
-const { __ } = wp.i18n;
-
 jQuery(document).ready(function ($) {
+	const { __, _n, sprintf } = wp.i18n;
+
+	// Summary carried over the reload that saves core fields.
+	const SUMMARY_KEY = 'restrictlyBulkEditSummary';
+
 	/**
 	 * Toggle enforcement action fields for Bulk Edit.
 	 *
@@ -26,7 +32,8 @@ jQuery(document).ready(function ($) {
 			'#restrictly_custom_forward_url_container_bulkedit'
 		);
 
-		if (action === 'custom_message') {
+		// The teaser shows the message as its call to action.
+		if (action === 'custom_message' || action === 'teaser') {
 			$customMessageContainer.show();
 			$customForwardContainer.hide();
 		} else if (action === 'custom_url') {
@@ -58,7 +65,8 @@ jQuery(document).ready(function ($) {
 		if (loginStatus !== 'everyone') {
 			$enforcementContainer.show();
 
-			if (loginStatus === 'logged_in_users') {
+			// Roles can also be changed while keeping each post's login status.
+			if (loginStatus === 'logged_in_users' || loginStatus === '') {
 				$roleSelectionContainer.show();
 			} else {
 				$roleSelectionContainer.hide();
@@ -105,6 +113,27 @@ jQuery(document).ready(function ($) {
 		toggleEnforcementFields(action, container);
 	});
 
+	/**
+	 * Switch a "No Change" action to "Replace" once its value is edited.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on(
+		'change input',
+		'input[name="bulk_restrictly_page_access_by_role[]"], #bulk_restrictly_custom_message, #bulk_restrictly_custom_forward_url',
+		function () {
+			let $action = $('#bulk_restrictly_role_action');
+
+			if (this.id) {
+				$action = $('#' + this.id + '_action');
+			}
+
+			if (!$action.val()) {
+				$action.val('replace');
+			}
+		}
+	);
+
 	// Initialize the fields on page load - use the document ready event.
 	$(document).ready(function () {
 		// Hide custom message and URL containers by default.
@@ -112,8 +141,436 @@ jQuery(document).ready(function ($) {
 		$('#restrictly_custom_forward_url_container_bulkedit').hide();
 	});
 
+	// ==========================
+	// Chunked Bulk Edit
+	// ==========================
+
+	// Core Bulk Edit fields as serialized when the panel opened.
+	let initialCoreFields = null;
+
+	// Set while re-submitting the form for core Bulk Edit fields.
+	let submittingCoreFields = false;
+
+	/**
+	 * Serialize the core (non-Restrictly) Bulk Edit fields.
+	 *
+	 * @return {string} Serialized fields.
+	 *
+	 * @since 0.1.0
+	 */
+	function serializeCoreFields() {
+		return $('#bulk-edit')
+			.find(':input')
+			.filter(function () {
+				return this.name && this.name.indexOf('bulk_restrictly_') !== 0;
+			})
+			.serialize();
+	}
+
+	if (typeof inlineEditPost !== 'undefined') {
+		const wpSetBulk = inlineEditPost.setBulk;
+
+		inlineEditPost.setBulk = function () {
+			const result = wpSetBulk.apply(this, arguments);
+			initialCoreFields = serializeCoreFields();
+			return result;
+		};
+	}
+
+	/**
+	 * Collect the Restrictly fields of the Bulk Edit panel.
+	 *
+	 * Empty values mean "no change". Roles, the custom message and the
+	 * custom forward URL only apply with their matching `*_action` field.
+	 *
+	 * @return {Object} Request fields.
+	 *
+	 * @since 0.1.0
+	 */
+	function collectFields() {
+		let roles = [];
+		$('input[name="bulk_restrictly_page_access_by_role[]"]:checked').each(function () {
+			roles.push($(this).val());
+		});
+
+		const clearCapability = $('input[name="bulk_restrictly_clear_capability"]').is(':checked');
+
+		return {
+			restrictly_page_access_by_login_status:
+				$('select[name="bulk_restrictly_page_access_by_login_status"]').val() || '',
+			restrictly_role_action: $('select[name="bulk_restrictly_role_action"]').val() || '',
+			restrictly_page_access_by_role: roles.length ? roles : '',
+			restrictly_page_access_role_mode:
+				$('select[name="bulk_restrictly_page_access_role_mode"]').val() || '',
+			restrictly_page_access_capability:
+				$('input[name="bulk_restrictly_page_access_capability"]').val() || '',
+			restrictly_clear_capability: clearCapability ? 1 : '',
+			restrictly_enforcement_action:
+				$('select[name="bulk_restrictly_enforcement_action"]').val() || '',
+			restrictly_custom_message_action:
+				$('select[name="bulk_restrictly_custom_message_action"]').val() || '',
+			restrictly_custom_message: $('textarea[name="bulk_restrictly_custom_message"]').val() || '',
+			restrictly_custom_forward_url_action:
+				$('select[name="bulk_restrictly_custom_forward_url_action"]').val() || '',
+			restrictly_custom_forward_url:
+				$('input[name="bulk_restrictly_custom_forward_url"]').val() || '',
+			restrictly_custom_forward_post_id:
+				$('input[name="bulk_restrictly_custom_forward_post_id"]').val() || ''
+		};
+	}
+
+	/**
+	 * Get a post's title from its list table row.
+	 *
+	 * @param {number} postId Post ID.
+	 * @return {string} Row title, or "#ID".
+	 *
+	 * @since 0.1.0
+	 */
+	function getRowTitle(postId) {
+		return (
+			$('#post-' + postId)
+				.find('.row-title')
+				.first()
+				.text() || '#' + postId
+		);
+	}
+
+	/**
+	 * Show the progress indicator inside the Bulk Edit panel.
+	 *
+	 * @param {number} done  Posts processed so far.
+	 * @param {number} total Posts selected.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showProgress(done, total) {
+		let $progress = $('.restrictly-bulk-edit-progress');
+
+		if (!$progress.length) {
+			$progress = $(
+				'<div class="restrictly-bulk-edit-progress" role="status"><progress></progress> <span></span></div>'
+			).appendTo($('.restrictly-bulk-edit-panel > .inline-edit-col').first());
+		}
+
+		$progress.find('progress').attr({ max: total, value: done });
+		$progress
+			.find('span')
+			.text(sprintf(__('Updating %1$d of %2$d…', 'restrictly-wp'), done, total));
+	}
+
+	/**
+	 * Send the Restrictly fields in chunks, one request at a time.
+	 *
+	 * Every chunk after the first sends the operation ID returned by the
+	 * server, so the whole bulk edit is undone as one operation.
+	 *
+	 * @param {number[]} postIds Selected post IDs.
+	 * @param {Object}   fields  Restrictly fields.
+	 * @return {Promise<Object>} Per-post `results` and the undo `operationId`.
+	 *
+	 * @since 0.1.0
+	 */
+	function sendInChunks(postIds, fields) {
+		const chunkSize = parseInt(restrictlyAdmin.bulkEditChunkSize, 10) || 50;
+		const results = [];
+		let operationId = '';
+		let offset = 0;
+
+		return new Promise(function (resolve) {
+			/**
+			 * Mark every post of a chunk as failed.
+			 *
+			 * @param {number[]} chunk   Post IDs.
+			 * @param {string}   message Failure reason.
+			 */
+			function failChunk(chunk, message) {
+				chunk.forEach(function (postId) {
+					results.push({
+						id: postId,
+						title: getRowTitle(postId),
+						status: 'failed',
+						message: message
+					});
+				});
+			}
+
+			function next() {
+				showProgress(offset, postIds.length);
+
+				if (offset >= postIds.length) {
+					resolve({ results: results, operationId: operationId });
+					return;
+				}
+
+				const chunk = postIds.slice(offset, offset + chunkSize);
+				offset += chunk.length;
+
+				$.post(
+					restrictlyAdmin.ajaxUrl,
+					$.extend({}, fields, {
+						action: 'restrictly_bulk_edit',
+						post_ids: chunk,
+						restrictly_operation_id: operationId,
+						security: restrictlyAdmin.bulkEditNonce
+					})
+				)
+					.done(function (response) {
+						if (response.success) {
+							results.push.apply(results, response.data.results);
+							operationId = response.data.operation_id || operationId;
+						} else {
+							failChunk(chunk, (response.data && response.data.message) || '');
+						}
+					})
+					.fail(function (xhr) {
+						failChunk(chunk, xhr.statusText || __('Request failed.', 'restrictly-wp'));
+					})
+					.always(next);
+			}
+
+			next();
+		});
+	}
+
+	/**
+	 * Refresh the Restrictly columns of updated rows in place.
+	 *
+	 * The hidden `restrictly_hidden_*` elements are part of the column HTML,
+	 * so Quick Edit picks up the new values too.
+	 *
+	 * @param {Object[]} results Per-post results.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function updateRows(results) {
+		results.forEach(function (result) {
+			if (result.status !== 'updated' || !result.columns) {
+				return;
+			}
+
+			const $row = $('#post-' + result.id);
+
+			$.each(result.columns, function (column, html) {
+				$row.find('td.column-' + column).html(html);
+			});
+		});
+	}
+
+	/**
+	 * Show an admin notice above the list table, replacing the previous one.
+	 *
+	 * @param {string}   summary  Summary sentence.
+	 * @param {Object[]} problems Results of posts that were not changed.
+	 * @return {jQuery} The notice.
+	 *
+	 * @since 0.1.0
+	 */
+	function showNotice(summary, problems) {
+		const $notice = $('<div class="notice is-dismissible restrictly-bulk-edit-notice"></div>')
+			.addClass(problems.length ? 'notice-warning' : 'notice-success')
+			.append($('<p></p>').text(summary));
+
+		if (problems.length) {
+			const $list = $('<ul></ul>');
+
+			problems.forEach(function (result) {
+				$('<li></li>')
+					.append($('<strong></strong>').text(result.title))
+					.append(document.createTextNode(result.message ? ' — ' + result.message : ''))
+					.appendTo($list);
+			});
+
+			$notice.append($list);
+		}
+
+		$('.restrictly-bulk-edit-notice').remove();
+		$notice.insertAfter('.wp-header-end');
+
+		// Let core add the dismiss button.
+		$(document).trigger('wp-updates-notice-added');
+
+		return $notice;
+	}
+
+	/**
+	 * Split per-post results into updated posts and posts that were not changed.
+	 *
+	 * @param {Object[]} results Per-post results.
+	 * @return {Object} `updated` and `problems` lists.
+	 *
+	 * @since 0.1.0
+	 */
+	function splitResults(results) {
+		return {
+			updated: results.filter(function (result) {
+				return result.status === 'updated';
+			}),
+			problems: results.filter(function (result) {
+				return result.status !== 'updated';
+			})
+		};
+	}
+
+	/**
+	 * Undo a bulk edit and report the restored posts.
+	 *
+	 * @param {string} operationId Bulk edit operation ID.
+	 * @param {jQuery} $button     The Undo button.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function undoBulkEdit(operationId, $button) {
+		$button.prop('disabled', true);
+
+		$.post(restrictlyAdmin.ajaxUrl, {
+			action: 'restrictly_bulk_edit_undo',
+			operation_id: operationId,
+			security: restrictlyAdmin.bulkEditNonce
+		})
+			.done(function (response) {
+				if (!response.success) {
+					$button.prop('disabled', false);
+					showNotice(__('Restrictly: the bulk edit could not be undone.', 'restrictly-wp'), [
+						{ title: __('Undo', 'restrictly-wp'), message: response.data.message }
+					]);
+					return;
+				}
+
+				const split = splitResults(response.data.results);
+
+				updateRows(split.updated);
+				showNotice(
+					sprintf(
+						_n(
+							'Restrictly: bulk edit undone, %d item restored.',
+							'Restrictly: bulk edit undone, %d items restored.',
+							split.updated.length,
+							'restrictly-wp'
+						),
+						split.updated.length
+					),
+					split.problems
+				);
+			})
+			.fail(function (xhr) {
+				$button.prop('disabled', false);
+				showNotice(__('Restrictly: the bulk edit could not be undone.', 'restrictly-wp'), [
+					{
+						title: __('Undo', 'restrictly-wp'),
+						message: xhr.statusText || __('Request failed.', 'restrictly-wp')
+					}
+				]);
+			});
+	}
+
+	/**
+	 * Show the per-post result summary as an admin notice, with an Undo button.
+	 *
+	 * @param {Object[]} results     Per-post results.
+	 * @param {string}   operationId Bulk edit operation ID, if anything was updated.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showSummary(results, operationId) {
+		const split = splitResults(results);
+
+		let summary = sprintf(
+			_n(
+				'Restrictly: %d item updated.',
+				'Restrictly: %d items updated.',
+				split.updated.length,
+				'restrictly-wp'
+			),
+			split.updated.length
+		);
+
+		if (split.problems.length) {
+			summary +=
+				' ' +
+				sprintf(
+					_n(
+						'%d item was not updated:',
+						'%d items were not updated:',
+						split.problems.length,
+						'restrictly-wp'
+					),
+					split.problems.length
+				);
+		}
+
+		const $notice = showNotice(summary, split.problems);
+
+		if (operationId && split.updated.length) {
+			$('<button type="button" class="button button-small restrictly-bulk-edit-undo"></button>')
+				.text(__('Undo', 'restrictly-wp'))
+				.on('click', function () {
+					undoBulkEdit(operationId, $(this));
+				})
+				.appendTo($notice.find('p').first().append(' '));
+		}
+	}
+
+	/**
+	 * Keep the summary for the next page load, so it survives the core reload.
+	 *
+	 * @param {Object[]} results     Per-post results.
+	 * @param {string}   operationId Bulk edit operation ID.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function keepSummary(results, operationId) {
+		if (!window.sessionStorage) {
+			return;
+		}
+
+		window.sessionStorage.setItem(
+			SUMMARY_KEY,
+			JSON.stringify({
+				// The reloaded list renders the columns itself.
+				results: results.map(function (result) {
+					return $.extend({}, result, { columns: null });
+				}),
+				operationId: operationId
+			})
+		);
+	}
+
+	/**
+	 * Show a summary kept over the core reload, once.
+	 *
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function restoreSummary() {
+		const kept = window.sessionStorage && window.sessionStorage.getItem(SUMMARY_KEY);
+
+		if (!kept) {
+			return;
+		}
+
+		window.sessionStorage.removeItem(SUMMARY_KEY);
+
+		const summary = JSON.parse(kept);
+
+		showSummary(summary.results, summary.operationId);
+	}
+
+	restoreSummary();
+
 	// Bulk Edit: When the "Bulk Edit" button is clicked.
-	$('#bulk_edit').on('click', function () {
+	$('#bulk_edit').on('click', function (event) {
+		// Second pass: let core save its own fields normally.
+		if (submittingCoreFields) {
+			return;
+		}
+
 		let postIds = [];
 
 		// Collect the selected post IDs.
@@ -124,38 +581,46 @@ jQuery(document).ready(function ($) {
 			}
 		});
 
-		if (postIds.length === 0) {
+		const fields = collectFields();
+		// Values that only apply through their `*_action` field.
+		const actionValues = [
+			'restrictly_page_access_by_role',
+			'restrictly_custom_message',
+			'restrictly_custom_forward_url',
+			'restrictly_custom_forward_post_id'
+		];
+		const hasChanges = Object.keys(fields).some(function (key) {
+			return actionValues.indexOf(key) === -1 && fields[key] !== '';
+		});
+
+		// Nothing for Restrictly to do: leave the submit to core.
+		if (postIds.length === 0 || !hasChanges) {
 			return;
 		}
 
-		// Gather selected field values.
-		let loginStatus = $('select[name="bulk_restrictly_page_access_by_login_status"]').val();
-		let roles = [];
-		$('input[name="bulk_restrictly_page_access_by_role[]"]:checked').each(function () {
-			roles.push($(this).val());
-		});
-		let enforcementAction = $('select[name="bulk_restrictly_enforcement_action"]').val();
-		let customMessage = $('textarea[name="bulk_restrictly_custom_message"]').val();
-		let customForwardUrl = $('input[name="bulk_restrictly_custom_forward_url"]').val();
-
-		let data = {
-			action: 'restrictly_bulk_edit',
-			post_ids: postIds,
-			restrictly_page_access_by_login_status: loginStatus || '',
-			restrictly_page_access_by_role: roles.length ? roles : '',
-			restrictly_enforcement_action: enforcementAction || '',
-			restrictly_custom_message: customMessage || '',
-			restrictly_custom_forward_url: customForwardUrl || '',
-			security: restrictlyAdmin.bulkEditNonce
-		};
+		event.preventDefault();
 
-		// Send the bulk edit data via AJAX.
-		$.post(restrictlyAdmin.ajaxUrl, data, function (response) {
-			if (response.success) {
-				location.reload();
-			} else {
-				alert(__('Bulk edit failed:', 'restrictly-wp') + ' ' + response.data.message);
+		const $button = $(this);
+		const coreChanged = initialCoreFields !== null && serializeCoreFields() !== initialCoreFields;
+
+		$button.prop('disabled', true);
+
+		sendInChunks(postIds, fields).then(function (response) {
+			$button.prop('disabled', false);
+			$('.restrictly-bulk-edit-progress').remove();
+
+			updateRows(response.results);
+			showSummary(response.results, response.operationId);
+
+			// Core fields changed too: submit them the usual way (reloads the list).
+			if (coreChanged) {
+				keepSummary(response.results, response.operationId);
+				submittingCoreFields = true;
+				$button.trigger('click');
+				return;
 			}
+
+			inlineEditPost.revert();
 		});
 	});
 });
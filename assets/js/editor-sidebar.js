@@ -0,0 +1,453 @@
+/* jshint esversion: 11 */
+
+/**
+ * Restrictly™ Editor Sidebar.
+ *
+ * Adds a “Restrictly™” sidebar to the block editor (⋮ More menu → Restrictly™)
+ * with:
+ * - A “Preview as” control. Choosing a viewer (logged-out visitor, any
+ *   logged-in user, or a specific role) dims — or collapses — every block
+ *   that viewer could not see on the front end.
+ * - A “Restricted blocks” list of every block (nested ones included) whose
+ *   visibility is not “Everyone”, filterable by audience and role. Clicking
+ *   an entry selects the block.
+ * - “Copy visibility” / “Paste visibility” items in the block toolbar's
+ *   ⋮ menu.
+ *
+ * Decisions come from `window.restrictly.canView()` (visibility-api.js), which
+ * mirrors Enforcement::can_view_by_visibility(). The preview is editor-only
+ * state and is never saved.
+ *
+ * @package Restrictly
+ *
+ * @since   0.1.0
+ */
+
+(function (wp) {
+	// Prevent duplicate execution.
+	if (window.RestrictlyEditorSidebarLoaded) return;
+	window.RestrictlyEditorSidebarLoaded = true;
+
+	const { registerPlugin } = wp.plugins;
+	const { addFilter } = wp.hooks;
+	const { createHigherOrderComponent } = wp.compose;
+	const { createElement: el, Fragment, useState } = wp.element;
+	const { PanelBody, SelectControl, ToggleControl, Button, MenuItem } = wp.components;
+	const { BlockSettingsMenuControls } = wp.blockEditor;
+	const { createReduxStore, register, useSelect, useDispatch } = wp.data;
+
+	// WordPress 6.6+ exposes the sidebar slots on wp.editor (post + site editor).
+	const { PluginSidebar, PluginSidebarMoreMenuItem } =
+		wp.editor && wp.editor.PluginSidebar ? wp.editor : wp.editPost || {};
+
+	if (!PluginSidebar) return;
+
+	const STORE_NAME = 'restrictly/editor';
+	const SIDEBAR_NAME = 'restrictly-editor-sidebar';
+
+	// ─────────────────────────────────────────────
+	// Editor-only state for the “Preview as” mode.
+	// ─────────────────────────────────────────────
+	const DEFAULT_STATE = {
+		previewViewer: '',
+		collapseHidden: false,
+		copiedVisibility: null
+	};
+
+	register(
+		createReduxStore(STORE_NAME, {
+			reducer(state, action) {
+				state = state || DEFAULT_STATE;
+
+				if (action.type === 'SET_PREVIEW_VIEWER') {
+					return { ...state, previewViewer: action.viewer };
+				}
+
+				if (action.type === 'SET_COLLAPSE_HIDDEN') {
+					return { ...state, collapseHidden: action.collapse };
+				}
+
+				if (action.type === 'SET_COPIED_VISIBILITY') {
+					return { ...state, copiedVisibility: action.rules };
+				}
+
+				return state;
+			},
+			actions: {
+				setPreviewViewer: (viewer) => ({ type: 'SET_PREVIEW_VIEWER', viewer }),
+				setCollapseHidden: (collapse) => ({ type: 'SET_COLLAPSE_HIDDEN', collapse }),
+				setCopiedVisibility: (rules) => ({ type: 'SET_COPIED_VISIBILITY', rules })
+			},
+			selectors: {
+				getPreviewViewer: (state) => state.previewViewer,
+				isCollapseHidden: (state) => state.collapseHidden,
+				getCopiedVisibility: (state) => state.copiedVisibility
+			}
+		})
+	);
+
+	/**
+	 * Convert a “Preview as” option value into a viewer for canView().
+	 *
+	 * @param {string} value '', 'logged_out', 'logged_in' or 'role:<slug>'.
+	 * @return {Object|null} Viewer ({ loggedIn, roles }), or null when preview is off.
+	 */
+	const toViewer = (value) => {
+		if (!value) {
+			return null;
+		}
+
+		if (value === 'logged_out') {
+			return { loggedIn: false, roles: [] };
+		}
+
+		if (value.startsWith('role:')) {
+			return { loggedIn: true, roles: [value.slice(5)] };
+		}
+
+		return { loggedIn: true, roles: [] };
+	};
+
+	/**
+	 * Collect every block (inner blocks included) with a non-“everyone” visibility.
+	 *
+	 * @param {Object[]} blocks Block tree from core/block-editor.
+	 * @param {Object[]} found  Accumulator.
+	 * @return {Object[]} Restricted blocks, in document order.
+	 */
+	const collectRestrictedBlocks = (blocks, found = []) => {
+		blocks.forEach((block) => {
+			const visibility = block.attributes && block.attributes.restrictlyVisibility;
+
+			if (visibility && visibility !== 'everyone') {
+				found.push(block);
+			}
+
+			if (block.innerBlocks && block.innerBlocks.length) {
+				collectRestrictedBlocks(block.innerBlocks, found);
+			}
+		});
+
+		return found;
+	};
+
+	/**
+	 * Describe who can see a block, e.g. “Logged-in Users (editor, author)”.
+	 *
+	 * @param {Object} attributes Block attributes.
+	 * @return {string} Audience description.
+	 */
+	const describeAudience = (attributes) => {
+		const visibility = attributes.restrictlyVisibility;
+		const roles = attributes.restrictlyRoles || [];
+
+		if (visibility.startsWith('role_')) {
+			return `Role: ${visibility.slice(5)}`;
+		}
+
+		const condition = window.restrictly.getVisibilityCondition(visibility, 'block');
+		const label = condition ? condition.label : visibility;
+
+		let capability = '';
+
+		if (attributes.restrictlyCapability) {
+			capability = ` • requires ${attributes.restrictlyCapability}`;
+		}
+
+		if (!roles.length) {
+			return label + capability;
+		}
+
+		const except = attributes.restrictlyRoleMode === 'exclude' ? 'except ' : '';
+
+		return `${label} (${except}${roles.join(', ')})${capability}`;
+	};
+
+	// ─────────────────────────────────────────────
+	// Restricted blocks panel.
+	// ─────────────────────────────────────────────
+	const RestrictedBlocksPanel = ({ roleOptions }) => {
+		const [audience, setAudience] = useState('');
+		const [role, setRole] = useState('');
+		const blocks = useSelect((select) => select('core/block-editor').getBlocks(), []);
+		const { selectBlock } = useDispatch('core/block-editor');
+
+		const restricted = collectRestrictedBlocks(blocks);
+		const shown = restricted.filter((block) => {
+			const attributes = block.attributes;
+
+			if (audience && attributes.restrictlyVisibility !== audience) {
+				return false;
+			}
+
+			if (role) {
+				const roles = attributes.restrictlyRoles || [];
+
+				return roles.includes(role) || attributes.restrictlyVisibility === `role_${role}`;
+			}
+
+			return true;
+		});
+
+		const audienceOptions = [{ label: 'All audiences', value: '' }].concat(
+			window.restrictly
+				.getVisibilityOptions('block')
+				.filter((option) => option.value !== 'everyone')
+		);
+		const roleFilterOptions = [{ label: 'All roles', value: '' }].concat(roleOptions);
+
+		let list = el('p', null, 'No restricted blocks match.');
+
+		if (!restricted.length) {
+			list = el('p', null, 'Every block on this page is visible to everyone.');
+		} else if (shown.length) {
+			list = el(
+				'ul',
+				{ className: 'restrictly-restricted-blocks' },
+				shown.map((block) => {
+					const blockType = wp.blocks.getBlockType(block.name);
+
+					return el(
+						'li',
+						{ key: block.clientId },
+						el(
+							Button,
+							{
+								variant: 'tertiary',
+								onClick: () => selectBlock(block.clientId)
+							},
+							el('strong', null, blockType ? blockType.title : block.name),
+							el('span', null, describeAudience(block.attributes))
+						)
+					);
+				})
+			);
+		}
+
+		return el(
+			PanelBody,
+			{ title: `Restricted blocks (${restricted.length})`, initialOpen: true },
+			el(SelectControl, {
+				label: 'Audience',
+				value: audience,
+				options: audienceOptions,
+				onChange: setAudience,
+				__next40pxDefaultSize: true,
+				__nextHasNoMarginBottom: true
+			}),
+			roleOptions.length > 0 &&
+				el(SelectControl, {
+					label: 'Role',
+					value: role,
+					options: roleFilterOptions,
+					onChange: setRole,
+					__next40pxDefaultSize: true,
+					__nextHasNoMarginBottom: true
+				}),
+			list
+		);
+	};
+
+	/**
+	 * Whether a block carries Restrictly visibility attributes.
+	 *
+	 * @param {Object|null} block Block from core/block-editor.
+	 * @return {boolean} True for supported content and navigation blocks.
+	 */
+	const hasVisibility = (block) =>
+		!!block && !!block.attributes && 'restrictlyVisibility' in block.attributes;
+
+	/**
+	 * Attribute keys that make up a block's visibility rules.
+	 *
+	 * @return {string[]} Attribute names.
+	 */
+	const getRuleKeys = () =>
+		[
+			'restrictlyVisibility',
+			'restrictlyRoles',
+			'restrictlyRoleMode',
+			'restrictlyCapability',
+			'restrictlyFallback',
+			'restrictlyFallbackMessage',
+			'restrictlyFallbackPattern',
+			'restrictlyStart',
+			'restrictlyEnd'
+		].concat(Object.keys(window.restrictly.getConditionAttributes('block')));
+
+	// ─────────────────────────────────────────────
+	// Copy / paste visibility (block toolbar ⋮ menu).
+	// ─────────────────────────────────────────────
+	const VisibilityMenuItems = ({ selectedClientIds, onClose }) => {
+		const { selected, copied } = useSelect(
+			(select) => ({
+				selected: select('core/block-editor').getBlocksByClientId(selectedClientIds),
+				copied: select(STORE_NAME).getCopiedVisibility()
+			}),
+			[selectedClientIds]
+		);
+		const blocks = selected.filter(hasVisibility);
+		const { updateBlockAttributes } = useDispatch('core/block-editor');
+		const { setCopiedVisibility } = useDispatch(STORE_NAME);
+
+		if (!blocks.length) {
+			return null;
+		}
+
+		const copy = () => {
+			const rules = {};
+
+			getRuleKeys().forEach((key) => {
+				if (key in blocks[0].attributes) {
+					rules[key] = blocks[0].attributes[key];
+				}
+			});
+
+			setCopiedVisibility(rules);
+			onClose();
+		};
+
+		const paste = () => {
+			const updates = {};
+
+			// Only write attributes each target block actually registers.
+			blocks.forEach((block) => {
+				updates[block.clientId] = {};
+
+				Object.keys(copied).forEach((key) => {
+					if (key in block.attributes) {
+						updates[block.clientId][key] = copied[key];
+					}
+				});
+			});
+
+			updateBlockAttributes(
+				blocks.map((block) => block.clientId),
+				updates,
+				true
+			);
+			onClose();
+		};
+
+		return el(
+			Fragment,
+			null,
+			blocks.length === 1 && el(MenuItem, { icon: 'visibility', onClick: copy }, 'Copy visibility'),
+			copied &&
+				el(
+					MenuItem,
+					{ icon: 'clipboard', onClick: paste },
+					blocks.length > 1 ? `Paste visibility to ${blocks.length} blocks` : 'Paste visibility'
+				)
+		);
+	};
+
+	// ─────────────────────────────────────────────
+	// Sidebar UI.
+	// ─────────────────────────────────────────────
+	const RestrictlyEditorSidebar = () => {
+		const { viewer, collapse } = useSelect(
+			(select) => ({
+				viewer: select(STORE_NAME).getPreviewViewer(),
+				collapse: select(STORE_NAME).isCollapseHidden()
+			}),
+			[]
+		);
+		const { setPreviewViewer, setCollapseHidden } = useDispatch(STORE_NAME);
+
+		let roleOptions = [];
+
+		if (window.RestrictlyBlockData && Array.isArray(window.RestrictlyBlockData.roles)) {
+			roleOptions = window.RestrictlyBlockData.roles;
+		}
+
+		const viewerOptions = [
+			{ label: 'Off (show all blocks)', value: '' },
+			{ label: 'Logged-out Visitor', value: 'logged_out' },
+			{ label: 'Any Logged-in User', value: 'logged_in' }
+		].concat(
+			roleOptions.map((role) => ({ label: `Role: ${role.label}`, value: `role:${role.value}` }))
+		);
+
+		return el(
+			Fragment,
+			null,
+			el(PluginSidebarMoreMenuItem, { target: SIDEBAR_NAME, icon: 'visibility' }, 'Restrictly™'),
+			el(
+				PluginSidebar,
+				{
+					name: SIDEBAR_NAME,
+					title: 'Restrictly™',
+					icon: 'visibility'
+				},
+				el(
+					PanelBody,
+					{ title: 'Preview as', initialOpen: true },
+					el(SelectControl, {
+						label: 'Viewer',
+						value: viewer,
+						options: viewerOptions,
+						onChange: setPreviewViewer,
+						help: 'Blocks this viewer could not see are dimmed. Nothing is saved.',
+						__next40pxDefaultSize: true,
+						__nextHasNoMarginBottom: true
+					}),
+					el(ToggleControl, {
+						label: 'Collapse hidden blocks',
+						checked: collapse,
+						disabled: !viewer,
+						onChange: setCollapseHidden,
+						__nextHasNoMarginBottom: true
+					})
+				),
+				el(RestrictedBlocksPanel, { roleOptions })
+			),
+			el(BlockSettingsMenuControls, null, (props) => el(VisibilityMenuItems, props))
+		);
+	};
+
+	registerPlugin(SIDEBAR_NAME, {
+		render: RestrictlyEditorSidebar,
+		icon: 'visibility'
+	});
+
+	// ─────────────────────────────────────────────
+	// Dim / collapse blocks hidden from the previewed viewer.
+	// ─────────────────────────────────────────────
+	const withRestrictlyPreview = createHigherOrderComponent(
+		(BlockListBlock) => (props) => {
+			const { viewer, collapse } = useSelect(
+				(select) => ({
+					viewer: select(STORE_NAME).getPreviewViewer(),
+					collapse: select(STORE_NAME).isCollapseHidden()
+				}),
+				[]
+			);
+
+			// Preview off, or block without Restrictly attributes.
+			if (!viewer || !props.attributes || !('restrictlyVisibility' in props.attributes)) {
+				return el(BlockListBlock, props);
+			}
+
+			if (window.restrictly.canView(props.attributes, toViewer(viewer))) {
+				return el(BlockListBlock, props);
+			}
+
+			const className = [
+				(props.wrapperProps && props.wrapperProps.className) || '',
+				'restrictly-preview-hidden',
+				collapse ? 'is-restrictly-collapsed' : ''
+			]
+				.join(' ')
+				.trim();
+
+			return el(BlockListBlock, {
+				...props,
+				wrapperProps: Object.assign({}, props.wrapperProps || {}, { className })
+			});
+		},
+		'withRestrictlyPreview'
+	);
+
+	addFilter('editor.BlockListBlock', 'restrictly/preview-as', withRestrictlyPreview);
+})(window.wp);
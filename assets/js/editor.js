@@ -7,6 +7,8 @@
  * and a sidebar panel that controls who can see each navigation item.
  *
  * Mirrors block-visibility.js but is scoped to navigation-related blocks only.
+ * Items linking to restricted content are compared with that content's access
+ * settings (looked up through the REST API) and flagged when they disagree.
  * Dynamically lists available roles from RoleHelper::get_available_roles()
  * (localized into `window.RestrictlyBlockData.roles`).
  *
@@ -24,7 +26,9 @@
 	const { createHigherOrderComponent } = wp.compose;
 	const { createElement, Fragment } = wp.element;
 	const { InspectorControls } = wp.blockEditor || wp.editor;
-	const { PanelBody, SelectControl, CheckboxControl } = wp.components;
+	const { PanelBody, SelectControl, CheckboxControl, RadioControl, ToggleControl, Button, Notice } =
+		wp.components;
+	const { useSelect } = wp.data;
 
 	// Targeted navigation block types.
 	const TARGET_BLOCKS = [
@@ -35,6 +39,29 @@
 		'core/page-list-item'
 	];
 
+	// Blocks that can inherit the visibility of their submenu.
+	const CASCADE_BLOCKS = ['core/navigation-link', 'core/navigation-submenu'];
+
+	// Attributes controlling the cascade itself, never inherited by children.
+	const CASCADE_FLAGS = ['restrictlyCascade', 'restrictlyOverride'];
+
+	// Content types carrying Restrictly page access meta.
+	const CONTENT_TYPES =
+		(window.RestrictlyBlockData && window.RestrictlyBlockData.contentTypes) || [];
+
+	// Page login status => navigation visibility.
+	const PAGE_VISIBILITY = {
+		everyone: 'everyone',
+		logged_in_users: 'logged_in',
+		logged_out_users: 'logged_out'
+	};
+
+	const VISIBILITY_LABELS = {
+		everyone: 'Everyone',
+		logged_in: 'Logged-in Users',
+		logged_out: 'Logged-out Users'
+	};
+
 	// Prevent duplicate execution.
 	if (window.RestrictlyNavigationScriptLoaded) return;
 	window.RestrictlyNavigationScriptLoaded = true;
@@ -47,9 +74,24 @@
 		'restrictly/navigation/add-visibility-attributes',
 		(settings, name) => {
 			if (TARGET_BLOCKS.includes(name)) {
-				settings.attributes = Object.assign(settings.attributes || {}, {
-					restrictlyVisibility: { type: 'string', default: 'everyone' },
-					restrictlyRoles: { type: 'array', default: [] }
+				settings.attributes = Object.assign(
+					{},
+					settings.attributes,
+					{
+						restrictlyVisibility: { type: 'string', default: 'everyone' },
+						restrictlyRoles: { type: 'array', default: [] },
+						restrictlyRoleMode: { type: 'string', default: 'include' },
+						restrictlyCapability: { type: 'string', default: '' }
+					},
+					// Attributes required by custom visibility conditions.
+					window.restrictly.getConditionAttributes('navigation')
+				);
+			}
+
+			if (CASCADE_BLOCKS.includes(name)) {
+				Object.assign(settings.attributes, {
+					restrictlyCascade: { type: 'boolean', default: false },
+					restrictlyOverride: { type: 'boolean', default: false }
 				});
 			}
 			return settings;
@@ -57,23 +99,288 @@
 	);
 
 	// ─────────────────────────────────────────────
-	// Inject Restrictly Visibility panel into Inspector sidebar.
+	// Compare navigation items with the content they link to.
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Get the post a navigation item links to.
+	 *
+	 * @param {string} name       Block name.
+	 * @param {Object} attributes Block attributes.
+	 * @return {Object|null} Linked post ({ type, id }), or null for custom URLs.
+	 */
+	const getLinkedPost = (name, attributes) => {
+		if (name === 'core/page-list-item') {
+			return attributes.id ? { type: 'page', id: attributes.id } : null;
+		}
+
+		if (
+			(name === 'core/navigation-link' || name === 'core/navigation-submenu') &&
+			attributes.kind === 'post-type' &&
+			attributes.type &&
+			attributes.id
+		) {
+			return { type: attributes.type, id: attributes.id };
+		}
+
+		return null;
+	};
+
+	/**
+	 * Describe a role rule, e.g. “allows only: editor, author”.
+	 *
+	 * @param {string[]} roles Role slugs.
+	 * @param {string}   mode  Role mode: include or exclude.
+	 * @return {string} Description.
+	 */
+	const describeRoles = (roles, mode) =>
+		(mode === 'exclude' ? 'excludes: ' : 'allows only: ') + roles.join(', ');
+
+	/**
+	 * List the differences between a navigation item's visibility and the
+	 * access settings of the post it links to.
+	 *
+	 * @param {Object} attributes Block attributes.
+	 * @param {Object} meta       Linked post meta from the REST API.
+	 * @return {string[]} Warnings; empty when both match.
+	 */
+	const getAccessMismatches = (attributes, meta) => {
+		let visibility = attributes.restrictlyVisibility || 'everyone';
+		let roles = attributes.restrictlyRoles || [];
+		let roleMode = attributes.restrictlyRoleMode || 'include';
+
+		// Legacy single-role visibility.
+		if (visibility.startsWith('role_')) {
+			roles = [visibility.slice(5)];
+			roleMode = 'include';
+			visibility = 'logged_in';
+		}
+
+		// Custom conditions have no page equivalent to compare with.
+		if (!VISIBILITY_LABELS[visibility]) {
+			return [];
+		}
+
+		const pageVisibility =
+			PAGE_VISIBILITY[meta.restrictly_page_access_by_login_status] || 'everyone';
+		const warnings = [];
+
+		if (visibility !== pageVisibility) {
+			if (pageVisibility === 'everyone') {
+				warnings.push(
+					'Visibility mismatch. The linked page is open to everyone, but this link is hidden from some visitors.'
+				);
+			} else {
+				warnings.push(
+					`Visibility mismatch. The linked page requires: ${VISIBILITY_LABELS[pageVisibility]}.`
+				);
+			}
+
+			return warnings;
+		}
+
+		if (visibility !== 'logged_in') {
+			return warnings;
+		}
+
+		const pageRoles = meta.restrictly_page_access_by_role || [];
+		const pageRoleMode = meta.restrictly_page_access_role_mode || 'include';
+		const pageCapability = meta.restrictly_page_access_capability || '';
+		const sameRoles =
+			roles.length === pageRoles.length && roles.every((role) => pageRoles.includes(role));
+
+		if (!sameRoles) {
+			if (!pageRoles.length) {
+				warnings.push('Role mismatch. The linked page has no role restrictions.');
+			} else {
+				warnings.push(`Role mismatch. The linked page ${describeRoles(pageRoles, pageRoleMode)}.`);
+			}
+		} else if (roles.length && roleMode !== pageRoleMode) {
+			warnings.push(`Role mismatch. The linked page ${describeRoles(pageRoles, pageRoleMode)}.`);
+		}
+
+		if ((attributes.restrictlyCapability || '') !== pageCapability) {
+			if (pageCapability) {
+				warnings.push(`Capability mismatch. The linked page requires: ${pageCapability}.`);
+			} else {
+				warnings.push('Capability mismatch. The linked page requires no capability.');
+			}
+		}
+
+		return warnings;
+	};
+
+	/**
+	 * Look up the linked post's Restrictly meta and compare it with the item.
+	 *
+	 * Records are fetched once through core-data and shared by every block
+	 * linking to the same post.
+	 *
+	 * @param {string} name       Block name.
+	 * @param {Object} attributes Block attributes.
+	 * @return {string[]} Mismatch warnings.
+	 */
+	const useAccessMismatches = (name, attributes) => {
+		const linked = TARGET_BLOCKS.includes(name) ? getLinkedPost(name, attributes) : null;
+		const type = linked ? linked.type : '';
+		const id = linked ? linked.id : 0;
+
+		const meta = useSelect(
+			(select) => {
+				if (!id || !CONTENT_TYPES.includes(type)) {
+					return null;
+				}
+
+				const record = select('core').getEntityRecord('postType', type, id, { _fields: 'id,meta' });
+
+				// The meta is left out for users who cannot edit the linked post.
+				if (!record || !record.meta || !('restrictly_page_access_by_login_status' in record.meta)) {
+					return null;
+				}
+
+				return record.meta;
+			},
+			[type, id]
+		);
+
+		return meta ? getAccessMismatches(attributes, meta) : [];
+	};
+
+	// ─────────────────────────────────────────────
+	// Cascade submenu visibility to child links.
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Extract the visibility rule from block attributes.
+	 *
+	 * Covers every Restrictly attribute (custom condition attributes included)
+	 * except the cascade flags.
+	 *
+	 * @param {Object} attributes Block attributes.
+	 * @return {Object} Rule attributes.
+	 */
+	const getVisibilityRule = (attributes) => {
+		const rule = {};
+
+		Object.keys(attributes).forEach((key) => {
+			if (key.startsWith('restrictly') && !CASCADE_FLAGS.includes(key)) {
+				rule[key] = attributes[key];
+			}
+		});
+
+		return rule;
+	};
+
+	/**
+	 * Get the visibility rule a block inherits from its closest cascading submenu.
+	 *
+	 * Mirrors FSENavigation::resolve_visibility_cascade(): a submenu passes on
+	 * the rule it inherits itself unless its own visibility was overridden.
+	 *
+	 * @param {Function} select   Data store selector.
+	 * @param {string}   clientId Block client ID.
+	 * @return {?Object} Inherited rule, or null when nothing is inherited.
+	 */
+	const getInheritedRule = (select, clientId) => {
+		const { getBlockParentsByBlockName, getBlockAttributes } = select('core/block-editor');
+		const sourceId = getBlockParentsByBlockName(clientId, 'core/navigation-submenu', true).find(
+			(parentId) => (getBlockAttributes(parentId) || {}).restrictlyCascade
+		);
+
+		if (!sourceId) {
+			return null;
+		}
+
+		const source = getBlockAttributes(sourceId);
+
+		return (
+			(!source.restrictlyOverride && getInheritedRule(select, sourceId)) ||
+			getVisibilityRule(source)
+		);
+	};
+
+	/**
+	 * Get the visibility rule a navigation block inherits from its submenu.
+	 *
+	 * The rule is only shown in the editor; it is applied when the menu renders
+	 * (see FSENavigation::filter_navigation_inner_blocks()), so child links are
+	 * never saved with a copy of it.
+	 *
+	 * @param {string} name     Block name.
+	 * @param {string} clientId Block client ID.
+	 * @return {?Object} Inherited rule, or null when nothing is inherited.
+	 */
+	const useInheritedRule = (name, clientId) => {
+		const ruleKey = useSelect(
+			(select) => {
+				if (!CASCADE_BLOCKS.includes(name)) {
+					return '';
+				}
+
+				const rule = getInheritedRule(select, clientId);
+
+				// Serialized, so the selector result stays stable between renders.
+				return rule ? JSON.stringify(rule) : '';
+			},
+			[name, clientId]
+		);
+
+		return ruleKey ? JSON.parse(ruleKey) : null;
+	};
+
+	/**
+	 * Get the attributes a navigation block renders with.
+	 *
+	 * @param {Object}  attributes    Block attributes.
+	 * @param {?Object} inheritedRule Rule inherited from the submenu, if any.
+	 * @return {Object} Attributes with the inherited rule applied.
+	 */
+	const getEffectiveAttributes = (attributes, inheritedRule) => {
+		if (!inheritedRule || attributes.restrictlyOverride) {
+			return attributes;
+		}
+
+		return { ...attributes, ...inheritedRule };
+	};
+
+	// ─────────────────────────────────────────────
+	// Inject Restrictly Visibility panel into Inspector sidebar and block toolbar.
 	// ─────────────────────────────────────────────
 	const withVisibilityControl = createHigherOrderComponent((BlockEdit) => {
 		return (props) => {
+			const inheritedRule = useInheritedRule(props.name, props.clientId);
+			const attributes = getEffectiveAttributes(props.attributes, inheritedRule);
+			const mismatches = useAccessMismatches(props.name, attributes);
+
 			if (!TARGET_BLOCKS.includes(props.name)) {
 				return createElement(BlockEdit, props);
 			}
 
-			const { attributes, setAttributes } = props;
+			const inherited = !!inheritedRule && !props.attributes.restrictlyOverride;
+
+			let setAttributes = props.setAttributes;
+
+			// Changing an inherited rule overrides it, starting from the inherited values.
+			if (inherited) {
+				setAttributes = (changes) =>
+					props.setAttributes({ ...inheritedRule, ...changes, restrictlyOverride: true });
+			}
 			const visibility = attributes.restrictlyVisibility || 'everyone';
 			const selectedRoles = attributes.restrictlyRoles || [];
 
-			const baseOptions = [
-				{ label: 'Everyone', value: 'everyone' },
-				{ label: 'Logged-in Users', value: 'logged_in' },
-				{ label: 'Logged-out Users', value: 'logged_out' }
-			];
+			// Core conditions plus any registered through window.restrictly.
+			const baseOptions = window.restrictly.getVisibilityOptions('navigation');
+			const condition = window.restrictly.getVisibilityCondition(visibility, 'navigation');
+
+			let conditionControls = null;
+
+			if (condition && condition.edit) {
+				conditionControls = createElement(condition.edit, {
+					attributes: window.restrictly.getConditionBlockAttributes(condition, attributes),
+					setAttributes,
+					context: 'navigation'
+				});
+			}
 
 			const hasRoleData =
 				window.RestrictlyBlockData && Array.isArray(window.RestrictlyBlockData.roles);
@@ -97,30 +404,107 @@
 						__nextHasNoMarginBottom: true
 					})
 				);
+
+				roleCheckboxes.push(
+					createElement(RadioControl, {
+						key: 'restrictly-role-mode',
+						label: 'Apply roles as:',
+						selected: attributes.restrictlyRoleMode || 'include',
+						options: window.restrictly.ROLE_MODES,
+						onChange: (mode) => setAttributes({ restrictlyRoleMode: mode })
+					})
+				);
+			}
+
+			let capabilityControl = null;
+
+			if (visibility === 'logged_in') {
+				capabilityControl = createElement(window.restrictly.CapabilityControl, {
+					value: attributes.restrictlyCapability,
+					onChange: (capability) => setAttributes({ restrictlyCapability: capability })
+				});
+			}
+
+			let cascadeControls = null;
+
+			if (inherited) {
+				cascadeControls = createElement(
+					'p',
+					{ className: 'restrictly-inherited-note' },
+					'Inherited from the parent submenu. Changing it here overrides the inherited visibility.'
+				);
+			} else if (inheritedRule) {
+				cascadeControls = createElement(
+					Button,
+					{
+						variant: 'secondary',
+						onClick: () => props.setAttributes({ restrictlyOverride: false })
+					},
+					'Inherit from the submenu again'
+				);
+			}
+
+			let cascadeToggle = null;
+
+			if (props.name === 'core/navigation-submenu') {
+				cascadeToggle = createElement(ToggleControl, {
+					label: 'Apply to child links',
+					help: 'Child links follow this submenu’s visibility until their own is changed.',
+					checked: !!attributes.restrictlyCascade,
+					onChange: (cascade) => props.setAttributes({ restrictlyCascade: cascade }),
+					__nextHasNoMarginBottom: true
+				});
+			}
+
+			let mismatchNotice = null;
+
+			if (mismatches.length) {
+				mismatchNotice = createElement(
+					Notice,
+					{ status: 'warning', isDismissible: false, className: 'restrictly-mismatch-notice' },
+					mismatches.map((warning) => createElement('p', { key: warning }, warning))
+				);
 			}
 
 			return createElement(
 				Fragment,
 				null,
 				createElement(BlockEdit, props),
+				createElement(window.restrictly.VisibilityToolbar, {
+					attributes,
+					setAttributes,
+					context: 'navigation',
+					roleOptions
+				}),
 				createElement(
 					InspectorControls,
 					{ key: 'restrictly-inspector-controls' },
+					mismatchNotice,
 					createElement(
 						PanelBody,
 						{ title: 'Restrictly Visibility', initialOpen: false },
+						cascadeControls,
 						createElement(SelectControl, {
 							label: 'Show this item to:',
 							value: visibility,
 							options: baseOptions,
 							onChange: (val) => {
 								setAttributes({ restrictlyVisibility: val });
-								if (val !== 'logged_in') setAttributes({ restrictlyRoles: [] });
+								if (val !== 'logged_in') {
+									setAttributes({
+										restrictlyRoles: [],
+										restrictlyRoleMode: 'include',
+										restrictlyCapability: ''
+									});
+								}
 							},
 							__next40pxDefaultSize: true,
 							__nextHasNoMarginBottom: true
 						}),
-						roleCheckboxes
+						roleCheckboxes,
+						capabilityControl,
+						conditionControls,
+						cascadeToggle
 					)
 				)
 			);
@@ -168,25 +552,30 @@
 			'restrictly/navigation/visibility-indicator',
 			(BlockListBlock) =>
 				function (props) {
-					// Skip if nav pills disabled or block not targeted.
-					if (
-						!window.RestrictlySettings ||
-						(!window.RestrictlySettings.showNavPills &&
-							props.name &&
-							props.name.startsWith('core/navigation'))
-					) {
+					const inheritedRule = useInheritedRule(props.name, props.clientId);
+					const attributes = getEffectiveAttributes(props.attributes, inheritedRule);
+					const mismatches = useAccessMismatches(props.name, attributes);
+
+					if (!TARGET_BLOCKS.includes(props.name)) {
 						return el(BlockListBlock, props);
 					}
 
-					if (!TARGET_BLOCKS.includes(props.name)) {
+					// Skip if nav pills disabled, unless the item needs attention.
+					if (
+						!mismatches.length &&
+						(!window.RestrictlySettings ||
+							(!window.RestrictlySettings.showNavPills &&
+								props.name &&
+								props.name.startsWith('core/navigation')))
+					) {
 						return el(BlockListBlock, props);
 					}
 
-					const vis = props.attributes.restrictlyVisibility || 'everyone';
+					const vis = attributes.restrictlyVisibility || 'everyone';
 					let roles = [];
 
-					if (Array.isArray(props.attributes.restrictlyRoles)) {
-						roles = props.attributes.restrictlyRoles;
+					if (Array.isArray(attributes.restrictlyRoles)) {
+						roles = attributes.restrictlyRoles;
 					}
 
 					let label = 'Visible to: Everyone';
@@ -197,8 +586,13 @@
 						short = 'Logged-in';
 						if (roles.length) {
 							const nice = roles.map((r) => r.replace(/^role_/, '')).join(', ');
-							label += ` (${nice})`;
-							short += ' • ' + nice;
+							const except = attributes.restrictlyRoleMode === 'exclude' ? 'except ' : '';
+							label += ` (${except}${nice})`;
+							short += ` • ${except}${nice}`;
+						}
+						if (attributes.restrictlyCapability) {
+							label += ` — requires ${attributes.restrictlyCapability}`;
+							short += ` • ${attributes.restrictlyCapability}`;
 						}
 					} else if (vis === 'logged_out') {
 						label = 'Visible to: Logged-out Users';
@@ -207,11 +601,28 @@
 						const one = vis.replace(/^role_/, '');
 						label = `Visible to: ${one}`;
 						short = one;
+					} else if (vis !== 'everyone') {
+						// Custom condition registered through window.restrictly.
+						const condition = window.restrictly.getVisibilityCondition(vis, 'navigation');
+						short = condition ? condition.label : vis;
+						label = `Visible to: ${short}`;
+					}
+
+					if (inheritedRule && !props.attributes.restrictlyOverride) {
+						label = `Inherited from the submenu — ${label}`;
+						short = `Inherited • ${short}`;
 					}
 
+					if (mismatches.length) {
+						label += ` — ${mismatches.join(' ')}`;
+						short = `Mismatch • ${short}`;
+					}
+
+					const flagged = vis !== 'everyone' || mismatches.length > 0;
 					const cls =
 						(props.className || '') +
-						(vis !== 'everyone' ? ' strictly-has-restrictly-vis' : '') +
+						(flagged ? ' strictly-has-restrictly-vis' : '') +
+						(mismatches.length ? ' restrictly-has-mismatch' : '') +
 						(vis ? ` strictly-vis-${vis}` : '');
 
 					const mergedWrapper = Object.assign({}, props.wrapperProps || {}, {
@@ -226,7 +637,10 @@
 
 					setTimeout(() => {
 						const root = document.querySelector(`[data-block="${props.clientId}"]`);
-						if (root && vis !== 'everyone') {
+						if (root) {
+							root.classList.toggle('restrictly-has-mismatch', mismatches.length > 0);
+						}
+						if (root && flagged) {
 							root.classList.add('strictly-has-restrictly-vis', `strictly-vis-${vis}`);
 							root.setAttribute('data-restrictly-short', short);
 							root.setAttribute('data-restrictly-label', label);
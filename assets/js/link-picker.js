@@ -0,0 +1,319 @@
+/**
+ * Restrictly Link Picker
+ *
+ * Adds a searchable page picker to the forward URL fields of the settings
+ * page, the meta box, Quick Edit and Bulk Edit.
+ * - Searches published content and stores the picked post ID, so the target survives slug changes.
+ * - Warns when a typed URL is not on this site.
+ * - Warns when the target is itself restricted for the visitors forwarded to it.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+jQuery(document).ready(function ($) {
+	const { __, sprintf } = wp.i18n;
+	const picker = window.restrictlyLinkPicker || {};
+	const homeUrl = new URL(picker.homeUrl || window.location.origin);
+	const checkTimers = {};
+	let nextPickerId = 0;
+
+	/**
+	 * Post a link picker request.
+	 *
+	 * @param {string} action AJAX action.
+	 * @param {Object} data   Extra request data.
+	 * @return {jqXHR} Request.
+	 *
+	 * @since 0.1.0
+	 */
+	function pickerRequest(action, data) {
+		return $.post(picker.ajaxUrl, $.extend({ action: action, security: picker.nonce }, data));
+	}
+
+	/**
+	 * Determine whether a URL points to this site.
+	 *
+	 * Root-relative paths are on-site; other URLs are resolved by the browser.
+	 *
+	 * @param {string} value URL.
+	 * @return {boolean} True for on-site URLs.
+	 *
+	 * @since 0.1.0
+	 */
+	function isOnSite(value) {
+		if (/^\/(?!\/)/.test(value)) {
+			return true;
+		}
+
+		const link = document.createElement('a');
+		link.href = value;
+
+		return link.host === homeUrl.host;
+	}
+
+	/**
+	 * Get the hidden post ID field paired with a forward URL field.
+	 *
+	 * @param {jQuery} $input Forward URL field.
+	 * @return {jQuery} Post ID field.
+	 *
+	 * @since 0.1.0
+	 */
+	function getPostIdField($input) {
+		return $input.nextAll('.restrictly-forward-post-id').first();
+	}
+
+	/**
+	 * Show a notice below a forward URL field.
+	 *
+	 * @param {jQuery} $input  Forward URL field.
+	 * @param {string} type    Notice type: info or warning. Empty removes the notice.
+	 * @param {string} message Message text.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showNotice($input, type, message) {
+		const $after = getPostIdField($input).length ? getPostIdField($input) : $input;
+		let $notice = $after.next('.restrictly-link-picker-notice');
+
+		if (!type) {
+			$notice.remove();
+			return;
+		}
+
+		if (!$notice.length) {
+			$notice = $('<p class="restrictly-link-picker-notice"></p>').insertAfter($after);
+		}
+
+		$notice.toggleClass('restrictly-link-picker-warning', type === 'warning').text(message);
+	}
+
+	/**
+	 * Read the page access rule of the form a forward URL field belongs to.
+	 *
+	 * The settings page and Bulk Edit have no single rule, so every visitor
+	 * is assumed to be forwarded.
+	 *
+	 * @param {jQuery} $input Forward URL field.
+	 * @return {Object} Rule fields, or an empty object when unknown.
+	 *
+	 * @since 0.1.0
+	 */
+	function getSourceRule($input) {
+		const $scope = $input.closest('.inline-edit-row, .restrictly-inside');
+		const $loginStatus = $scope.find('select[name="restrictly_page_access_by_login_status"]');
+
+		if (!$loginStatus.length) {
+			return {};
+		}
+
+		const roles = [];
+		$scope.find('input[name="restrictly_page_access_by_role[]"]:checked').each(function () {
+			roles.push($(this).val());
+		});
+
+		return {
+			login_status: $loginStatus.val() || '',
+			roles: roles,
+			role_mode: $scope.find('input[name="restrictly_page_access_role_mode"]:checked').val() || '',
+			capability: $scope.find('input[name="restrictly_page_access_capability"]').val() || ''
+		};
+	}
+
+	/**
+	 * Validate the target of a forward URL field and show the result.
+	 *
+	 * @param {jQuery} $input Forward URL field.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function checkTarget($input) {
+		const value = String($input.val()).trim();
+		const $postId = getPostIdField($input);
+
+		if (!value) {
+			$postId.val('');
+			showNotice($input, '', '');
+			return;
+		}
+
+		if (!$postId.val() && !isOnSite(value)) {
+			showNotice(
+				$input,
+				'warning',
+				__(
+					'This URL is not on this site. WordPress only redirects to this site, so visitors would not reach it.',
+					'restrictly-wp'
+				)
+			);
+			return;
+		}
+
+		pickerRequest(
+			'restrictly_link_check',
+			$.extend(
+				{
+					post_id: $postId.val() || 0,
+					url: value,
+					source_id: $input.attr('data-restrictly-source-id') || 0
+				},
+				getSourceRule($input)
+			)
+		).done(function (response) {
+			if (!response.success || String($input.val()).trim() !== value) {
+				return;
+			}
+
+			const target = response.data;
+
+			if (!target.post_id) {
+				showNotice($input, '', '');
+				return;
+			}
+
+			// Store internal targets by post ID, even when typed by hand.
+			$postId.val(target.post_id);
+
+			if (target.warning) {
+				showNotice($input, 'warning', target.warning);
+			} else {
+				showNotice(
+					$input,
+					'info',
+					/* translators: %s is the title of the forward target. */
+					sprintf(__('Forwards to “%s”.', 'restrictly-wp'), target.title)
+				);
+			}
+		});
+	}
+
+	/**
+	 * Check a forward URL field shortly after typing stops.
+	 *
+	 * @param {jQuery} $input Forward URL field.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function scheduleCheck($input) {
+		let id = $input.data('restrictlyPickerId');
+
+		if (!id) {
+			id = ++nextPickerId;
+			$input.data('restrictlyPickerId', id);
+		}
+
+		clearTimeout(checkTimers[id]);
+		checkTimers[id] = setTimeout(function () {
+			checkTarget($input);
+		}, 500);
+	}
+
+	/**
+	 * Attach the content search to a forward URL field.
+	 *
+	 * Quick Edit clones its fields, so an autocomplete copied from the
+	 * template row is replaced by one bound to the clone.
+	 *
+	 * @param {HTMLElement} input Forward URL field.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function initPicker(input) {
+		const $input = $(input);
+		const instance = $input.autocomplete('instance');
+
+		if (instance && instance.element[0] === input) {
+			return;
+		}
+
+		$input.removeData('ui-autocomplete').autocomplete({
+			minLength: 2,
+			source: function (request, respond) {
+				// Full URLs and paths are validated, not searched.
+				if (/^(https?:|\/)/i.test(request.term)) {
+					respond([]);
+					return;
+				}
+
+				pickerRequest('restrictly_link_search', { term: request.term })
+					.done(function (response) {
+						if (!response.success) {
+							respond([]);
+							return;
+						}
+
+						respond(
+							response.data.map(function (item) {
+								return {
+									label: item.title + ' (' + item.type + ')',
+									value: item.url,
+									id: item.id
+								};
+							})
+						);
+					})
+					.fail(function () {
+						respond([]);
+					});
+			},
+			select: function (event, ui) {
+				$input.val(ui.item.value);
+				getPostIdField($input).val(ui.item.id);
+				$input.trigger('change');
+				checkTarget($input);
+
+				return false;
+			}
+		});
+	}
+
+	/**
+	 * Attach the search when a forward URL field is first used.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on('focus', '.restrictly-link-picker', function () {
+		initPicker(this);
+	});
+
+	/**
+	 * A typed URL replaces the picked post until it is checked again.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on('input', '.restrictly-link-picker', function () {
+		getPostIdField($(this)).val('');
+		scheduleCheck($(this));
+	});
+
+	/**
+	 * Re-check the target when the rule it is checked against changes.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on(
+		'change',
+		'select[name="restrictly_page_access_by_login_status"], input[name="restrictly_page_access_by_role[]"], input[name="restrictly_page_access_role_mode"], input[name="restrictly_page_access_capability"]',
+		function () {
+			$(this)
+				.closest('.inline-edit-row, .restrictly-inside')
+				.find('.restrictly-link-picker')
+				.each(function () {
+					scheduleCheck($(this));
+				});
+		}
+	);
+
+	// Check the saved targets of the settings page and the meta box.
+	$('.restrictly-link-picker')
+		.not('.inline-edit-row .restrictly-link-picker')
+		.each(function () {
+			checkTarget($(this));
+		});
+});
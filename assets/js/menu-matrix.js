@@ -0,0 +1,319 @@
+/**
+ * Restrictly Menu Visibility Matrix
+ *
+ * Shows the items of a menu as rows against every audience as columns:
+ * logged-out visitors, each role and administrators.
+ * - Available on the Menus screen (above the menu structure) and the Settings page.
+ * - Lists classic menus and block theme Navigation menus.
+ * - Clicking a cell shows or hides the item for that audience.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+jQuery(document).ready(function ($) {
+	const { __, sprintf } = wp.i18n;
+	const matrix = window.restrictlyMenuMatrix || {};
+	const sources = Array.isArray(matrix.sources) ? matrix.sources : [];
+
+	/**
+	 * Post a matrix request.
+	 *
+	 * @param {string} action AJAX action.
+	 * @param {Object} data   Extra request data.
+	 * @return {jqXHR} Request.
+	 *
+	 * @since 0.1.0
+	 */
+	function matrixRequest(action, data) {
+		return $.post(matrix.ajaxUrl, $.extend({ action: action, security: matrix.nonce }, data));
+	}
+
+	/**
+	 * Build the menu picker, grouping classic menus and Navigation menus.
+	 *
+	 * @param {string} selected Selected source.
+	 * @return {jQuery} Select element.
+	 *
+	 * @since 0.1.0
+	 */
+	function buildSourcePicker(selected) {
+		const $select = $(
+			'<select class="restrictly-select restrictly-menu-matrix-source"></select>'
+		).attr('aria-label', __('Menu', 'restrictly-wp'));
+		const groups = {};
+
+		sources.forEach(function (source) {
+			if (!groups[source.group]) {
+				groups[source.group] = $('<optgroup></optgroup>')
+					.attr('label', source.group)
+					.appendTo($select);
+			}
+
+			$('<option></option>')
+				.val(source.value)
+				.text(source.label)
+				.prop('selected', source.value === selected)
+				.appendTo(groups[source.group]);
+		});
+
+		return $select;
+	}
+
+	/**
+	 * Show a message in place of the matrix table.
+	 *
+	 * @param {jQuery} $container Matrix container.
+	 * @param {string} type       Notice type: error or info.
+	 * @param {string} message    Message text.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showMessage($container, type, message) {
+		$container
+			.find('.restrictly-menu-matrix-body')
+			.empty()
+			.append(
+				$('<div class="notice inline"></div>')
+					.addClass('notice-' + type)
+					.append($('<p></p>').text(message))
+			);
+	}
+
+	/**
+	 * Render the matrix table.
+	 *
+	 * @param {jQuery} $container Matrix container.
+	 * @param {Object} data       Columns and rows.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function renderMatrix($container, data) {
+		const $body = $container.find('.restrictly-menu-matrix-body').empty();
+
+		if (!data.rows.length) {
+			showMessage($container, 'info', __('This menu has no items.', 'restrictly-wp'));
+			return;
+		}
+
+		const $table = $('<table class="widefat striped restrictly-menu-matrix-table"></table>');
+		const $head = $('<tr></tr>').append(
+			$('<th scope="col"></th>').text(__('Menu item', 'restrictly-wp'))
+		);
+
+		data.columns.forEach(function (column) {
+			const $th = $('<th scope="col"></th>').text(column.label);
+
+			if (column.locked) {
+				$th.attr('title', __('Always allowed by “Always Allow Administrators”.', 'restrictly-wp'));
+			}
+
+			$head.append($th);
+		});
+
+		const $rows = $('<tbody></tbody>');
+
+		data.rows.forEach(function (row) {
+			const $tr = $('<tr></tr>').append(
+				$('<th scope="row"></th>')
+					.text(row.label)
+					.css('padding-left', 10 + row.depth * 20 + 'px')
+			);
+
+			data.columns.forEach(function (column) {
+				const cell = row.cells[column.key];
+				let label;
+
+				if (cell.visible) {
+					/* translators: 1: menu item label, 2: audience. */
+					label = sprintf(__('%1$s is shown to %2$s', 'restrictly-wp'), row.label, column.label);
+				} else {
+					/* translators: 1: menu item label, 2: audience, 3: reason. */
+					label = sprintf(
+						__('%1$s is hidden from %2$s: %3$s', 'restrictly-wp'),
+						row.label,
+						column.label,
+						cell.reason
+					);
+				}
+
+				$('<td></td>')
+					.append(
+						$('<button type="button" class="button-link restrictly-menu-matrix-cell"></button>')
+							.toggleClass('is-visible', cell.visible)
+							.attr({
+								'data-item': row.id,
+								'data-audience': column.key,
+								'aria-label': label,
+								title: label
+							})
+							.prop('disabled', column.locked || !row.editable)
+							.append(
+								$('<span class="dashicons" aria-hidden="true"></span>').addClass(
+									cell.visible ? 'dashicons-visibility' : 'dashicons-hidden'
+								)
+							)
+					)
+					.appendTo($tr);
+			});
+
+			$rows.append($tr);
+		});
+
+		$body.append($table.append($('<thead></thead>').append($head), $rows));
+	}
+
+	/**
+	 * Load the matrix of the selected menu.
+	 *
+	 * @param {jQuery} $container Matrix container.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function loadMatrix($container) {
+		const $spinner = $container.find('.spinner').addClass('is-active');
+
+		$container.find('.restrictly-menu-matrix-error').text('');
+
+		matrixRequest('restrictly_menu_matrix', {
+			source: $container.find('.restrictly-menu-matrix-source').val()
+		})
+			.done(function (response) {
+				if (response.success) {
+					renderMatrix($container, response.data);
+				} else {
+					showMessage($container, 'error', response.data.message);
+				}
+			})
+			.fail(function () {
+				showMessage(
+					$container,
+					'error',
+					__('The request failed. Please try again.', 'restrictly-wp')
+				);
+			})
+			.always(function () {
+				$spinner.removeClass('is-active');
+			});
+	}
+
+	/**
+	 * Build the matrix inside a container.
+	 *
+	 * @param {jQuery} $container Matrix container.
+	 * @param {string} selected   Source to show first.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function initMatrix($container, selected) {
+		if (!sources.length) {
+			$container.append($('<p></p>').text(__('No menus found.', 'restrictly-wp')));
+			return;
+		}
+
+		$container.append(
+			$('<div class="restrictly-menu-matrix-toolbar"></div>').append(
+				buildSourcePicker(selected),
+				'<span class="spinner"></span>'
+			),
+			'<p class="restrictly-menu-matrix-error"></p>',
+			'<div class="restrictly-menu-matrix-body"></div>'
+		);
+
+		loadMatrix($container);
+	}
+
+	/**
+	 * Reload the matrix when another menu is picked.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on('change', '.restrictly-menu-matrix-source', function () {
+		loadMatrix($(this).closest('.restrictly-menu-matrix'));
+	});
+
+	/**
+	 * Show or hide an item for an audience.
+	 *
+	 * @since 0.1.0
+	 */
+	$(document).on('click', '.restrictly-menu-matrix-cell', function () {
+		const $cell = $(this);
+		const $container = $cell.closest('.restrictly-menu-matrix');
+		const $spinner = $container.find('.spinner').addClass('is-active');
+
+		$container.find('.restrictly-menu-matrix-cell').prop('disabled', true);
+
+		matrixRequest('restrictly_menu_matrix_toggle', {
+			source: $container.find('.restrictly-menu-matrix-source').val(),
+			item: $cell.attr('data-item'),
+			audience: $cell.attr('data-audience')
+		})
+			.done(function (response) {
+				if (!response.success) {
+					loadMatrix($container);
+					$container.find('.restrictly-menu-matrix-error').text(response.data.message);
+					return;
+				}
+
+				renderMatrix($container, response.data);
+
+				// Keep the Menus screen panels in step, so saving the menu keeps the change.
+				$(document).trigger('restrictlyMenuPanelsUpdated', [response.data.panels]);
+			})
+			.fail(function () {
+				showMessage(
+					$container,
+					'error',
+					__('The request failed. Please try again.', 'restrictly-wp')
+				);
+			})
+			.always(function () {
+				$spinner.removeClass('is-active');
+			});
+	});
+
+	// Settings page.
+	$('#menu-matrix .restrictly-menu-matrix').each(function () {
+		initMatrix($(this), '');
+	});
+
+	// Menus screen: a toggle above the menu structure.
+	const $menuToEdit = $('#menu-to-edit');
+	const menuId = $('#menu').val();
+
+	if ($menuToEdit.length && menuId && menuId !== '0') {
+		const $container = $('<div class="restrictly-menu-matrix" aria-live="polite" hidden></div>');
+		const $toggle = $(
+			'<button type="button" class="button restrictly-menu-matrix-toggle" aria-expanded="false"></button>'
+		).text(__('Visibility matrix', 'restrictly-wp'));
+
+		$('<div class="restrictly-menu-matrix-wrap"></div>')
+			.append($toggle, $container)
+			.insertBefore($menuToEdit);
+
+		$toggle.on('click', function () {
+			const open = $container.prop('hidden');
+
+			$container.prop('hidden', !open);
+			$toggle.attr('aria-expanded', open ? 'true' : 'false');
+
+			if (open && !$container.children().length) {
+				$container.append(
+					$('<p class="description"></p>').text(
+						__(
+							'The matrix shows saved settings. Changes made here are saved right away.',
+							'restrictly-wp'
+						)
+					)
+				);
+				initMatrix($container, 'nav_menu:' + menuId);
+			}
+		});
+	}
+});
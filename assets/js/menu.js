@@ -10,12 +10,17 @@
  * - Instantly adds highlight classes to <li> elements.
  * - Persists through full DOM replacement after AJAX saves.
  * - Uses a self-rebinding MutationObserver with ajaxComplete fallback.
+ * - Fixes mismatches in one click, per item or all at once, through AJAX.
+ * - Cascades a parent item's visibility to its children until they override it.
  *
  * @package Restrictly
  * @since   0.1.0
  */
 
 jQuery(document).ready(function ($) {
+	const { __, _n, sprintf } = wp.i18n;
+	const menus = window.restrictlyMenus || {};
+
 	// ─────────────────────────────────────────────
 	// Apply Restrictly™ highlights to all menu items.
 	// ─────────────────────────────────────────────
@@ -49,8 +54,118 @@ jQuery(document).ready(function ($) {
 				$li.addClass('restrictly-neutral');
 			}
 		});
+
+		updateFixAllButton();
+	}
+
+	// ─────────────────────────────────────────────
+	// Show the "Fix all mismatches" bar while fixable items remain.
+	// ─────────────────────────────────────────────
+	function updateFixAllButton() {
+		const $menu = $('#menu-to-edit');
+		const count = $menu.find('.restrictly-fix-mismatch').length;
+		let $bar = $('#restrictly-fix-all-mismatches');
+
+		if (!$menu.length) return;
+
+		if (!$bar.length) {
+			$bar = $(
+				'<div id="restrictly-fix-all-mismatches" class="restrictly-fix-all-mismatches">' +
+					'<button type="button" class="button"></button>' +
+					'<span class="spinner"></span>' +
+					'<p class="restrictly-mismatch-warning restrictly-fix-mismatch-error"></p>' +
+					'</div>'
+			).insertBefore($menu);
+		}
+
+		$bar.toggle(count > 0 || $bar.find('.restrictly-fix-mismatch-error').text() !== '');
+		$bar.find('.button').text(
+			/* translators: %d is the number of menu items with mismatched restrictions. */
+			sprintf(_n('Fix %d mismatch', 'Fix all %d mismatches', count, 'restrictly-wp'), count)
+		);
+	}
+
+	// ─────────────────────────────────────────────
+	// Swap in re-rendered Restrictly™ panels; their fields are saved with the menu as usual.
+	// ─────────────────────────────────────────────
+	function replacePanels(panels) {
+		$.each(panels || {}, function (itemId, html) {
+			const $current = $('#menu-item-settings-' + itemId).find('.restrictly-menu-panel');
+			const $panel = $($.parseHTML(html)).filter('.restrictly-menu-panel');
+
+			// Fixes and the matrix only change the visibility rule; keep an unsaved
+			// "Apply to child items" choice.
+			$panel
+				.find('input[name^="restrictly_menu_cascade"]')
+				.prop('checked', $current.find('input[name^="restrictly_menu_cascade"]').is(':checked'));
+
+			$current.replaceWith($panel);
+		});
 	}
 
+	// Panels changed elsewhere, e.g. by the visibility matrix.
+	$(document).on('restrictlyMenuPanelsUpdated', function (_event, panels) {
+		replacePanels(panels);
+		refreshCascade();
+		applyRestrictlyHighlights();
+	});
+
+	// ─────────────────────────────────────────────
+	// Copy the linked pages' restrictions onto menu items.
+	// ─────────────────────────────────────────────
+	function fixMismatches(itemIds) {
+		const $bar = $('#restrictly-fix-all-mismatches');
+		const $buttons = $('.restrictly-fix-mismatch, #restrictly-fix-all-mismatches .button');
+
+		$buttons.prop('disabled', true);
+		$bar.find('.spinner').addClass('is-active');
+		$bar.find('.restrictly-fix-mismatch-error').text('');
+
+		$.post(menus.ajaxUrl, {
+			action: 'restrictly_fix_menu_mismatch',
+			security: menus.nonce,
+			item_ids: itemIds
+		})
+			.done(function (response) {
+				if (!response.success) {
+					$bar.find('.restrictly-fix-mismatch-error').text(response.data.message);
+					return;
+				}
+
+				replacePanels(response.data.panels);
+				refreshCascade();
+			})
+			.fail(function () {
+				$bar
+					.find('.restrictly-fix-mismatch-error')
+					.text(__('The request failed. Please try again.', 'restrictly-wp'));
+			})
+			.always(function () {
+				$bar.find('.spinner').removeClass('is-active');
+				$('.restrictly-fix-mismatch, #restrictly-fix-all-mismatches .button').prop(
+					'disabled',
+					false
+				);
+				applyRestrictlyHighlights();
+			});
+	}
+
+	$(document).on('click', '.restrictly-fix-mismatch', function () {
+		fixMismatches([$(this).data('item-id')]);
+	});
+
+	$(document).on('click', '#restrictly-fix-all-mismatches .button', function () {
+		const itemIds = $('#menu-to-edit .restrictly-fix-mismatch')
+			.map(function () {
+				return $(this).data('item-id');
+			})
+			.get();
+
+		if (itemIds.length) {
+			fixMismatches(itemIds);
+		}
+	});
+
 	let observer = null;
 
 	// ─────────────────────────────────────────────
@@ -76,9 +191,135 @@ jQuery(document).ready(function ($) {
 		});
 	}
 
+	// ─────────────────────────────────────────────
+	// Cascade visibility from parent items to their children.
+	// ─────────────────────────────────────────────
+	function getMenuItemDepth($li) {
+		const match = /menu-item-depth-(\d+)/.exec($li.attr('class') || '');
+
+		return match ? parseInt(match[1], 10) : 0;
+	}
+
+	function readVisibilityRule($panel) {
+		return {
+			visibility: $panel.find('select[id^="restrictly_menu_visibility_"]').val(),
+			roles: $panel
+				.find('input[name^="restrictly_menu_roles"]:checked')
+				.map(function () {
+					return this.value;
+				})
+				.get(),
+			roleMode: $panel.find('select[id^="restrictly_menu_role_mode_"]').val()
+		};
+	}
+
+	function writeVisibilityRule($panel, rule) {
+		$panel.find('select[id^="restrictly_menu_visibility_"]').val(rule.visibility);
+		$panel.find('input[name^="restrictly_menu_roles"]').each(function () {
+			this.checked = rule.roles.indexOf(this.value) !== -1;
+		});
+		$panel.find('select[id^="restrictly_menu_role_mode_"]').val(rule.roleMode);
+		$panel
+			.find('p:has(input[name^="restrictly_menu_roles"])')
+			.toggle(rule.visibility === 'logged_in_users');
+	}
+
+	function refreshCascade() {
+		const ancestors = [];
+
+		$('#menu-to-edit > li.menu-item').each(function () {
+			const $li = $(this);
+			const $panel = $li.find('.restrictly-menu-panel');
+			const depth = getMenuItemDepth($li);
+			const hasChildren = getMenuItemDepth($li.next('li.menu-item')) > depth;
+			let source = null;
+
+			while (ancestors.length && ancestors[ancestors.length - 1].depth >= depth) {
+				ancestors.pop();
+			}
+
+			// The nearest ancestor applying its visibility to child items wins.
+			for (let i = ancestors.length - 1; i >= 0; i--) {
+				if (ancestors[i].cascades) {
+					source = ancestors[i];
+					break;
+				}
+			}
+
+			$panel.find('.restrictly-menu-cascade').toggle(hasChildren);
+			$panel.find('.restrictly-menu-inherited').remove();
+			$panel.removeClass('restrictly-is-inherited');
+
+			if (source) {
+				const overridden = $panel.find('.restrictly-menu-override').val() === '1';
+				const $notice = $('<p class="restrictly-menu-inherited"></p>');
+
+				if (overridden) {
+					$notice
+						.text(
+							/* translators: %s is the title of the parent menu item. */
+							sprintf(__('Overrides the visibility of “%s”.', 'restrictly-wp'), source.title) + ' '
+						)
+						.append(
+							$('<button type="button" class="button-link restrictly-menu-inherit"></button>').text(
+								__('Inherit again', 'restrictly-wp')
+							)
+						);
+				} else {
+					writeVisibilityRule($panel, readVisibilityRule(source.$panel));
+					$panel.addClass('restrictly-is-inherited');
+					$notice.text(
+						/* translators: %s is the title of the parent menu item. */
+						sprintf(
+							__('Inherited from “%s”. Change a setting to override it.', 'restrictly-wp'),
+							source.title
+						)
+					);
+				}
+
+				$panel.find('.restrictly-menu-panel-title').after($notice);
+			}
+
+			ancestors.push({
+				depth: depth,
+				$panel: $panel,
+				title: $li.find('.menu-item-title').first().text(),
+				cascades:
+					hasChildren && $panel.find('input[name^="restrictly_menu_cascade"]').is(':checked')
+			});
+		});
+	}
+
+	// Editing an inherited item overrides the parent's visibility.
+	$(document).on(
+		'change',
+		'.restrictly-menu-panel select, .restrictly-menu-panel input[name^="restrictly_menu_roles"]',
+		function () {
+			const $panel = $(this).closest('.restrictly-menu-panel');
+
+			if ($panel.hasClass('restrictly-is-inherited')) {
+				$panel.find('.restrictly-menu-override').val('1');
+			}
+
+			refreshCascade();
+		}
+	);
+
+	$(document).on(
+		'change',
+		'.restrictly-menu-panel input[name^="restrictly_menu_cascade"]',
+		refreshCascade
+	);
+
+	$(document).on('click', '.restrictly-menu-inherit', function () {
+		$(this).closest('.restrictly-menu-panel').find('.restrictly-menu-override').val('0');
+		refreshCascade();
+	});
+
 	// ─────────────────────────────────────────────
 	// Initial render and observer setup.
 	// ─────────────────────────────────────────────
+	refreshCascade();
 	applyRestrictlyHighlights();
 	attachMenuObserver();
 
@@ -96,6 +337,7 @@ jQuery(document).ready(function ($) {
 		) {
 			// Wait for new DOM to render, then rescan and rebind.
 			setTimeout(() => {
+				refreshCascade();
 				applyRestrictlyHighlights();
 				attachMenuObserver();
 			}, 250);
@@ -106,7 +348,10 @@ jQuery(document).ready(function ($) {
 	// Catch manual menu events (safety net).
 	// ─────────────────────────────────────────────
 	$(document).on('wpNavMenuItemAdded wpNavMenuItemUpdated sortstop', function () {
-		setTimeout(applyRestrictlyHighlights, 120);
+		setTimeout(() => {
+			refreshCascade();
+			applyRestrictlyHighlights();
+		}, 120);
 	});
 
 	/*******************************************************************************
@@ -118,7 +363,7 @@ jQuery(document).ready(function ($) {
 		const $select = jQuery(this);
 		const visibility = $select.val();
 		const $panel = $select.closest('.restrictly-menu-panel');
-		const $rolesWrapper = $panel.find('p:has(input[type="checkbox"])'); // Allowed Roles block
+		const $rolesWrapper = $panel.find('p:has(input[name^="restrictly_menu_roles"])'); // Allowed Roles block
 
 		// Everyone → Hide roles
 		if (visibility === 'everyone') {
@@ -141,7 +386,7 @@ jQuery(document).ready(function ($) {
 		jQuery('select[id^="restrictly_menu_visibility_"]').each(function () {
 			const visibility = jQuery(this).val();
 			const $panel = jQuery(this).closest('.restrictly-menu-panel');
-			const $rolesWrapper = $panel.find('p:has(input[type="checkbox"])');
+			const $rolesWrapper = $panel.find('p:has(input[name^="restrictly_menu_roles"])');
 
 			if (visibility === 'logged_in_users') {
 				$rolesWrapper.show();
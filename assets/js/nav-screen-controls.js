@@ -27,14 +27,17 @@
 	const { PluginSidebar, PluginSidebarMoreMenuItem } =
 		wp.plugins || wp.editPost?.components || wp.editSite?.components || {};
 	const { registerPlugin } = wp.plugins;
-	const { PanelBody, SelectControl, CheckboxControl } = wp.components;
+	const { PanelBody, SelectControl, CheckboxControl, RadioControl } = wp.components;
 	const { Fragment, createElement: el, useState, useEffect } = wp.element;
 	const { dispatch, select } = wp.data;
 
 	// Define Restrictly meta keys stored on wp_navigation posts.
 	const metaKeys = {
 		visibility: '_restrictly_visibility',
-		roles: '_restrictly_roles'
+		roles: '_restrictly_roles',
+		roleMode: '_restrictly_role_mode',
+		capability: '_restrictly_capability',
+		conditionAttributes: '_restrictly_condition_attributes'
 	};
 
 	// Retrieve available roles from localized Restrictly data.
@@ -54,11 +57,13 @@
 		const meta = select('core/editor').getEditedPostAttribute('meta') || {};
 		const [visibility, setVisibility] = useState(meta[metaKeys.visibility] || 'everyone');
 		const [roles, setRoles] = useState(meta[metaKeys.roles] || []);
+		const [roleMode, setRoleMode] = useState(meta[metaKeys.roleMode] || 'include');
 
 		// Sync local state whenever post meta changes.
 		useEffect(() => {
 			setVisibility(meta[metaKeys.visibility] || 'everyone');
 			setRoles(meta[metaKeys.roles] || []);
+			setRoleMode(meta[metaKeys.roleMode] || 'include');
 		}, [meta]);
 
 		// Update post meta with new values.
@@ -83,6 +88,26 @@
 			updateMeta(metaKeys.roles, arr);
 		};
 
+		// Custom condition controls store their attributes in a single meta object.
+		const condition = window.restrictly.getVisibilityCondition(visibility, 'navigation-screen');
+		let conditionControls = null;
+
+		if (condition && condition.edit) {
+			const defaults = {};
+
+			Object.keys(condition.attributes || {}).forEach((key) => {
+				defaults[key] = condition.attributes[key].default;
+			});
+
+			const stored = meta[metaKeys.conditionAttributes] || {};
+
+			conditionControls = el(condition.edit, {
+				attributes: { ...defaults, ...stored },
+				setAttributes: (next) => updateMeta(metaKeys.conditionAttributes, { ...stored, ...next }),
+				context: 'navigation-screen'
+			});
+		}
+
 		// Render Restrictly™ sidebar UI.
 		return el(
 			Fragment,
@@ -101,17 +126,22 @@
 					el(SelectControl, {
 						label: 'Show this navigation to:',
 						value: visibility,
-						options: [
-							{ label: 'Everyone', value: 'everyone' },
-							{ label: 'Logged-in Users', value: 'logged_in' },
-							{ label: 'Logged-out Users', value: 'logged_out' }
-						],
+						options: window.restrictly.getVisibilityOptions('navigation-screen'),
 						onChange: (val) => {
 							setVisibility(val);
 							updateMeta(metaKeys.visibility, val);
 							if (val !== 'logged_in') {
 								setRoles([]);
-								updateMeta(metaKeys.roles, []);
+								setRoleMode('include');
+								dispatch('core/editor').editPost({
+									meta: {
+										...meta,
+										[metaKeys.visibility]: val,
+										[metaKeys.roles]: [],
+										[metaKeys.roleMode]: 'include',
+										[metaKeys.capability]: ''
+									}
+								});
 							}
 						}
 					}),
@@ -128,8 +158,23 @@
 									onChange: (checked) => toggleRole(role.value, checked),
 									__nextHasNoMarginBottom: true
 								})
-							)
-						)
+							),
+							el(RadioControl, {
+								label: 'Apply roles as:',
+								selected: roleMode,
+								options: window.restrictly.ROLE_MODES,
+								onChange: (mode) => {
+									setRoleMode(mode);
+									updateMeta(metaKeys.roleMode, mode);
+								}
+							})
+						),
+					visibility === 'logged_in' &&
+						el(window.restrictly.CapabilityControl, {
+							value: meta[metaKeys.capability],
+							onChange: (capability) => updateMeta(metaKeys.capability, capability)
+						}),
+					conditionControls
 				)
 			)
 		);
@@ -0,0 +1,322 @@
+/* jshint esversion: 11 */
+
+/**
+ * Restrictly™ Page Access Document Panel.
+ *
+ * Block editor replacement for the classic “Restrictly Content Visibility”
+ * meta box. Edits the page access meta registered by PageAccessMeta through
+ * the `core/editor` store, so the settings are saved together with the post.
+ *
+ * Roles, capabilities and the forward URL check settings are localized by
+ * Base::restrictly_enqueue_page_access_panel_assets() into `window.restrictlyPageAccess`.
+ *
+ * @package Restrictly
+ *
+ * @since   0.1.0
+ */
+
+(function (wp) {
+	const { registerPlugin } = wp.plugins;
+	const { PluginDocumentSettingPanel } = wp.editor || wp.editPost;
+	const { createElement: el, Fragment, useState, useEffect } = wp.element;
+	const {
+		SelectControl,
+		CheckboxControl,
+		RadioControl,
+		TextareaControl,
+		TextControl,
+		BaseControl,
+		Notice
+	} = wp.components;
+	const LinkControl = wp.blockEditor && wp.blockEditor.__experimentalLinkControl;
+	const { useSelect, useDispatch } = wp.data;
+
+	const data = window.restrictlyPageAccess || {};
+	const roleOptions = Array.isArray(data.roles) ? data.roles : [];
+
+	const LOGIN_STATUS_OPTIONS = [
+		{ label: 'Everyone', value: 'everyone' },
+		{ label: 'Logged In Users', value: 'logged_in_users' },
+		{ label: 'Logged Out Users', value: 'logged_out_users' }
+	];
+
+	const ENFORCEMENT_OPTIONS = [
+		{ label: 'Use Default', value: 'default' },
+		{ label: 'Custom Message', value: 'custom_message' },
+		{ label: 'Custom URL', value: 'custom_url' },
+		{ label: 'Redirect to Login and Return Here', value: 'login_redirect' },
+		{ label: 'Pretend Not Found (404)', value: 'not_found' },
+		{ label: 'Show Excerpt Teaser', value: 'teaser' }
+	];
+
+	/**
+	 * Determine whether a URL points to this site.
+	 *
+	 * @param {string} url URL, absolute or relative.
+	 * @return {boolean} True for on-site URLs.
+	 */
+	const isOnSite = (url) => {
+		if (/^\/(?!\/)/.test(url)) {
+			return true;
+		}
+
+		const link = document.createElement('a');
+		link.href = url;
+
+		return link.host === new URL(data.homeUrl || window.location.origin).host;
+	};
+
+	// ─────────────────────────────────────────────
+	// Forward URL picker.
+	// ─────────────────────────────────────────────
+	const ForwardUrlControl = ({ meta, postId, updateMeta }) => {
+		const url = meta.restrictly_custom_forward_url || '';
+		const targetId = meta.restrictly_custom_forward_post_id || 0;
+		const [warning, setWarning] = useState('');
+
+		// Check the target against this post's rule whenever either changes.
+		useEffect(() => {
+			if (!url) {
+				setWarning('');
+				return undefined;
+			}
+
+			if (!targetId && !isOnSite(url)) {
+				setWarning(
+					'This URL is not on this site. WordPress only redirects to this site, so visitors would not reach it.'
+				);
+				return undefined;
+			}
+
+			let cancelled = false;
+			const body = new window.FormData();
+
+			body.append('action', 'restrictly_link_check');
+			body.append('security', data.linkNonce || '');
+			body.append('post_id', targetId);
+			body.append('url', url);
+			body.append('source_id', postId || 0);
+			body.append('login_status', meta.restrictly_page_access_by_login_status || 'everyone');
+			body.append('role_mode', meta.restrictly_page_access_role_mode || 'include');
+			body.append('capability', meta.restrictly_page_access_capability || '');
+			(meta.restrictly_page_access_by_role || []).forEach((role) => body.append('roles[]', role));
+
+			window
+				.fetch(data.ajaxUrl, { method: 'POST', credentials: 'same-origin', body: body })
+				.then((response) => response.json())
+				.then((response) => {
+					if (!cancelled && response.success) {
+						setWarning(response.data.warning || '');
+					}
+				})
+				.catch(() => {});
+
+			return () => {
+				cancelled = true;
+			};
+		}, [
+			url,
+			targetId,
+			postId,
+			meta.restrictly_page_access_by_login_status,
+			meta.restrictly_page_access_by_role,
+			meta.restrictly_page_access_role_mode,
+			meta.restrictly_page_access_capability
+		]);
+
+		let picker;
+
+		if (LinkControl) {
+			picker = el(
+				BaseControl,
+				{ label: 'Custom Forward URL:', __nextHasNoMarginBottom: true },
+				el(LinkControl, {
+					value: url ? { url: url, id: targetId || undefined } : null,
+					settings: [],
+					// Internal content is stored by post ID so it survives slug changes.
+					onChange: (link) =>
+						updateMeta({
+							restrictly_custom_forward_url: link.url || '',
+							restrictly_custom_forward_post_id: link.kind === 'post-type' && link.id ? link.id : 0
+						}),
+					onRemove: () =>
+						updateMeta({
+							restrictly_custom_forward_url: '',
+							restrictly_custom_forward_post_id: 0
+						})
+				})
+			);
+		} else {
+			picker = el(TextControl, {
+				label: 'Custom Forward URL:',
+				type: 'url',
+				value: url,
+				onChange: (value) =>
+					updateMeta({
+						restrictly_custom_forward_url: value,
+						restrictly_custom_forward_post_id: 0
+					}),
+				__next40pxDefaultSize: true,
+				__nextHasNoMarginBottom: true
+			});
+		}
+
+		return el(
+			Fragment,
+			null,
+			picker,
+			warning && el(Notice, { status: 'warning', isDismissible: false }, warning)
+		);
+	};
+
+	// ─────────────────────────────────────────────
+	// Page access panel.
+	// ─────────────────────────────────────────────
+	const PageAccessPanel = () => {
+		const meta = useSelect(
+			(select) => select('core/editor').getEditedPostAttribute('meta') || {},
+			[]
+		);
+		const postId = useSelect((select) => select('core/editor').getCurrentPostId(), []);
+		const { editPost } = useDispatch('core/editor');
+
+		// Meta is only present once PageAccessMeta registered it for this post type.
+		if (!('restrictly_page_access_by_login_status' in meta)) {
+			return null;
+		}
+
+		const loginStatus = meta.restrictly_page_access_by_login_status || 'everyone';
+		const roles = meta.restrictly_page_access_by_role || [];
+		const enforcementAction = meta.restrictly_enforcement_action || 'default';
+
+		/**
+		 * Stage meta changes on the post; they are saved with it.
+		 *
+		 * @param {Object} changes Meta key => value.
+		 */
+		const updateMeta = (changes) => editPost({ meta: changes });
+
+		/**
+		 * Add or remove a role.
+		 *
+		 * @param {string}  role    Role slug.
+		 * @param {boolean} checked Whether the role should be present.
+		 */
+		const toggleRole = (role, checked) => {
+			const updated = new Set(roles);
+
+			if (checked) {
+				updated.add(role);
+			} else {
+				updated.delete(role);
+			}
+
+			updateMeta({ restrictly_page_access_by_role: Array.from(updated) });
+		};
+
+		let roleControls = null;
+
+		if (loginStatus === 'logged_in_users') {
+			roleControls = el(
+				Fragment,
+				null,
+				roleOptions.length > 0 &&
+					el(
+						BaseControl,
+						{ label: 'Specific Roles:', __nextHasNoMarginBottom: true },
+						roleOptions.map((role) =>
+							el(CheckboxControl, {
+								key: role.value,
+								label: role.label,
+								checked: roles.includes(role.value),
+								onChange: (checked) => toggleRole(role.value, checked),
+								__nextHasNoMarginBottom: true
+							})
+						)
+					),
+				el(RadioControl, {
+					label: 'Role Rule:',
+					selected: meta.restrictly_page_access_role_mode || 'include',
+					options: [
+						{ label: 'Only the selected roles', value: 'include' },
+						{ label: 'Everyone except the selected roles', value: 'exclude' }
+					],
+					onChange: (mode) => updateMeta({ restrictly_page_access_role_mode: mode })
+				}),
+				el(window.restrictly.CapabilityControl, {
+					value: meta.restrictly_page_access_capability,
+					capabilities: data.capabilities,
+					onChange: (capability) => updateMeta({ restrictly_page_access_capability: capability })
+				})
+			);
+		}
+
+		let enforcementControls = null;
+
+		if (loginStatus !== 'everyone') {
+			let details = null;
+
+			if (enforcementAction === 'custom_message' || enforcementAction === 'teaser') {
+				details = el(TextareaControl, {
+					label: enforcementAction === 'teaser' ? 'Call to Action:' : 'Custom Message:',
+					value: meta.restrictly_custom_message || '',
+					placeholder: data.defaultMessage || '',
+					help: 'HTML and block markup are allowed. Placeholders: ' + (data.placeholders || ''),
+					onChange: (message) => updateMeta({ restrictly_custom_message: message }),
+					__nextHasNoMarginBottom: true
+				});
+			} else if (enforcementAction === 'custom_url') {
+				details = el(ForwardUrlControl, { meta, postId, updateMeta });
+			}
+
+			enforcementControls = el(
+				Fragment,
+				null,
+				el(SelectControl, {
+					label: 'Enforcement Action:',
+					value: enforcementAction,
+					options: ENFORCEMENT_OPTIONS,
+					onChange: (action) => updateMeta({ restrictly_enforcement_action: action }),
+					__next40pxDefaultSize: true,
+					__nextHasNoMarginBottom: true
+				}),
+				details
+			);
+		}
+
+		return el(
+			PluginDocumentSettingPanel,
+			{
+				name: 'restrictly-page-access',
+				title: 'Restrictly Content Visibility',
+				className: 'restrictly-page-access-panel'
+			},
+			el(SelectControl, {
+				label: 'Login Status:',
+				value: loginStatus,
+				options: LOGIN_STATUS_OPTIONS,
+				onChange: (status) => {
+					const changes = { restrictly_page_access_by_login_status: status };
+
+					// Roles and capabilities only apply to logged-in users.
+					if (status !== 'logged_in_users') {
+						changes.restrictly_page_access_by_role = [];
+						changes.restrictly_page_access_role_mode = 'include';
+						changes.restrictly_page_access_capability = '';
+					}
+
+					updateMeta(changes);
+				},
+				__next40pxDefaultSize: true,
+				__nextHasNoMarginBottom: true
+			}),
+			roleControls,
+			enforcementControls
+		);
+	};
+
+	registerPlugin('restrictly-page-access', {
+		render: PageAccessPanel,
+		icon: 'lock'
+	});
+})(window.wp);
@@ -24,7 +24,8 @@ jQuery(document).ready(function ($) {
 			'#restrictly_custom_forward_url_container_quickedit'
 		);
 
-		if (action === 'custom_message') {
+		// The teaser shows the message as its call to action.
+		if (action === 'custom_message' || action === 'teaser') {
 			$customMessageContainer.show();
 			$customForwardContainer.hide();
 		} else if (action === 'custom_url') {
@@ -94,22 +95,31 @@ jQuery(document).ready(function ($) {
 
 				// Extract stored meta data from hidden elements.
 				var restrictStatus =
-					$postRow.find('.restrictly_hidden_login_status').data('restrictly-login-status') ||
+					$postRow.find('.restrictly_hidden_login_status').attr('data-restrictly-login-status') ||
 					'everyone';
 				var restrictRoles =
-					$postRow.find('.restrictly_hidden_user_role').data('restrictly-user-role') || '';
+					$postRow.find('.restrictly_hidden_user_role').attr('data-restrictly-user-role') || '';
+				var roleMode =
+					$postRow.find('.restrictly_hidden_user_role').attr('data-restrictly-role-mode') ||
+					'include';
+				var capability =
+					$postRow.find('.restrictly_hidden_user_role').attr('data-restrictly-capability') || '';
 				var enforcementAction =
 					$postRow
 						.find('.restrictly_hidden_enforcement_action')
-						.data('restrictly-enforcement-action') || 'default';
+						.attr('data-restrictly-enforcement-action') || 'default';
 				var customMessage =
 					$postRow
 						.find('.restrictly_hidden_enforcement_action')
-						.data('restrictly-custom-message') || '';
+						.attr('data-restrictly-custom-message') || '';
 				var customForwardUrl =
 					$postRow
 						.find('.restrictly_hidden_enforcement_action')
-						.data('restrictly-custom-forward-url') || '';
+						.attr('data-restrictly-custom-forward-url') || '';
+				var customForwardPostId =
+					$postRow
+						.find('.restrictly_hidden_enforcement_action')
+						.attr('data-restrictly-custom-forward-post-id') || '';
 
 				// Convert roles into an array.
 				if (Array.isArray(restrictRoles)) {
@@ -134,7 +144,17 @@ jQuery(document).ready(function ($) {
 						$roleInputs.filter('[value="' + roleVal + '"]').prop('checked', true);
 					});
 				}
+				$quickEditRow
+					.find('input[name="restrictly_page_access_role_mode"][value="' + roleMode + '"]')
+					.prop('checked', true);
+				$quickEditRow.find('input[name="restrictly_page_access_capability"]').val(capability);
 				$enforcement.val(enforcementAction);
+				$quickEditRow
+					.find('input[name="restrictly_custom_forward_url"]')
+					.attr('data-restrictly-source-id', post_id);
+				$quickEditRow
+					.find('input[name="restrictly_custom_forward_post_id"]')
+					.val(customForwardPostId !== '0' ? customForwardPostId : '');
 
 				// Toggle fields based on current login status.
 				toggleLoginStatusFields(restrictStatus, $quickEditRow);
@@ -144,7 +164,7 @@ jQuery(document).ready(function ($) {
 					toggleEnforcementFields(enforcementAction, $quickEditRow);
 
 					// Set custom message or URL if needed.
-					if (enforcementAction === 'custom_message') {
+					if (enforcementAction === 'custom_message' || enforcementAction === 'teaser') {
 						$quickEditRow.find('textarea[name="restrictly_custom_message"]').val(customMessage);
 					}
 					if (enforcementAction === 'custom_url') {
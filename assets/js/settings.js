@@ -5,6 +5,11 @@
  * - Toggles display of "Custom Message" and "Custom URL" fields based on selection.
  * - Ensures correct field visibility on page load.
  * - Uses event delegation for reliable field updates.
+ * - Shows a live preview of the default message and inserts placeholders.
+ * - Enables or disables per-block toggles based on their namespace.
+ * - Filters the audit report by role, type and action, and exports it as CSV.
+ * - Runs the Access Tester and explains its result.
+ * - Exports, previews and imports Restrictly™ rules as JSON.
  *
  * @package Restrictly
  *
@@ -54,6 +59,15 @@ jQuery(document).ready(function ($) {
 		$($(this).attr('href')).addClass('active');
 	});
 
+	// Reopen the tab named in the URL hash, e.g. after undoing a bulk edit.
+	if (window.location.hash) {
+		$('.nav-tab:not(.disabled)')
+			.filter(function () {
+				return $(this).attr('href') === window.location.hash;
+			})
+			.trigger('click');
+	}
+
 	/**
 	 * Toggles visibility of Custom Message and Custom URL fields
 	 * based on the selected default enforcement action.
@@ -66,7 +80,8 @@ jQuery(document).ready(function ($) {
 		const action = $restrictlyDefaultAction.val();
 
 		// Show or hide fields based on the selected action.
-		if (action === 'custom_message') {
+		// The teaser shows the message as its call to action.
+		if (action === 'custom_message' || action === 'teaser') {
 			$forwardUrlField.val('').closest('tr').hide();
 			$messageField.closest('tr').show();
 		} else if (action === 'custom_url') {
@@ -92,4 +107,782 @@ jQuery(document).ready(function ($) {
 	 * @since 0.1.0
 	 */
 	$restrictlyDefaultAction.on('change', toggleEnforcementFields);
+
+	/**
+	 * Enable per-block checkboxes only while their namespace is allowed.
+	 *
+	 * @since 0.1.0
+	 */
+	$('.restrictly-block-namespace-toggle').on('change', function () {
+		$(this)
+			.closest('.restrictly-block-namespace')
+			.find('.restrictly-block-list input[type="checkbox"]')
+			.prop('disabled', !this.checked);
+	});
+
+	const { __, _n, sprintf } = wp.i18n;
+
+	// ==========================
+	// Default Message Preview
+	// ==========================
+	const messagePreview = window.restrictlyMessagePreview || {};
+	const $messagePreview = $('#restrictly-message-preview');
+	let messageEditor = null;
+	let previewTimer = null;
+	let previewRequest = null;
+
+	/**
+	 * Read the default message from the visual or text editor.
+	 *
+	 * @return {string} Message.
+	 *
+	 * @since 0.1.0
+	 */
+	function getDefaultMessage() {
+		if (messageEditor && !messageEditor.isHidden()) {
+			return messageEditor.getContent();
+		}
+
+		return String($messageField.val());
+	}
+
+	/**
+	 * Render the preview of the default message on the server.
+	 *
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function updateMessagePreview() {
+		if (previewRequest) {
+			previewRequest.abort();
+		}
+
+		previewRequest = $.post(messagePreview.ajaxUrl, {
+			action: 'restrictly_preview_message',
+			security: messagePreview.nonce,
+			message: getDefaultMessage()
+		}).done(function (response) {
+			if (response.success) {
+				$messagePreview.html(response.data.html);
+			}
+		});
+	}
+
+	/**
+	 * Update the preview shortly after typing stops.
+	 *
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function schedulePreview() {
+		clearTimeout(previewTimer);
+		previewTimer = setTimeout(updateMessagePreview, 400);
+	}
+
+	/**
+	 * Follow changes made in the visual editor.
+	 *
+	 * @param {Object} editor TinyMCE editor.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function watchMessageEditor(editor) {
+		if (!editor || editor.id !== 'restrictly_default_message' || messageEditor === editor) {
+			return;
+		}
+
+		messageEditor = editor;
+		editor.on('input change undo redo SetContent', schedulePreview);
+	}
+
+	if ($messagePreview.length) {
+		$messageField.on('input', schedulePreview);
+
+		if (window.tinymce) {
+			watchMessageEditor(window.tinymce.get('restrictly_default_message'));
+		}
+
+		$(document).on('tinymce-editor-init', function (event, editor) {
+			watchMessageEditor(editor);
+		});
+
+		updateMessagePreview();
+	}
+
+	/**
+	 * Insert a placeholder into the default message.
+	 *
+	 * @since 0.1.0
+	 */
+	$('.restrictly-message-placeholders').on('click', 'button', function () {
+		const placeholder = $(this).data('placeholder');
+
+		if (messageEditor && !messageEditor.isHidden()) {
+			messageEditor.insertContent(placeholder);
+			schedulePreview();
+			return;
+		}
+
+		const field = $messageField.get(0);
+		const value = field.value;
+
+		field.value =
+			value.slice(0, field.selectionStart) + placeholder + value.slice(field.selectionEnd);
+		field.focus();
+		schedulePreview();
+	});
+
+	// ==========================
+	// Audit Report
+	// ==========================
+
+	const auditReport = window.restrictlyAuditReport || {};
+	let $auditRows = $();
+	let auditRequested = false;
+
+	/**
+	 * Load the audit report rows the first time its tab is opened.
+	 *
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function loadAuditReport() {
+		if (auditRequested) {
+			return;
+		}
+
+		auditRequested = true;
+
+		const $loading = $('.restrictly-audit-loading');
+		const failed = __(
+			'The audit report could not be loaded. Please reload the page.',
+			'restrictly-wp'
+		);
+
+		$.post(auditReport.ajaxUrl, {
+			action: 'restrictly_audit_report',
+			security: auditReport.nonce
+		})
+			.done(function (response) {
+				if (!response.success) {
+					$loading.find('td').text(response.data.message || failed);
+					return;
+				}
+
+				$auditRows = $($.parseHTML(response.data.html)).filter('tr');
+				$loading.replaceWith($auditRows);
+				filterAuditReport();
+			})
+			.fail(function () {
+				$loading.find('td').text(failed);
+			});
+	}
+
+	/**
+	 * Show only the audit rows matching the role, access, type and action filters.
+	 *
+	 * Rows decided by a custom visibility condition (`data-visible-to="*"`)
+	 * match any role.
+	 *
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function filterAuditReport() {
+		const role = $('#restrictly-audit-role').val();
+		const access = $('#restrictly-audit-access').val();
+		const type = $('#restrictly-audit-type').val();
+		const action = $('#restrictly-audit-action').val();
+		let shown = 0;
+
+		$('#restrictly-audit-access').prop('disabled', !role);
+
+		$auditRows.each(function () {
+			const $row = $(this);
+			const visibleTo = String($row.attr('data-visible-to'));
+			let matches = true;
+
+			if (type && $row.attr('data-type') !== type) {
+				matches = false;
+			}
+
+			if (action && $row.attr('data-action') !== action) {
+				matches = false;
+			}
+
+			if (role && visibleTo !== '*') {
+				const canSee = visibleTo.split(' ').indexOf(role) !== -1;
+				matches = matches && (access === 'hidden' ? !canSee : canSee);
+			}
+
+			$row.toggleClass('restrictly-audit-filtered', !matches);
+			shown += matches ? 1 : 0;
+		});
+
+		$('.restrictly-audit-empty').prop('hidden', shown > 0);
+		$('.restrictly-audit-count').text(
+			sprintf(_n('%d item', '%d items', shown, 'restrictly-wp'), shown)
+		);
+	}
+
+	/**
+	 * Quote a value for CSV.
+	 *
+	 * Values starting like a formula are prefixed with an apostrophe, so
+	 * spreadsheet apps show titles such as “=1+1” as text.
+	 *
+	 * @param {string} value Cell text.
+	 * @return {string} Quoted cell.
+	 *
+	 * @since 0.1.0
+	 */
+	function toCsvCell(value) {
+		let text = String(value).trim();
+
+		if (/^[=+\-@]/.test(text)) {
+			text = `'${text}`;
+		}
+
+		return '"' + text.replace(/"/g, '""') + '"';
+	}
+
+	$('.restrictly-audit-filters select').on('change', filterAuditReport);
+	$('.nav-tab[href="#audit-report"]').on('click', loadAuditReport);
+
+	if ($('#audit-report').hasClass('active')) {
+		loadAuditReport();
+	}
+
+	/**
+	 * Download the rows currently shown in the audit report as CSV.
+	 *
+	 * @since 0.1.0
+	 */
+	$('#restrictly-audit-csv').on('click', function () {
+		const lines = [];
+
+		$('.restrictly-audit-report thead tr')
+			.add($auditRows.not('.restrictly-audit-filtered'))
+			.each(function () {
+				const cells = $(this)
+					.children('th, td')
+					.map(function () {
+						return toCsvCell($(this).text());
+					})
+					.get();
+
+				lines.push(cells.join(','));
+			});
+
+		const blob = new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+		const link = document.createElement('a');
+
+		link.href = URL.createObjectURL(blob);
+		link.download = 'restrictly-audit-' + new Date().toISOString().slice(0, 10) + '.csv';
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(link.href);
+	});
+
+	// ==========================
+	// Access Tester
+	// ==========================
+	const accessTester = window.restrictlyAccessTester || {};
+	const $accessResult = $('#restrictly-access-tester-result');
+
+	/**
+	 * Show a notice in the Access Tester result area.
+	 *
+	 * @param {string} type    Notice type: success, warning or error.
+	 * @param {string} message Message text.
+	 * @return {jQuery} The notice.
+	 *
+	 * @since 0.1.0
+	 */
+	function accessNotice(type, message) {
+		return $('<div class="notice inline"></div>')
+			.addClass('notice-' + type)
+			.append($('<p></p>').text(message));
+	}
+
+	/**
+	 * Render a list of hidden items under a heading.
+	 *
+	 * @param {string}   heading Section heading.
+	 * @param {Object[]} items   Items with label and reason.
+	 * @param {string}   empty   Text shown when nothing is hidden.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function renderHiddenItems(heading, items, empty) {
+		$('<h4></h4>').text(heading).appendTo($accessResult);
+
+		if (!items.length) {
+			$('<p></p>').text(empty).appendTo($accessResult);
+			return;
+		}
+
+		const $list = $('<ul class="restrictly-access-tester-list"></ul>');
+
+		items.forEach(function (item) {
+			$('<li></li>')
+				.append($('<strong></strong>').text(item.label))
+				.append(document.createTextNode(' — ' + item.reason))
+				.appendTo($list);
+		});
+
+		$list.appendTo($accessResult);
+	}
+
+	/**
+	 * Render the result of an access test.
+	 *
+	 * @param {Object} data Test result.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function renderAccessResult(data) {
+		const content = data.content;
+
+		$accessResult.empty();
+
+		$('<h3 class="restrictly-subsection-heading"></h3>')
+			.text(
+				sprintf(
+					/* translators: 1: user, 2: content title. */
+					__('%1$s viewing “%2$s”', 'restrictly-wp'),
+					data.user,
+					data.post.title
+				)
+			)
+			.appendTo($accessResult);
+
+		let noticeType = 'error';
+		if (content.allowed) {
+			noticeType = 'success';
+		}
+
+		accessNotice(noticeType, content.summary).appendTo($accessResult);
+
+		const $checks = $('<ul class="restrictly-access-tester-list"></ul>');
+
+		content.checks.forEach(function (check) {
+			let result = __('Fails', 'restrictly-wp');
+			if (check.passed) {
+				result = __('Passes', 'restrictly-wp');
+			}
+
+			$('<li></li>')
+				.append($('<strong></strong>').text(check.rule + ': ' + result))
+				.append(document.createTextNode(' — ' + check.detail))
+				.appendTo($checks);
+		});
+
+		$checks.appendTo($accessResult);
+
+		if (content.action) {
+			$('<p></p>')
+				.append($('<strong></strong>').text(__('Enforcement action:', 'restrictly-wp')))
+				.append(document.createTextNode(' ' + content.action))
+				.appendTo($accessResult);
+		}
+
+		let listing = __(
+			'Hidden from this user in search results, archives and the REST API.',
+			'restrictly-wp'
+		);
+		if (content.rest_visible) {
+			listing = __(
+				'Listed for this user in search results, archives and the REST API.',
+				'restrictly-wp'
+			);
+		}
+
+		$('<p></p>').text(listing).appendTo($accessResult);
+
+		renderHiddenItems(
+			__('Hidden blocks', 'restrictly-wp'),
+			data.blocks,
+			__('No blocks in this content are hidden from this user.', 'restrictly-wp')
+		);
+		renderHiddenItems(
+			__('Hidden menu items', 'restrictly-wp'),
+			data.menu_items,
+			__('No classic menu items are hidden from this user.', 'restrictly-wp')
+		);
+		renderHiddenItems(
+			__('Hidden Navigation menus and links', 'restrictly-wp'),
+			data.navigations,
+			__('No Navigation menus or links are hidden from this user.', 'restrictly-wp')
+		);
+	}
+
+	/**
+	 * Run an access test for the chosen user and URL.
+	 *
+	 * @since 0.1.0
+	 */
+	$('#restrictly-access-tester-run').on('click', function () {
+		const $button = $(this);
+		const target = String($('#restrictly-access-tester-target').val()).trim();
+
+		if (!target) {
+			$accessResult
+				.empty()
+				.append(accessNotice('warning', __('Enter a URL or post ID first.', 'restrictly-wp')));
+			return;
+		}
+
+		$button.prop('disabled', true);
+
+		$.post(accessTester.ajaxUrl, {
+			action: 'restrictly_access_test',
+			security: accessTester.nonce,
+			user_id: $('#restrictly-access-tester-user').val(),
+			target: target
+		})
+			.done(function (response) {
+				if (response.success) {
+					renderAccessResult(response.data);
+					return;
+				}
+
+				$accessResult.empty().append(accessNotice('error', response.data.message));
+			})
+			.fail(function () {
+				$accessResult
+					.empty()
+					.append(
+						accessNotice('error', __('The request failed. Please try again.', 'restrictly-wp'))
+					);
+			})
+			.always(function () {
+				$button.prop('disabled', false);
+			});
+	});
+
+	/**
+	 * Run the test when Enter is pressed in the URL field, instead of submitting the settings form.
+	 *
+	 * @since 0.1.0
+	 */
+	$('#restrictly-access-tester-target').on('keydown', function (e) {
+		if (e.key === 'Enter') {
+			e.preventDefault();
+			$('#restrictly-access-tester-run').trigger('click');
+		}
+	});
+
+	// ==========================
+	// Import / Export
+	// ==========================
+	const importExport = window.restrictlyImportExport || {};
+	const $importResult = $('#restrictly-import-result');
+
+	// Raw JSON of the previewed import, sent again when it is applied.
+	let importPayload = '';
+
+	const ENTRY_TYPES = {
+		setting: __('Setting', 'restrictly-wp'),
+		post: __('Content', 'restrictly-wp'),
+		menu_item: __('Menu item', 'restrictly-wp'),
+		navigation: __('Navigation', 'restrictly-wp')
+	};
+
+	/**
+	 * Show a message in the import result area.
+	 *
+	 * @param {string} type    Notice type: success, warning or error.
+	 * @param {string} message Message text.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showImportMessage(type, message) {
+		$importResult.empty().append(
+			$('<div class="notice inline"></div>')
+				.addClass('notice-' + type)
+				.append($('<p></p>').text(message))
+		);
+	}
+
+	/**
+	 * Format a setting or meta value for the diff preview.
+	 *
+	 * @param {*} value Value.
+	 * @return {string} Readable value.
+	 *
+	 * @since 0.1.0
+	 */
+	function formatValue(value) {
+		if (value === null || typeof value === 'undefined') {
+			return __('(not set)', 'restrictly-wp');
+		}
+
+		if (Array.isArray(value)) {
+			return value.length ? value.join(', ') : __('(none)', 'restrictly-wp');
+		}
+
+		if (typeof value === 'object') {
+			return JSON.stringify(value);
+		}
+
+		return String(value) === '' ? __('(empty)', 'restrictly-wp') : String(value);
+	}
+
+	/**
+	 * Post an import or export request.
+	 *
+	 * @param {string} action AJAX action.
+	 * @param {Object} data   Extra request data.
+	 * @return {jqXHR} Request.
+	 *
+	 * @since 0.1.0
+	 */
+	function importExportRequest(action, data) {
+		return $.post(
+			importExport.ajaxUrl,
+			$.extend({ action: action, security: importExport.nonce }, data)
+		);
+	}
+
+	/**
+	 * Get the error message of a failed request.
+	 *
+	 * @param {Object} response AJAX response, if any.
+	 * @return {string} Message.
+	 *
+	 * @since 0.1.0
+	 */
+	function getRequestError(response) {
+		return (
+			(response && response.data && response.data.message) ||
+			__('The request failed. Please try again.', 'restrictly-wp')
+		);
+	}
+
+	/**
+	 * Show the error of a failed request.
+	 *
+	 * @param {Object} response AJAX response, if any.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function showRequestError(response) {
+		showImportMessage('error', getRequestError(response));
+	}
+
+	/**
+	 * Render the diff preview of an import, with a button to apply it.
+	 *
+	 * @param {Object[]} entries Diff entries.
+	 * @return {void}
+	 *
+	 * @since 0.1.0
+	 */
+	function renderPreview(entries) {
+		const counts = { changed: 0, unchanged: 0, unmatched: 0 };
+
+		entries.forEach(function (entry) {
+			counts[entry.status]++;
+		});
+
+		$importResult.empty();
+
+		$('<p></p>')
+			.text(
+				sprintf(
+					/* translators: 1: number of changed items, 2: unchanged items, 3: items not found on this site. */
+					__(
+						'%1$d to change, %2$d already up to date, %3$d not found on this site.',
+						'restrictly-wp'
+					),
+					counts.changed,
+					counts.unchanged,
+					counts.unmatched
+				)
+			)
+			.appendTo($importResult);
+
+		const $rows = $('<tbody></tbody>');
+
+		entries.forEach(function (entry) {
+			if (entry.status === 'unchanged') {
+				return;
+			}
+
+			const $changes = $('<ul class="restrictly-m-t-0 restrictly-m-b-0"></ul>');
+
+			entry.changes.forEach(function (change) {
+				$('<li></li>')
+					.append($('<code></code>').text(change.key))
+					.append(
+						document.createTextNode(
+							': ' + formatValue(change.from) + ' → ' + formatValue(change.to)
+						)
+					)
+					.appendTo($changes);
+			});
+
+			let status = __('Will be updated', 'restrictly-wp');
+			if (entry.status === 'unmatched') {
+				status = __('Not found, skipped', 'restrictly-wp');
+			}
+
+			$('<tr></tr>')
+				.append($('<td></td>').text(ENTRY_TYPES[entry.type] || entry.type))
+				.append($('<td></td>').text(entry.label))
+				.append($('<td></td>').text(status))
+				.append($('<td></td>').append($changes))
+				.appendTo($rows);
+		});
+
+		if ($rows.children().length) {
+			$('<table class="widefat striped restrictly-import-preview"></table>')
+				.append(
+					$('<thead></thead>').append(
+						$('<tr></tr>')
+							.append($('<th scope="col"></th>').text(__('Type', 'restrictly-wp')))
+							.append($('<th scope="col"></th>').text(__('Item', 'restrictly-wp')))
+							.append($('<th scope="col"></th>').text(__('Status', 'restrictly-wp')))
+							.append($('<th scope="col"></th>').text(__('Changes', 'restrictly-wp')))
+					)
+				)
+				.append($rows)
+				.appendTo($importResult);
+		}
+
+		if (counts.changed) {
+			$('<p></p>')
+				.append(
+					$(
+						'<button type="button" class="button button-primary" id="restrictly-import-apply"></button>'
+					).text(
+						sprintf(
+							_n(
+								'Apply Import (%d item)',
+								'Apply Import (%d items)',
+								counts.changed,
+								'restrictly-wp'
+							),
+							counts.changed
+						)
+					)
+				)
+				.appendTo($importResult);
+		}
+	}
+
+	/**
+	 * Download the export file.
+	 *
+	 * @since 0.1.0
+	 */
+	$('#restrictly-export').on('click', function () {
+		const $button = $(this).prop('disabled', true);
+
+		importExportRequest('restrictly_export', {})
+			.done(function (response) {
+				if (!response.success) {
+					showRequestError(response);
+					return;
+				}
+
+				const blob = new Blob([JSON.stringify(response.data, null, 2)], {
+					type: 'application/json'
+				});
+				const link = document.createElement('a');
+
+				link.href = URL.createObjectURL(blob);
+				link.download = 'restrictly-export-' + new Date().toISOString().slice(0, 10) + '.json';
+				document.body.appendChild(link);
+				link.click();
+				link.remove();
+				URL.revokeObjectURL(link.href);
+			})
+			.fail(showRequestError)
+			.always(function () {
+				$button.prop('disabled', false);
+			});
+	});
+
+	/**
+	 * Read the chosen file and preview its changes.
+	 *
+	 * @since 0.1.0
+	 */
+	$('#restrictly-import-preview').on('click', function () {
+		const file = $('#restrictly-import-file').prop('files')[0];
+
+		if (!file) {
+			showImportMessage('warning', __('Choose an export file first.', 'restrictly-wp'));
+			return;
+		}
+
+		const reader = new FileReader();
+
+		reader.onload = function () {
+			importPayload = String(reader.result);
+
+			importExportRequest('restrictly_import_preview', { payload: importPayload })
+				.done(function (response) {
+					if (response.success) {
+						renderPreview(response.data.entries);
+					} else {
+						showRequestError(response);
+					}
+				})
+				.fail(showRequestError);
+		};
+
+		reader.readAsText(file);
+	});
+
+	/**
+	 * Apply the previewed import.
+	 *
+	 * @since 0.1.0
+	 */
+	$importResult.on('click', '#restrictly-import-apply', function () {
+		const $button = $(this).prop('disabled', true);
+
+		// Keep the preview above the error, so the import can be applied again.
+		const showApplyError = function (response) {
+			$importResult.find('.restrictly-import-error').remove();
+			$('<div class="notice notice-error inline restrictly-import-error"></div>')
+				.append($('<p></p>').text(getRequestError(response)))
+				.prependTo($importResult);
+			$button.prop('disabled', false);
+		};
+
+		importExportRequest('restrictly_import_apply', { payload: importPayload })
+			.done(function (response) {
+				if (!response.success) {
+					showApplyError(response);
+					return;
+				}
+
+				showImportMessage(
+					'success',
+					sprintf(
+						_n(
+							'Import applied: %d item updated.',
+							'Import applied: %d items updated.',
+							response.data.counts.changed,
+							'restrictly-wp'
+						),
+						response.data.counts.changed
+					)
+				);
+			})
+			.fail(showApplyError);
+	});
 });
@@ -30,7 +30,8 @@ jQuery(document).ready(function ($) {
 			'.restrictly_custom_forward_url_container, #restrictly_custom_forward_url_container'
 		);
 
-		if (action === 'custom_message') {
+		// The teaser shows the message as its call to action.
+		if (action === 'custom_message' || action === 'teaser') {
 			$customMessageContainer.show();
 			$customForwardContainer.hide();
 		} else if (action === 'custom_url') {
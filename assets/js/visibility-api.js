@@ -0,0 +1,482 @@
+/* jshint esversion: 11 */
+
+/**
+ * Restrictly™ Visibility Conditions API.
+ *
+ * Public registry shared by block-visibility.js, editor.js and
+ * nav-screen-controls.js for the “Show this block to” options.
+ *
+ * Other plugins can add their own conditions by enqueuing a script that
+ * depends on `restrictly-visibility-api`:
+ *
+ *     window.restrictly.registerVisibilityCondition('gold_members', {
+ *         label: 'Gold Members',
+ *         attributes: { goldLevel: { type: 'string', default: 'gold' } },
+ *         edit: ({ attributes, setAttributes }) =>
+ *             wp.element.createElement(wp.components.TextControl, {
+ *                 label: 'Membership level',
+ *                 value: attributes.goldLevel,
+ *                 onChange: (goldLevel) => setAttributes({ goldLevel })
+ *             })
+ *     });
+ *
+ * The list can also be altered with the `restrictly.visibilityConditions`
+ * filter (wp.hooks). Conditions are evaluated on the server through the
+ * `restrictly_visibility_condition` PHP filter. An optional
+ * `canView(viewer, attributes)` callback lets the editor's “Preview as”
+ * mode evaluate the condition too; without it, previews treat the block as
+ * hidden (matching the server's default for unknown conditions).
+ *
+ * `window.restrictly.VisibilityToolbar` is the block toolbar dropdown shared
+ * by content blocks (block-visibility.js) and navigation blocks (editor.js),
+ * and `window.restrictly.CapabilityControl` the searchable “Requires
+ * capability” picker shared by every Restrictly panel.
+ *
+ * @package Restrictly
+ *
+ * @since   0.1.0
+ */
+
+(function (wp) {
+	// Prevent duplicate execution.
+	if (window.restrictly && window.restrictly.registerVisibilityCondition) return;
+
+	const { applyFilters } = wp.hooks;
+	const { createElement: el } = wp.element;
+	const { BlockControls } = wp.blockEditor;
+	const { ToolbarGroup, ToolbarDropdownMenu, MenuGroup, MenuItem, ComboboxControl } = wp.components;
+
+	// Localized by Base::register_visibility_api_script().
+	const apiSettings = window.restrictlyVisibilityApi || {};
+
+	/**
+	 * Get the capabilities localized by the server (RoleHelper::get_capability_options()).
+	 *
+	 * Read lazily, as each editor script localizes its own `RestrictlyBlockData`.
+	 *
+	 * @return {Object[]} Capabilities as { label, value, roles }.
+	 */
+	function getCapabilityOptions() {
+		const data = window.RestrictlyBlockData;
+
+		return data && Array.isArray(data.capabilities) ? data.capabilities : [];
+	}
+
+	// Built-in conditions, evaluated by Enforcement::can_view_by_visibility().
+	const CORE_CONDITIONS = [
+		{ name: 'everyone', label: 'Everyone', attributes: {}, edit: null },
+		{ name: 'logged_in', label: 'Logged-in Users', attributes: {}, edit: null },
+		{ name: 'logged_out', label: 'Logged-out Users', attributes: {}, edit: null }
+	];
+
+	const registered = {};
+
+	/**
+	 * Run the `blocks.registerBlockType` filters again on every registered block type.
+	 *
+	 * block-visibility.js and editor.js add the attributes of the available
+	 * conditions when a block type is registered, so block types registered
+	 * before a condition are processed again to pick up its attributes.
+	 *
+	 * @return {void}
+	 */
+	function reapplyBlockTypeFilters() {
+		const blocksStore = wp.data && wp.data.dispatch('core/blocks');
+
+		if (blocksStore && typeof blocksStore.reapplyBlockTypeFilters === 'function') {
+			blocksStore.reapplyBlockTypeFilters();
+		}
+	}
+
+	/**
+	 * Register a custom visibility condition.
+	 *
+	 * @param {string}   name                Unique condition key (stored in `restrictlyVisibility`).
+	 * @param {Object}   settings            Condition settings.
+	 * @param {string}   settings.label      Label shown in the “Show this block to” select.
+	 * @param {Object}   settings.attributes Optional. Block attributes the condition stores.
+	 * @param {Function} settings.edit       Optional. Component rendering the condition's inspector controls.
+	 * @param {string[]} settings.contexts   Optional. Limit to 'block', 'navigation' and/or 'navigation-screen'.
+	 * @param {Function} settings.canView    Optional. Receives (viewer, attributes) and returns a boolean for previews.
+	 * @return {Object|undefined} The registered condition, or undefined if the name is
+	 *                            invalid or reserved, or the label is missing.
+	 */
+	function registerVisibilityCondition(name, settings) {
+		if (typeof name !== 'string' || !/^[a-z0-9_-]+$/.test(name)) {
+			return undefined;
+		}
+
+		// Core keys and legacy `role_*` keys are reserved.
+		if (CORE_CONDITIONS.some((condition) => condition.name === name) || name.startsWith('role_')) {
+			return undefined;
+		}
+
+		if (!settings || !settings.label) {
+			return undefined;
+		}
+
+		registered[name] = Object.assign(
+			{ attributes: {}, edit: null, contexts: null, canView: null },
+			settings,
+			{
+				name
+			}
+		);
+
+		reapplyBlockTypeFilters();
+
+		return registered[name];
+	}
+
+	/**
+	 * Remove a previously registered custom visibility condition.
+	 *
+	 * @param {string} name Condition key.
+	 * @return {void}
+	 */
+	function unregisterVisibilityCondition(name) {
+		delete registered[name];
+		reapplyBlockTypeFilters();
+	}
+
+	/**
+	 * Get every visibility condition available in a context.
+	 *
+	 * @param {string} context One of 'block', 'navigation' or 'navigation-screen'.
+	 * @return {Object[]} Conditions, core ones first.
+	 */
+	function getVisibilityConditions(context) {
+		const custom = Object.values(registered).filter(
+			(condition) => !condition.contexts || condition.contexts.includes(context)
+		);
+
+		return applyFilters('restrictly.visibilityConditions', CORE_CONDITIONS.concat(custom), context);
+	}
+
+	/**
+	 * Get a single visibility condition by key.
+	 *
+	 * @param {string} name    Condition key.
+	 * @param {string} context Editor context.
+	 * @return {Object|undefined} The condition, if available.
+	 */
+	function getVisibilityCondition(name, context) {
+		return getVisibilityConditions(context).find((condition) => condition.name === name);
+	}
+
+	/**
+	 * Get SelectControl options for the available conditions.
+	 *
+	 * @param {string} context Editor context.
+	 * @return {Object[]} Options as { label, value }.
+	 */
+	function getVisibilityOptions(context) {
+		return getVisibilityConditions(context).map((condition) => ({
+			label: condition.label,
+			value: condition.name
+		}));
+	}
+
+	/**
+	 * Get the block attributes required by custom conditions in a context.
+	 *
+	 * @param {string} context Editor context.
+	 * @return {Object} Attribute definitions keyed by attribute name.
+	 */
+	function getConditionAttributes(context) {
+		return getVisibilityConditions(context).reduce(
+			(attributes, condition) => Object.assign(attributes, condition.attributes || {}),
+			{}
+		);
+	}
+
+	/**
+	 * Prepare a block's attributes for a condition's inspector controls.
+	 *
+	 * Fills in the condition's defaults for attributes the block has no value
+	 * for yet (e.g. blocks inserted before the condition was registered).
+	 *
+	 * @param {Object} condition  Visibility condition.
+	 * @param {Object} attributes Block attributes.
+	 * @return {Object} Attributes, condition defaults filled in.
+	 */
+	function getConditionBlockAttributes(condition, attributes) {
+		const defaults = {};
+
+		Object.keys(condition.attributes || {}).forEach((key) => {
+			defaults[key] = condition.attributes[key].default;
+		});
+
+		return { ...defaults, ...attributes };
+	}
+
+	/**
+	 * Determine where a block sits relative to its schedule.
+	 *
+	 * @param {Object} attributes Block attributes (`restrictlyStart`, `restrictlyEnd`).
+	 * @return {string} '' (no schedule), 'scheduled', 'active' or 'expired'.
+	 */
+	function getScheduleStatus(attributes) {
+		const start = attributes.restrictlyStart;
+		const end = attributes.restrictlyEnd;
+
+		if (!start && !end) {
+			return '';
+		}
+
+		// getDate() reads the strings in the site timezone, matching the server.
+		const now = new Date();
+
+		if (end && wp.date.getDate(end) <= now) {
+			return 'expired';
+		}
+
+		if (start && wp.date.getDate(start) > now) {
+			return 'scheduled';
+		}
+
+		return 'active';
+	}
+
+	/**
+	 * Determine whether a viewer would see a block on the front end.
+	 *
+	 * Mirrors Enforcement::can_view_by_visibility() and the schedule check in
+	 * BlockVisibility::apply_visibility_rules().
+	 *
+	 * @param {Object}   attributes      Block attributes.
+	 * @param {Object}   viewer          Simulated viewer.
+	 * @param {boolean}  viewer.loggedIn Whether the viewer is logged in.
+	 * @param {string[]} viewer.roles    Role slugs held by the viewer.
+	 * @return {boolean} True if the block would be shown.
+	 */
+	function canView(attributes, viewer) {
+		const status = getScheduleStatus(attributes);
+
+		if (status === 'scheduled' || status === 'expired') {
+			return false;
+		}
+
+		// Always allow administrators if configured to do so.
+		if (apiSettings.alwaysAllowAdmins && viewer.roles.includes('administrator')) {
+			return true;
+		}
+
+		// A required capability must be granted by one of the viewer's roles.
+		if (attributes.restrictlyCapability) {
+			const capability = getCapabilityOptions().find(
+				(option) => option.value === attributes.restrictlyCapability
+			);
+
+			if (!capability || !capability.roles.some((role) => viewer.roles.includes(role))) {
+				return false;
+			}
+		}
+
+		const visibility = attributes.restrictlyVisibility || 'everyone';
+		const roles = (attributes.restrictlyRoles || []).map((role) => String(role).toLowerCase());
+		const hasRole = roles.some((role) => viewer.roles.includes(role));
+
+		// In "exclude" mode the roles are denied instead of required.
+		const roleRuleMatches = attributes.restrictlyRoleMode === 'exclude' ? !hasRole : hasRole;
+
+		if (visibility === 'everyone') {
+			return true;
+		}
+
+		if (visibility === 'logged_in') {
+			return viewer.loggedIn && (!roles.length || roleRuleMatches);
+		}
+
+		if (visibility === 'logged_out') {
+			return !viewer.loggedIn;
+		}
+
+		if (visibility === 'roles') {
+			return viewer.loggedIn && (!roles.length || roleRuleMatches);
+		}
+
+		// Support old-style "role_editor", "role_subscriber", etc.
+		if (visibility.startsWith('role_')) {
+			return viewer.loggedIn && viewer.roles.includes(visibility.slice(5).toLowerCase());
+		}
+
+		// Custom conditions decide for themselves; unknown ones are hidden.
+		const condition = registered[visibility];
+
+		return !!(condition && condition.canView && condition.canView(viewer, attributes));
+	}
+
+	// Toolbar icon (Dashicon) for each core audience.
+	const AUDIENCE_ICONS = {
+		everyone: 'visibility',
+		logged_in: 'lock',
+		logged_out: 'unlock'
+	};
+
+	// Labels for the two ways the selected roles can be applied.
+	const ROLE_MODES = [
+		{ label: 'Only these roles', value: 'include' },
+		{ label: 'All except these roles', value: 'exclude' }
+	];
+
+	/**
+	 * Block toolbar dropdown for switching audience and toggling roles.
+	 *
+	 * @param {Object}   props               Component props.
+	 * @param {Object}   props.attributes    Block attributes.
+	 * @param {Function} props.setAttributes Block attribute setter.
+	 * @param {string}   props.context       'block' or 'navigation'.
+	 * @param {Object[]} props.roleOptions   Roles as { label, value }.
+	 * @return {Object} React element.
+	 */
+	function VisibilityToolbar({ attributes, setAttributes, context, roleOptions }) {
+		const visibility = attributes.restrictlyVisibility || 'everyone';
+		const selectedRoles = attributes.restrictlyRoles || [];
+		const roleMode = attributes.restrictlyRoleMode || 'include';
+		const current = getVisibilityCondition(visibility, context);
+		const audience = current ? current.label : visibility;
+
+		/**
+		 * Add or remove a role from the block.
+		 *
+		 * @param {string} role Role slug.
+		 */
+		const toggleRole = (role) => {
+			const updated = new Set(selectedRoles);
+
+			if (updated.has(role)) {
+				updated.delete(role);
+			} else {
+				updated.add(role);
+			}
+
+			setAttributes({ restrictlyRoles: Array.from(updated) });
+		};
+
+		return el(
+			BlockControls,
+			{ group: 'other' },
+			el(
+				ToolbarGroup,
+				null,
+				el(
+					ToolbarDropdownMenu,
+					{
+						icon: AUDIENCE_ICONS[visibility] || 'filter',
+						label: `Restrictly visibility: ${audience}`
+					},
+					({ onClose }) => [
+						el(
+							MenuGroup,
+							{ key: 'audience', label: 'Show to' },
+							getVisibilityOptions(context).map((option) =>
+								el(
+									MenuItem,
+									{
+										key: option.value,
+										role: 'menuitemradio',
+										isSelected: option.value === visibility,
+										icon: option.value === visibility ? 'yes' : null,
+										onClick: () => {
+											const next = { restrictlyVisibility: option.value };
+
+											if (option.value !== 'logged_in') {
+												next.restrictlyRoles = [];
+												next.restrictlyRoleMode = 'include';
+												next.restrictlyCapability = '';
+											}
+
+											setAttributes(next);
+											onClose();
+										}
+									},
+									option.label
+								)
+							)
+						),
+						visibility === 'logged_in' &&
+							roleOptions.length > 0 &&
+							el(
+								MenuGroup,
+								{ key: 'roles', label: 'Limit to roles' },
+								roleOptions.map((role) =>
+									el(
+										MenuItem,
+										{
+											key: role.value,
+											role: 'menuitemcheckbox',
+											isSelected: selectedRoles.includes(role.value),
+											icon: selectedRoles.includes(role.value) ? 'yes' : null,
+											onClick: () => toggleRole(role.value)
+										},
+										role.label
+									)
+								)
+							),
+						visibility === 'logged_in' &&
+							roleOptions.length > 0 &&
+							el(
+								MenuGroup,
+								{ key: 'role-mode', label: 'Role rule' },
+								ROLE_MODES.map((mode) =>
+									el(
+										MenuItem,
+										{
+											key: mode.value,
+											role: 'menuitemradio',
+											isSelected: mode.value === roleMode,
+											icon: mode.value === roleMode ? 'yes' : null,
+											onClick: () => setAttributes({ restrictlyRoleMode: mode.value })
+										},
+										mode.label
+									)
+								)
+							)
+					]
+				)
+			)
+		);
+	}
+
+	/**
+	 * Searchable “Requires capability” picker.
+	 *
+	 * @param {Object}   props              Component props.
+	 * @param {string}   props.value        Selected capability ('' for none).
+	 * @param {Function} props.onChange     Receives the new capability ('' when cleared).
+	 * @param {string}   props.help         Optional. Help text.
+	 * @param {Object[]} props.capabilities Optional. Capabilities as { label, value }; defaults to getCapabilityOptions().
+	 * @return {Object} React element.
+	 */
+	function CapabilityControl({ value, onChange, help, capabilities }) {
+		return el(ComboboxControl, {
+			label: 'Requires capability:',
+			value: value || '',
+			options: (capabilities || getCapabilityOptions()).map((option) => ({
+				label: option.label,
+				value: option.value
+			})),
+			onChange: (capability) => onChange(capability || ''),
+			help: help || 'Only users with this capability can see it. Leave empty for no requirement.',
+			__next40pxDefaultSize: true,
+			__nextHasNoMarginBottom: true
+		});
+	}
+
+	window.restrictly = Object.assign(window.restrictly || {}, {
+		registerVisibilityCondition,
+		unregisterVisibilityCondition,
+		getVisibilityConditions,
+		getVisibilityCondition,
+		getVisibilityOptions,
+		getConditionAttributes,
+		getConditionBlockAttributes,
+		getScheduleStatus,
+		canView,
+		ROLE_MODES,
+		getCapabilityOptions,
+		VisibilityToolbar,
+		CapabilityControl
+	});
+})(window.wp);
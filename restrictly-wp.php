@@ -38,18 +38,25 @@ use Restrictly\Core\Common\Base;
 use Restrictly\Core\Common\Enforcement;
 use Restrictly\Core\Common\QueryFilter;
 use Restrictly\Core\Common\FSEHandler;
+use Restrictly\Core\Common\PageAccessMeta;
 
 // REST.
 use Restrictly\Core\Rest\RestHandler;
 
 // Admin.
 use Restrictly\Core\Admin\Settings;
+use Restrictly\Core\Admin\ImportExport;
+use Restrictly\Core\Admin\AccessTester;
+use Restrictly\Core\Admin\AuditReport;
+use Restrictly\Core\Admin\LinkPicker;
+use Restrictly\Core\Admin\MenuMatrix;
 use Restrictly\Core\Admin\Menus;
 use Restrictly\Core\Admin\FSENavigation;
 use Restrictly\Core\Admin\ContentTypeBase;
 use Restrictly\Core\Admin\StandardEditContentType;
 use Restrictly\Core\Admin\QuickEditContentType;
 use Restrictly\Core\Admin\BulkEditContentType;
+use Restrictly\Core\Admin\BulkEditHistory;
 use Restrictly\Core\Admin\BlockVisibility;
 use Restrictly\Core\Admin\EditorNavigation;
 
@@ -83,6 +90,15 @@ function restrictly_wp_init(): void {
 	FSEHandler::init();
 	RestHandler::init();
 
+	// Page access meta (REST registration for the block editor panel).
+	PageAccessMeta::init();
+
+	// Block visibility (attribute registration + frontend enforcement).
+	BlockVisibility::init();
+
+	// Navigation submenu visibility cascade (applied when menus render).
+	FSENavigation::init_cascade();
+
 	/*
 	|--------------------------------------------------------------------------
 	| Admin-only services.
@@ -99,15 +115,20 @@ function restrictly_wp_init(): void {
 
 		// Settings pages.
 		Settings::init();
+		ImportExport::init();
+		AccessTester::init();
+		AuditReport::init();
+		LinkPicker::init();
+		MenuMatrix::init();
 
 		// Content type editors.
 		ContentTypeBase::init();
 		StandardEditContentType::init();
 		QuickEditContentType::init();
 		BulkEditContentType::init();
+		BulkEditHistory::init();
 
 		// Block and editor integrations.
-		BlockVisibility::init();
 		EditorNavigation::init();
 	}
 }
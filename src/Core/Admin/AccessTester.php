@@ -0,0 +1,485 @@
+<?php
+/**
+ * Explains why a user can or cannot see a piece of content.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\Enforcement;
+use Restrictly\Core\Common\RoleHelper;
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Powers the Access Tester on the Settings page.
+ *
+ * The test temporarily switches the current user to the chosen user (or to
+ * a logged-out visitor) and runs the same checks the front end runs: the
+ * page access rules, the REST/listing check, the classic menu filter and the
+ * block and Navigation visibility rules. The original user is restored
+ * before the response is sent.
+ *
+ * @since 0.1.0
+ */
+class AccessTester {
+
+	/**
+	 * Initializes the Access Tester AJAX handler.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_restrictly_access_test', array( __CLASS__, 'ajax_test' ) );
+	}
+
+	/**
+	 * Runs a test and sends the explanation.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_test(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_access_test_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'You are not allowed to use the Access Tester.', 'restrictly-wp' ) ) );
+		}
+
+		$user_id = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+		$target  = isset( $_POST['target'] ) ? sanitize_text_field( wp_unslash( $_POST['target'] ) ) : '';
+		$post    = self::resolve_target( $target );
+
+		if ( ! $post ) {
+			wp_send_json_error( array( 'message' => __( 'No content was found for this URL or post ID.', 'restrictly-wp' ) ) );
+		}
+
+		if ( $user_id && ! get_userdata( $user_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'The selected user does not exist.', 'restrictly-wp' ) ) );
+		}
+
+		wp_send_json_success( self::run( $post, $user_id ) );
+	}
+
+	/**
+	 * Runs every check for a post as the given user.
+	 *
+	 * @param WP_Post $post    Post to test.
+	 * @param int     $user_id User ID, or 0 for a logged-out visitor.
+	 *
+	 * @return array<string,mixed> Test result.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function run( WP_Post $post, int $user_id ): array {
+		$original_user_id = get_current_user_id();
+
+		wp_set_current_user( $user_id );
+
+		try {
+			$user = wp_get_current_user();
+
+			return array(
+				'post'        => array(
+					'id'    => $post->ID,
+					'title' => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+					'url'   => (string) get_permalink( $post ),
+				),
+				'user'        => $user_id ? sprintf( '%s (%s)', $user->display_name, self::get_role_names( (array) $user->roles ) ) : __( 'Logged-out visitor', 'restrictly-wp' ),
+				'content'     => self::explain_content( $post ),
+				'blocks'      => self::find_hidden_blocks( parse_blocks( $post->post_content ) ),
+				'menu_items'  => self::find_hidden_menu_items(),
+				'navigations' => self::find_hidden_navigations(),
+			);
+		} finally {
+			wp_set_current_user( $original_user_id );
+		}
+	}
+
+	/**
+	 * Resolves a URL or post ID to a post.
+	 *
+	 * @param string $target URL or post ID.
+	 *
+	 * @return WP_Post|null Post, or null when nothing matches.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function resolve_target( string $target ): ?WP_Post {
+		$target = trim( $target );
+
+		if ( '' === $target ) {
+			return null;
+		}
+
+		if ( ctype_digit( $target ) ) {
+			return get_post( (int) $target );
+		}
+
+		$post_id = url_to_postid( $target );
+
+		// The front page URL only resolves through the "page_on_front" option.
+		if ( ! $post_id && untrailingslashit( $target ) === untrailingslashit( home_url() ) ) {
+			$post_id = (int) get_option( 'page_on_front' );
+		}
+
+		return $post_id ? get_post( $post_id ) : null;
+	}
+
+	/**
+	 * Explains the page access decision for a post.
+	 *
+	 * @param WP_Post $post Post.
+	 *
+	 * @return array<string,mixed> Allowed flag, summary, rule checks, enforcement action and REST visibility.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function explain_content( WP_Post $post ): array {
+		$decision     = Enforcement::get_page_access_decision( $post->ID );
+		$is_logged_in = is_user_logged_in();
+		$checks       = array();
+
+		$login_labels = array(
+			'logged_in_users'  => __( 'Only logged-in users', 'restrictly-wp' ),
+			'logged_out_users' => __( 'Only logged-out visitors', 'restrictly-wp' ),
+		);
+
+		$checks[] = array(
+			'rule'   => __( 'Login status', 'restrictly-wp' ),
+			'detail' => sprintf(
+				// translators: 1: the rule, 2: whether the user is logged in.
+				__( '%1$s; the user is %2$s.', 'restrictly-wp' ),
+				$login_labels[ $decision['login_status'] ] ?? __( 'Everyone', 'restrictly-wp' ),
+				$is_logged_in ? __( 'logged in', 'restrictly-wp' ) : __( 'logged out', 'restrictly-wp' )
+			),
+			'passed' => 'login_status' !== $decision['blocked_by'],
+		);
+
+		if ( ! empty( $decision['roles'] ) ) {
+			$checks[] = array(
+				'rule'   => __( 'Role rule', 'restrictly-wp' ),
+				'detail' => sprintf(
+					// translators: 1: the rule, 2: the user's roles.
+					__( '%1$s; the user has: %2$s.', 'restrictly-wp' ),
+					sprintf(
+						'exclude' === $decision['role_mode']
+							// translators: %s is a list of role names.
+							? __( 'Everyone except %s', 'restrictly-wp' )
+							// translators: %s is a list of role names.
+							: __( 'Only %s', 'restrictly-wp' ),
+						self::get_role_names( $decision['roles'] )
+					),
+					self::get_role_names( (array) wp_get_current_user()->roles )
+				),
+				'passed' => ! in_array( $decision['blocked_by'], array( 'login_status', 'role' ), true ),
+			);
+		}
+
+		if ( '' !== $decision['capability'] ) {
+			$checks[] = array(
+				'rule'   => __( 'Required capability', 'restrictly-wp' ),
+				'detail' => sprintf(
+					// translators: 1: capability name, 2: whether the user has it.
+					__( '%1$s; the user %2$s it.', 'restrictly-wp' ),
+					$decision['capability'],
+					current_user_can( $decision['capability'] ) ? __( 'has', 'restrictly-wp' ) : __( 'does not have', 'restrictly-wp' )
+				),
+				'passed' => '' === $decision['blocked_by'],
+			);
+		}
+
+		$allowed = '' === $decision['blocked_by'] || $decision['admin_bypass'];
+
+		if ( '' === $decision['blocked_by'] ) {
+			$summary = __( 'Allowed: the user passes every rule of this content.', 'restrictly-wp' );
+		} elseif ( $decision['admin_bypass'] ) {
+			$summary = __( 'Allowed: the user fails a rule, but “Always Allow Administrators” is on.', 'restrictly-wp' );
+		} else {
+			$summary = sprintf(
+				// translators: %s is the name of the failing rule.
+				__( 'Blocked by the %s.', 'restrictly-wp' ),
+				array(
+					'login_status' => __( 'login status rule', 'restrictly-wp' ),
+					'role'         => __( 'role rule', 'restrictly-wp' ),
+					'capability'   => __( 'required capability', 'restrictly-wp' ),
+				)[ $decision['blocked_by'] ]
+			);
+		}
+
+		return array(
+			'allowed'      => $allowed,
+			'summary'      => $summary,
+			'checks'       => $checks,
+			'action'       => $allowed ? '' : self::describe_action( $decision, $post ),
+			'rest_visible' => Enforcement::can_access( $post->ID ),
+		);
+	}
+
+	/**
+	 * Describes the enforcement action that would fire.
+	 *
+	 * @param array<string,mixed> $decision Page access decision.
+	 * @param WP_Post             $post     Post.
+	 *
+	 * @return string Description.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function describe_action( array $decision, WP_Post $post ): string {
+		if ( 'custom_url' === $decision['action'] ) {
+			$url = '' !== $decision['forward_url'] ? $decision['forward_url'] : wp_login_url( (string) get_permalink( $post ) );
+
+			// translators: %s is the redirect URL.
+			return sprintf( __( 'Redirects to %s', 'restrictly-wp' ), $url );
+		}
+
+		if ( 'login_redirect' === $decision['action'] && ! is_user_logged_in() ) {
+			// translators: %s is the login URL.
+			return sprintf( __( 'Redirects to the login page, then back: %s', 'restrictly-wp' ), wp_login_url( (string) get_permalink( $post ) ) );
+		}
+
+		if ( 'not_found' === $decision['action'] ) {
+			return __( 'Shows the theme’s 404 page', 'restrictly-wp' );
+		}
+
+		$message = '' !== $decision['message'] ? $decision['message'] : __( 'You do not have permission to view this content.', 'restrictly-wp' );
+
+		if ( 'teaser' === $decision['action'] ) {
+			// translators: %s is the call to action message.
+			return sprintf( __( 'Shows the excerpt, followed by: “%s”', 'restrictly-wp' ), wp_strip_all_tags( $message ) );
+		}
+
+		// translators: %s is the access denied message.
+		return sprintf( __( 'Shows the message: “%s”', 'restrictly-wp' ), wp_strip_all_tags( $message ) );
+	}
+
+	/**
+	 * Lists the blocks the current user would not see.
+	 *
+	 * @param array<int,array<string,mixed>> $blocks Parsed blocks.
+	 *
+	 * @return array<int,array<string,string>> Block label and reason.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_hidden_blocks( array $blocks ): array {
+		$hidden = array();
+
+		foreach ( $blocks as $block ) {
+			$attrs      = $block['attrs'] ?? array();
+			$visibility = isset( $attrs['restrictlyVisibility'] ) ? (string) $attrs['restrictlyVisibility'] : 'everyone';
+			$roles      = isset( $attrs['restrictlyRoles'] ) ? (array) $attrs['restrictlyRoles'] : array();
+			$reason     = '';
+
+			if ( ! Enforcement::can_view_by_visibility( $visibility, $roles, $attrs ) ) {
+				$reason = sprintf(
+					// translators: %s is the visibility condition.
+					__( 'Visibility rule: %s', 'restrictly-wp' ),
+					self::describe_rule( $visibility, $roles, $attrs )
+				);
+			} elseif ( ! BlockVisibility::is_within_schedule( $attrs ) ) {
+				$reason = __( 'Outside its schedule', 'restrictly-wp' );
+			}
+
+			if ( '' !== $reason ) {
+				$hidden[] = array(
+					'label'  => self::get_block_label( $block ),
+					'reason' => $reason,
+				);
+
+				// Inner blocks of a hidden block are hidden with it.
+				continue;
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$hidden = array_merge( $hidden, self::find_hidden_blocks( $block['innerBlocks'] ) );
+			}
+		}
+
+		return $hidden;
+	}
+
+	/**
+	 * Lists the classic menu items the current user would not see.
+	 *
+	 * @return array<int,array<string,string>> Menu item label and reason.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_hidden_menu_items(): array {
+		$hidden = array();
+
+		foreach ( wp_get_nav_menus() as $menu ) {
+			$items   = (array) wp_get_nav_menu_items( $menu->term_id );
+			$visible = wp_list_pluck( Enforcement::restrictly_filter_menu_items( $items ), 'ID' );
+			$ids     = wp_list_pluck( $items, 'ID' );
+
+			foreach ( $items as $item ) {
+				if ( in_array( $item->ID, $visible, true ) ) {
+					continue;
+				}
+
+				$own_rule  = (string) get_post_meta( $item->ID, 'restrictly_menu_visibility', true );
+				$parent_id = (int) $item->menu_item_parent;
+
+				if ( $parent_id && in_array( $parent_id, $ids, true ) && ! in_array( $parent_id, $visible, true ) ) {
+					$reason = __( 'Its parent menu item is hidden', 'restrictly-wp' );
+				} elseif ( in_array( $own_rule, array( '', 'everyone' ), true ) && empty( get_post_meta( $item->ID, 'restrictly_menu_roles', true ) ) ) {
+					$reason = __( 'The linked content is restricted', 'restrictly-wp' );
+				} else {
+					$reason = __( 'Menu item visibility rule', 'restrictly-wp' );
+				}
+
+				$hidden[] = array(
+					'label'  => sprintf( '%s → %s', $menu->name, $item->title ),
+					'reason' => $reason,
+				);
+			}
+		}
+
+		return $hidden;
+	}
+
+	/**
+	 * Lists the Navigation menus, and links inside them, the current user would not see.
+	 *
+	 * @return array<int,array<string,string>> Navigation label and reason.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_hidden_navigations(): array {
+		$hidden = array();
+
+		$navigations = get_posts(
+			array(
+				'post_type'   => 'wp_navigation',
+				'post_status' => 'publish',
+				'numberposts' => -1,
+			)
+		);
+
+		foreach ( $navigations as $navigation ) {
+			$title      = html_entity_decode( get_the_title( $navigation ), ENT_QUOTES, 'UTF-8' );
+			$visibility = (string) get_post_meta( $navigation->ID, '_restrictly_visibility', true );
+			$roles      = (array) get_post_meta( $navigation->ID, '_restrictly_roles', true );
+			$attrs      = array_merge(
+				(array) get_post_meta( $navigation->ID, '_restrictly_condition_attributes', true ),
+				array(
+					'restrictlyRoleMode'   => (string) get_post_meta( $navigation->ID, '_restrictly_role_mode', true ),
+					'restrictlyCapability' => (string) get_post_meta( $navigation->ID, '_restrictly_capability', true ),
+				)
+			);
+
+			if ( ! Enforcement::can_view_by_visibility( '' !== $visibility ? $visibility : 'everyone', $roles, $attrs ) ) {
+				$hidden[] = array(
+					'label'  => $title,
+					'reason' => sprintf(
+						// translators: %s is the visibility condition.
+						__( 'Visibility rule: %s', 'restrictly-wp' ),
+						self::describe_rule( $visibility, $roles, $attrs )
+					),
+				);
+				continue;
+			}
+
+			foreach ( self::find_hidden_blocks( parse_blocks( $navigation->post_content ) ) as $link ) {
+				$hidden[] = array(
+					'label'  => sprintf( '%s → %s', $title, $link['label'] ),
+					'reason' => $link['reason'],
+				);
+			}
+		}
+
+		return $hidden;
+	}
+
+	/**
+	 * Describes a visibility rule in words.
+	 *
+	 * @param string              $visibility Visibility condition.
+	 * @param string[]            $roles      Role slugs.
+	 * @param array<string,mixed> $attrs      Rule attributes.
+	 *
+	 * @return string Description.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function describe_rule( string $visibility, array $roles, array $attrs ): string {
+		$labels = array(
+			'logged_in'  => __( 'logged-in users', 'restrictly-wp' ),
+			'logged_out' => __( 'logged-out visitors', 'restrictly-wp' ),
+		);
+
+		$parts = array( $labels[ $visibility ] ?? $visibility );
+
+		if ( ! empty( $roles ) && 'logged_in' === $visibility ) {
+			$parts[] = sprintf(
+				'exclude' === ( $attrs['restrictlyRoleMode'] ?? '' )
+					// translators: %s is a list of role names.
+					? __( 'except %s', 'restrictly-wp' )
+					// translators: %s is a list of role names.
+					: __( 'only %s', 'restrictly-wp' ),
+				self::get_role_names( $roles )
+			);
+		}
+
+		if ( ! empty( $attrs['restrictlyCapability'] ) ) {
+			// translators: %s is a capability name.
+			$parts[] = sprintf( __( 'requires %s', 'restrictly-wp' ), (string) $attrs['restrictlyCapability'] );
+		}
+
+		return implode( ', ', $parts );
+	}
+
+	/**
+	 * Builds a readable block label.
+	 *
+	 * @param array<string,mixed> $block Parsed block.
+	 *
+	 * @return string Block title, with the link label for navigation links.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_block_label( array $block ): string {
+		$block_type = \WP_Block_Type_Registry::get_instance()->get_registered( (string) $block['blockName'] );
+		$label      = $block_type && $block_type->title ? $block_type->title : (string) $block['blockName'];
+
+		if ( ! empty( $block['attrs']['label'] ) ) {
+			$label .= ': ' . wp_strip_all_tags( (string) $block['attrs']['label'] );
+		}
+
+		return $label;
+	}
+
+	/**
+	 * Converts role slugs into a list of role names.
+	 *
+	 * @param string[] $roles Role slugs.
+	 *
+	 * @return string Comma-separated role names, or "none".
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_role_names( array $roles ): string {
+		$names = RoleHelper::get_available_roles();
+
+		if ( empty( $roles ) ) {
+			return __( 'no role', 'restrictly-wp' );
+		}
+
+		return implode( ', ', array_map( static fn( $role ) => $names[ $role ] ?? (string) $role, $roles ) );
+	}
+}
@@ -0,0 +1,512 @@
+<?php
+/**
+ * Builds the Restrictly™ site-wide restriction audit report.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\Enforcement;
+use Restrictly\Core\Common\RoleHelper;
+use WP_Block_Type_Registry;
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Collects every restricted item on the site into one list: content with
+ * access meta, classic menu items, Navigation menus and blocks with a
+ * Restrictly™ visibility rule.
+ *
+ * Each row also lists which roles (and logged-out visitors, as `guest`) can
+ * see the item, so the Settings page can filter the report by role.
+ *
+ * @since 0.1.0
+ */
+class AuditReport {
+
+	/**
+	 * Pseudo role used for logged-out visitors.
+	 *
+	 * @since 0.1.0
+	 */
+	public const GUEST = 'guest';
+
+	/**
+	 * Initializes the report AJAX handler.
+	 *
+	 * The report scans every post, so it is only built when its tab is opened.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_restrictly_audit_report', array( __CLASS__, 'ajax_rows' ) );
+	}
+
+	/**
+	 * Sends the report rows as table HTML.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_rows(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_audit_report_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'You are not allowed to view the audit report.', 'restrictly-wp' ) ) );
+		}
+
+		ob_start();
+		self::render_rows( self::get_rows() );
+
+		wp_send_json_success( array( 'html' => (string) ob_get_clean() ) );
+	}
+
+	/**
+	 * Outputs the report table rows.
+	 *
+	 * @param array<int,array<string,mixed>> $rows Rows from get_rows().
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function render_rows( array $rows ): void {
+		foreach ( $rows as $row ) :
+			?>
+			<tr data-type="<?php echo esc_attr( $row['type'] ); ?>"
+				data-action="<?php echo esc_attr( $row['action'] ); ?>"
+				data-visible-to="<?php echo esc_attr( null === $row['visible_to'] ? '*' : implode( ' ', $row['visible_to'] ) ); ?>">
+				<td><?php echo esc_html( $row['type_label'] ); ?></td>
+				<td>
+					<?php if ( '' !== $row['edit_url'] ) : ?>
+						<a href="<?php echo esc_url( $row['edit_url'] ); ?>"><?php echo esc_html( $row['title'] ); ?></a>
+					<?php else : ?>
+						<?php echo esc_html( $row['title'] ); ?>
+					<?php endif; ?>
+				</td>
+				<td><?php echo esc_html( $row['audience_label'] ); ?></td>
+				<td><?php echo esc_html( $row['roles_label'] ); ?></td>
+				<td><?php echo esc_html( $row['capability'] ); ?></td>
+				<td><?php echo esc_html( $row['action_label'] ); ?></td>
+			</tr>
+			<?php
+		endforeach;
+	}
+
+	/**
+	 * Builds the report rows.
+	 *
+	 * @return array<int,array<string,mixed>> Rows with type, type_label, title, edit_url, audience,
+	 *                                        audience_label, roles_label, capability, action,
+	 *                                        action_label and visible_to (null when a custom
+	 *                                        condition decides).
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_rows(): array {
+		return array_merge(
+			self::get_content_rows(),
+			self::get_menu_item_rows(),
+			self::get_navigation_rows(),
+			self::get_block_rows()
+		);
+	}
+
+	/**
+	 * Retrieves the action labels used in the report, keyed by action.
+	 *
+	 * @return array<string,string> Action => label.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_action_labels(): array {
+		return array(
+			'default'          => __( 'Default action', 'restrictly-wp' ),
+			'custom_message'   => __( 'Custom message', 'restrictly-wp' ),
+			'custom_url'       => __( 'Forward to URL', 'restrictly-wp' ),
+			'login_redirect'   => __( 'Redirect to login', 'restrictly-wp' ),
+			'not_found'        => __( 'Pretend not found', 'restrictly-wp' ),
+			'teaser'           => __( 'Excerpt teaser', 'restrictly-wp' ),
+			'hidden'           => __( 'Hidden', 'restrictly-wp' ),
+			'fallback_message' => __( 'Replaced with a message', 'restrictly-wp' ),
+			'fallback_login'   => __( 'Replaced with a login link', 'restrictly-wp' ),
+			'fallback_pattern' => __( 'Replaced with a pattern', 'restrictly-wp' ),
+		);
+	}
+
+	/**
+	 * Builds the rows of restricted posts, pages and custom post types.
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_content_rows(): array {
+		$content_types = array_filter( (array) get_option( 'restrictly_content_types', array( 'page' ) ), 'post_type_exists' );
+
+		if ( empty( $content_types ) ) {
+			return array();
+		}
+
+		$posts = get_posts(
+			array(
+				'post_type'   => array_values( $content_types ),
+				'post_status' => 'any',
+				'numberposts' => -1,
+				'orderby'     => 'title',
+				'order'       => 'ASC',
+				'meta_query'  => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'     => 'restrictly_page_access_by_login_status',
+						'value'   => array( 'logged_in_users', 'logged_out_users' ),
+						'compare' => 'IN',
+					),
+				),
+			)
+		);
+
+		$labels = self::get_action_labels();
+		$rows   = array();
+
+		foreach ( $posts as $post ) {
+			$action = (string) get_post_meta( $post->ID, 'restrictly_enforcement_action', true );
+			$action = isset( $labels[ $action ] ) ? $action : 'default';
+
+			$action_label = $labels[ $action ];
+			if ( 'custom_url' === $action ) {
+				$action_label .= ': ' . Enforcement::resolve_forward_url(
+					(string) get_post_meta( $post->ID, 'restrictly_custom_forward_url', true ),
+					(int) get_post_meta( $post->ID, 'restrictly_custom_forward_post_id', true )
+				);
+			}
+
+			$object = get_post_type_object( $post->post_type );
+			$status = (string) get_post_meta( $post->ID, 'restrictly_page_access_by_login_status', true );
+
+			$rows[] = self::build_row(
+				array(
+					'type'         => 'content',
+					'type_label'   => $object ? $object->labels->singular_name : $post->post_type,
+					'title'        => self::get_post_title( $post ),
+					'edit_url'     => (string) get_edit_post_link( $post->ID, 'raw' ),
+					'audience'     => 'logged_out_users' === $status ? 'logged_out' : 'logged_in',
+					'roles'        => (array) get_post_meta( $post->ID, 'restrictly_page_access_by_role', true ),
+					'role_mode'    => (string) get_post_meta( $post->ID, 'restrictly_page_access_role_mode', true ),
+					'capability'   => (string) get_post_meta( $post->ID, 'restrictly_page_access_capability', true ),
+					'action'       => $action,
+					'action_label' => $action_label,
+				)
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Builds the rows of restricted classic menu items.
+	 *
+	 * Items are listed with the rule Enforcement::restrictly_filter_menu_items()
+	 * applies, so children of a cascading parent show the rule they inherit.
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_menu_item_rows(): array {
+		$rows = array();
+
+		foreach ( wp_get_nav_menus() as $menu ) {
+			foreach ( (array) wp_get_nav_menu_items( $menu->term_id ) as $item ) {
+				// The rule the item is displayed with, inherited from a cascading parent if so.
+				$rule       = Enforcement::get_menu_item_rule( (int) $item->ID );
+				$visibility = $rule['visibility'];
+
+				if ( ! in_array( $visibility, array( 'logged_in_users', 'logged_out_users' ), true ) ) {
+					continue;
+				}
+
+				$rows[] = self::build_row(
+					array(
+						'type'         => 'menu_item',
+						'type_label'   => __( 'Menu item', 'restrictly-wp' ),
+						'title'        => sprintf( '%s → %s', $menu->name, $item->title ),
+						'edit_url'     => admin_url( 'nav-menus.php?action=edit&menu=' . (int) $menu->term_id ),
+						'audience'     => 'logged_out_users' === $visibility ? 'logged_out' : 'logged_in',
+						'roles'        => $rule['roles'],
+						'role_mode'    => $rule['role_mode'],
+						'capability'   => '',
+						'action'       => 'hidden',
+						'action_label' => self::get_action_labels()['hidden'],
+					)
+				);
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Builds the rows of restricted Navigation menus (block themes).
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_navigation_rows(): array {
+		$posts = get_posts(
+			array(
+				'post_type'   => 'wp_navigation',
+				'post_status' => 'any',
+				'numberposts' => -1,
+				'meta_query'  => array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+					array(
+						'key'     => '_restrictly_visibility',
+						'value'   => array( '', 'everyone' ),
+						'compare' => 'NOT IN',
+					),
+				),
+			)
+		);
+
+		$rows = array();
+
+		foreach ( $posts as $post ) {
+			$rows[] = self::build_row(
+				array(
+					'type'         => 'navigation',
+					'type_label'   => __( 'Navigation', 'restrictly-wp' ),
+					'title'        => self::get_post_title( $post ),
+					'edit_url'     => (string) get_edit_post_link( $post->ID, 'raw' ),
+					'audience'     => (string) get_post_meta( $post->ID, '_restrictly_visibility', true ),
+					'roles'        => (array) get_post_meta( $post->ID, '_restrictly_roles', true ),
+					'role_mode'    => (string) get_post_meta( $post->ID, '_restrictly_role_mode', true ),
+					'capability'   => (string) get_post_meta( $post->ID, '_restrictly_capability', true ),
+					'action'       => 'hidden',
+					'action_label' => self::get_action_labels()['hidden'],
+				)
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Builds the rows of blocks with a Restrictly™ visibility rule.
+	 *
+	 * Searches the content of every non-revision post, including templates,
+	 * template parts and synced patterns.
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_block_rows(): array {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$post_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT ID FROM {$wpdb->posts}
+				 WHERE post_status NOT IN ( 'trash', 'auto-draft', 'inherit' )
+				   AND post_content LIKE %s
+				 ORDER BY post_title ASC",
+				'%' . $wpdb->esc_like( '"restrictlyVisibility"' ) . '%'
+			)
+		);
+
+		$rows = array();
+
+		foreach ( $post_ids as $post_id ) {
+			$post = get_post( (int) $post_id );
+
+			if ( ! $post ) {
+				continue;
+			}
+
+			foreach ( self::find_restricted_blocks( parse_blocks( $post->post_content ) ) as $block ) {
+				$rows[] = self::build_block_row( $post, $block );
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Collects blocks with a visibility other than "everyone", including inner blocks.
+	 *
+	 * @param array<int,array<string,mixed>> $blocks Parsed blocks.
+	 *
+	 * @return array<int,array<string,mixed>> Restricted blocks.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_restricted_blocks( array $blocks ): array {
+		$found = array();
+
+		foreach ( $blocks as $block ) {
+			$visibility = $block['attrs']['restrictlyVisibility'] ?? 'everyone';
+
+			if ( is_string( $visibility ) && '' !== $visibility && 'everyone' !== $visibility ) {
+				$found[] = $block;
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$found = array_merge( $found, self::find_restricted_blocks( $block['innerBlocks'] ) );
+			}
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Builds the row of a restricted block.
+	 *
+	 * @param WP_Post             $post  Post containing the block.
+	 * @param array<string,mixed> $block Parsed block.
+	 *
+	 * @return array<string,mixed> Row.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function build_block_row( WP_Post $post, array $block ): array {
+		$attrs      = $block['attrs'];
+		$block_type = WP_Block_Type_Registry::get_instance()->get_registered( (string) $block['blockName'] );
+		$fallback   = (string) ( $attrs['restrictlyFallback'] ?? 'none' );
+		$action     = in_array( $fallback, array( 'message', 'login', 'pattern' ), true ) ? 'fallback_' . $fallback : 'hidden';
+
+		return self::build_row(
+			array(
+				'type'         => 'block',
+				'type_label'   => __( 'Block', 'restrictly-wp' ),
+				'title'        => sprintf(
+					'%s → %s',
+					self::get_post_title( $post ),
+					$block_type && $block_type->title ? $block_type->title : (string) $block['blockName']
+				),
+				'edit_url'     => (string) get_edit_post_link( $post->ID, 'raw' ),
+				'audience'     => (string) $attrs['restrictlyVisibility'],
+				'roles'        => (array) ( $attrs['restrictlyRoles'] ?? array() ),
+				'role_mode'    => (string) ( $attrs['restrictlyRoleMode'] ?? '' ),
+				'capability'   => (string) ( $attrs['restrictlyCapability'] ?? '' ),
+				'action'       => $action,
+				'action_label' => self::get_action_labels()[ $action ],
+			)
+		);
+	}
+
+	/**
+	 * Completes a row with readable audience and role labels and the roles that can see it.
+	 *
+	 * @param array<string,mixed> $row Row with an audience of `logged_in`, `logged_out`
+	 *                                 or a custom condition key.
+	 *
+	 * @return array<string,mixed> Row.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function build_row( array $row ): array {
+		$roles      = array_values( array_filter( array_map( 'strval', $row['roles'] ) ) );
+		$mode       = 'exclude' === $row['role_mode'] ? 'exclude' : 'include';
+		$role_names = RoleHelper::get_available_roles();
+
+		$audience_labels = array(
+			'logged_in'  => __( 'Logged In Users', 'restrictly-wp' ),
+			'logged_out' => __( 'Logged Out Users', 'restrictly-wp' ),
+		);
+
+		$roles_label = implode(
+			', ',
+			array_map(
+				static fn( $role ) => $role_names[ $role ] ?? $role,
+				$roles
+			)
+		);
+
+		if ( '' !== $roles_label && 'exclude' === $mode ) {
+			// translators: %s is a comma-separated list of role names.
+			$roles_label = sprintf( __( 'All except: %s', 'restrictly-wp' ), $roles_label );
+		}
+
+		$row['audience_label'] = $audience_labels[ $row['audience'] ] ?? $row['audience'];
+		$row['roles_label']    = 'logged_in' === $row['audience'] ? $roles_label : '';
+		$row['visible_to']     = self::get_visible_roles( $row['audience'], $roles, $mode, $row['capability'] );
+
+		unset( $row['roles'], $row['role_mode'] );
+
+		return $row;
+	}
+
+	/**
+	 * Determines which roles, and logged-out visitors, can see an item.
+	 *
+	 * @param string   $audience   `logged_in`, `logged_out` or a custom condition key.
+	 * @param string[] $roles      Role rule roles.
+	 * @param string   $mode       Role rule mode.
+	 * @param string   $capability Required capability, or ''.
+	 *
+	 * @return string[]|null Role slugs (and `guest`), or null when a custom condition decides.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_visible_roles( string $audience, array $roles, string $mode, string $capability ): ?array {
+		if ( 'logged_in' !== $audience && 'logged_out' !== $audience ) {
+			return null;
+		}
+
+		// Administrators bypass every rule when "Always Allow Administrators" is on.
+		$admin_bypass = 1 === (int) get_option( 'restrictly_always_allow_admins', 1 );
+		$visible      = array();
+
+		foreach ( array_keys( RoleHelper::get_available_roles() ) as $role ) {
+			$role        = (string) $role;
+			$role_object = get_role( $role );
+
+			if ( $admin_bypass && $role_object && $role_object->has_cap( 'manage_options' ) ) {
+				$visible[] = $role;
+				continue;
+			}
+
+			if (
+				'logged_in' === $audience &&
+				Enforcement::matches_role_rule( $roles, $mode, array( $role ) ) &&
+				( '' === $capability || ( $role_object && $role_object->has_cap( $capability ) ) )
+			) {
+				$visible[] = $role;
+			}
+		}
+
+		if ( 'logged_out' === $audience ) {
+			$visible[] = self::GUEST;
+		}
+
+		return $visible;
+	}
+
+	/**
+	 * Retrieves a post title for the report, falling back to the post ID.
+	 *
+	 * @param WP_Post $post Post.
+	 *
+	 * @return string Title.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_post_title( WP_Post $post ): string {
+		$title = html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' );
+
+		// translators: %d is the post ID.
+		return '' !== $title ? $title : sprintf( __( '(no title) #%d', 'restrictly-wp' ), $post->ID );
+	}
+}
@@ -2,9 +2,10 @@
 /**
  * Handles Restrictly™ block-level visibility within the WordPress Block Editor.
  *
- * Registers Restrictly's custom visibility attributes for all blocks
- * and ensures block visibility rules (e.g., logged-in, logged-out, or role-based)
- * are respected during frontend rendering.
+ * Registers Restrictly's custom visibility attributes for supported blocks
+ * and ensures block visibility rules (e.g., logged-in, logged-out, role-based,
+ * or scheduled) are respected during frontend rendering, optionally replacing
+ * hidden blocks with fallback content.
  *
  * @package Restrictly
  * @since   0.1.0
@@ -12,6 +13,7 @@
 
 namespace Restrictly\Core\Admin;
 
+use Restrictly\Core\Common\AccessMessage;
 use Restrictly\Core\Common\Enforcement;
 
 defined( 'ABSPATH' ) || exit;
@@ -23,6 +25,41 @@ defined( 'ABSPATH' ) || exit;
  */
 class BlockVisibility {
 
+	/**
+	 * Block namespaces that receive visibility controls out of the box.
+	 *
+	 * @var string[]
+	 *
+	 * @since 0.1.0
+	 */
+	public const DEFAULT_NAMESPACES = array( 'core' );
+
+	/**
+	 * Navigation blocks, which are handled by EditorNavigation instead.
+	 *
+	 * @var string[]
+	 *
+	 * @since 0.1.0
+	 */
+	public const NAVIGATION_BLOCKS = array(
+		'core/navigation',
+		'core/navigation-link',
+		'core/navigation-submenu',
+		'core/page-list',
+		'core/page-list-item',
+	);
+
+	/**
+	 * Synced patterns currently being rendered as fallbacks, keyed by post ID.
+	 *
+	 * Guards against a pattern that (indirectly) falls back to itself.
+	 *
+	 * @var array<int,bool>
+	 *
+	 * @since 0.1.0
+	 */
+	private static array $rendering_patterns = array();
+
 	/**
 	 * Initializes Restrictly™ block visibility support.
 	 *
@@ -33,43 +70,194 @@ class BlockVisibility {
 	 * @since 0.1.0
 	 */
 	public static function init(): void {
-		add_action( 'init', array( __CLASS__, 'register_visibility_attribute' ) );
+		add_filter( 'register_block_type_args', array( __CLASS__, 'register_visibility_attribute' ), 10, 2 );
 		add_filter( 'render_block', array( __CLASS__, 'apply_visibility_rules' ), 10, 2 );
 	}
 
 	/**
-	 * Registers Restrictly's custom visibility attributes for all block types.
+	 * Retrieves the block namespaces allowed to use Restrictly™ visibility controls.
 	 *
-	 * @return void
+	 * @return string[] Allowed namespaces (e.g. 'core', 'woocommerce', 'acf').
 	 *
 	 * @since 0.1.0
 	 */
-	public static function register_visibility_attribute(): void {
-		add_filter(
-			'blocks.registerBlockType',
-			function ( $settings ) {
-				$settings['attributes'] = $settings['attributes'] ?? array();
-
-				if ( ! isset( $settings['attributes']['restrictlyVisibility'] ) ) {
-					$settings['attributes']['restrictlyVisibility'] = array(
-						'type'    => 'string',
-						'default' => 'everyone',
-					);
-				}
-
-				if ( ! isset( $settings['attributes']['restrictlyRoles'] ) ) {
-					$settings['attributes']['restrictlyRoles'] = array(
-						'type'    => 'array',
-						'default' => array(),
-						'items'   => array( 'type' => 'string' ),
-					);
-				}
-
-				return $settings;
-			},
-			10,
-			1
+	public static function get_allowed_namespaces(): array {
+		$namespaces = get_option( 'restrictly_block_namespaces', self::DEFAULT_NAMESPACES );
+
+		return array_values( array_map( 'strval', (array) $namespaces ) );
+	}
+
+	/**
+	 * Retrieves individual blocks denied visibility controls, regardless of namespace.
+	 *
+	 * @return string[] Denied block names (e.g. 'woocommerce/cart').
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_disabled_blocks(): array {
+		return array_values( array_map( 'strval', (array) get_option( 'restrictly_disabled_blocks', array() ) ) );
+	}
+
+	/**
+	 * Determines whether a block type receives Restrictly™ visibility controls.
+	 *
+	 * A block is supported when its namespace is allowed and the block itself
+	 * has not been denied on the settings page. Navigation blocks are always
+	 * excluded here because EditorNavigation manages them.
+	 *
+	 * @param string $block_name Full block name, including namespace.
+	 *
+	 * @return bool True if the block is supported.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function is_supported_block( string $block_name ): bool {
+		if ( '' === $block_name || false === strpos( $block_name, '/' ) ) {
+			return false;
+		}
+
+		if ( in_array( $block_name, self::NAVIGATION_BLOCKS, true ) ) {
+			return false;
+		}
+
+		$namespace = strtok( $block_name, '/' );
+
+		return in_array( $namespace, self::get_allowed_namespaces(), true )
+			&& ! in_array( $block_name, self::get_disabled_blocks(), true );
+	}
+
+	/**
+	 * Groups every registered block type (except navigation blocks) by namespace.
+	 *
+	 * @return array<string,array<string,string>> Namespace => array of block name => title.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_registered_blocks_by_namespace(): array {
+		$grouped = array();
+
+		foreach ( \WP_Block_Type_Registry::get_instance()->get_all_registered() as $name => $block_type ) {
+			if ( in_array( $name, self::NAVIGATION_BLOCKS, true ) || false === strpos( $name, '/' ) ) {
+				continue;
+			}
+
+			$namespace = (string) strtok( $name, '/' );
+			$title     = ! empty( $block_type->title ) ? (string) $block_type->title : $name;
+
+			$grouped[ $namespace ][ $name ] = $title;
+		}
+
+		ksort( $grouped );
+		foreach ( $grouped as $namespace => $blocks ) {
+			asort( $blocks );
+			$grouped[ $namespace ] = $blocks;
+		}
+
+		return $grouped;
+	}
+
+	/**
+	 * Retrieves the attribute schemas Restrictly™ registers on supported blocks.
+	 *
+	 * @return array<string,array<string,mixed>> Attribute name => schema.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_block_attributes(): array {
+		$attributes = array(
+			'restrictlyVisibility'      => array(
+				'type'    => 'string',
+				'default' => 'everyone',
+			),
+			'restrictlyRoles'           => array(
+				'type'    => 'array',
+				'default' => array(),
+				'items'   => array( 'type' => 'string' ),
+			),
+			'restrictlyRoleMode'        => array(
+				'type'    => 'string',
+				'default' => 'include',
+			),
+			'restrictlyCapability'      => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'restrictlyFallback'        => array(
+				'type'    => 'string',
+				'default' => 'none',
+			),
+			'restrictlyFallbackMessage' => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'restrictlyFallbackPattern' => array(
+				'type'    => 'number',
+				'default' => 0,
+			),
+			'restrictlyStart'           => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'restrictlyEnd'             => array(
+				'type'    => 'string',
+				'default' => '',
+			),
 		);
+
+		/**
+		 * Filters the attributes registered on Restrictly™-supported blocks.
+		 *
+		 * Custom visibility conditions should add the attributes they store
+		 * so dynamic blocks accept them when rendered through REST.
+		 *
+		 * @param array<string,array<string,mixed>> $attributes Attribute name => schema.
+		 *
+		 * @since 0.1.0
+		 */
+		return (array) apply_filters( 'restrictly_block_attributes', $attributes );
+	}
+
+	/**
+	 * Registers Restrictly's custom visibility attributes on supported block types.
+	 *
+	 * Server-side registration keeps the attributes valid for dynamic blocks
+	 * (e.g. WooCommerce or ACF blocks) rendered through the REST block renderer.
+	 *
+	 * @param array<string,mixed> $args       Block type registration arguments.
+	 * @param string              $block_name Block name, including namespace.
+	 *
+	 * @return array<string,mixed> Filtered registration arguments.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function register_visibility_attribute( array $args, string $block_name ): array {
+		if ( ! self::is_supported_block( $block_name ) && ! in_array( $block_name, self::NAVIGATION_BLOCKS, true ) ) {
+			return $args;
+		}
+
+		$args['attributes'] = isset( $args['attributes'] ) && is_array( $args['attributes'] ) ? $args['attributes'] : array();
+
+		foreach ( self::get_block_attributes() as $key => $schema ) {
+			if ( ! isset( $args['attributes'][ $key ] ) ) {
+				$args['attributes'][ $key ] = $schema;
+			}
+		}
+
+		// Submenus can apply their visibility to child links (see FSENavigation::apply_visibility_cascade()).
+		if ( in_array( $block_name, array( 'core/navigation-link', 'core/navigation-submenu' ), true ) ) {
+			$args['attributes'] += array(
+				'restrictlyCascade'  => array(
+					'type'    => 'boolean',
+					'default' => false,
+				),
+				'restrictlyOverride' => array(
+					'type'    => 'boolean',
+					'default' => false,
+				),
+			);
+		}
+
+		return $args;
 	}
 
 	/**
@@ -77,6 +265,10 @@ class BlockVisibility {
 	 *
 	 * Evaluates block attributes and determines whether the current user
 	 * should see the block content based on Restrictly visibility settings.
+	 * Rules saved on a block stay enforced even if its namespace is later
+	 * denied on the settings page. Blocks hidden by their audience rules
+	 * render their fallback content (if any) instead; blocks outside their
+	 * schedule render nothing for anyone.
 	 *
 	 * @param string              $block_content The rendered block content.
 	 * @param array<string,mixed> $block         The full block data array, including 'blockName' and 'attrs' keys.
@@ -99,11 +291,178 @@ class BlockVisibility {
 			$roles = (array) $roles;
 		}
 
-		// Ask Enforcement class for the visibility decision.
-		if ( ! Enforcement::can_view_by_visibility( $visibility, $roles ) ) {
+		// Scheduled blocks render nothing outside their date window, not even a fallback.
+		if ( ! self::is_within_schedule( $attrs ) ) {
 			return '';
 		}
 
+		// Ask Enforcement class for the visibility decision.
+		if ( ! Enforcement::can_view_by_visibility( $visibility, $roles, $attrs ) ) {
+			return self::render_fallback( $attrs );
+		}
+
 		return $block_content;
 	}
+
+	/**
+	 * Determines whether a block's schedule allows it to be shown right now.
+	 *
+	 * `restrictlyStart` and `restrictlyEnd` hold local date strings from the
+	 * editor's DateTimePicker (e.g. '2025-12-24T18:00:00') and are read in the
+	 * site timezone. Either bound may be empty; unparseable values are ignored.
+	 *
+	 * @param array<string,mixed> $attrs Block attributes.
+	 *
+	 * @return bool True if the block has no schedule or the current time is inside it.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function is_within_schedule( array $attrs ): bool {
+		$now   = current_datetime();
+		$start = self::parse_schedule_date( $attrs['restrictlyStart'] ?? '' );
+		$end   = self::parse_schedule_date( $attrs['restrictlyEnd'] ?? '' );
+
+		if ( $start && $now < $start ) {
+			return false;
+		}
+
+		if ( $end && $now >= $end ) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Parses a schedule date attribute in the site timezone.
+	 *
+	 * @param mixed $value Raw attribute value.
+	 *
+	 * @return \DateTimeImmutable|null The parsed date, or null when empty or invalid.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function parse_schedule_date( $value ): ?\DateTimeImmutable {
+		if ( ! is_string( $value ) || '' === trim( $value ) ) {
+			return null;
+		}
+
+		try {
+			return new \DateTimeImmutable( $value, wp_timezone() );
+		} catch ( \Exception $e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Renders the fallback content configured for a hidden block.
+	 *
+	 * `restrictlyFallback` is one of:
+	 * - 'none'    — render nothing (default).
+	 * - 'message' — `restrictlyFallbackMessage`, or the global default message when empty,
+	 *               rendered with AccessMessage::render() so placeholders work.
+	 * - 'login'   — a login link returning to the current page; logged-in users
+	 *               who still cannot see the block get the global default message.
+	 * - 'pattern' — the published synced pattern (wp_block) `restrictlyFallbackPattern`.
+	 *
+	 * @param array<string,mixed> $attrs Block attributes.
+	 *
+	 * @return string Fallback HTML, or '' for none.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function render_fallback( array $attrs ): string {
+		$fallback = isset( $attrs['restrictlyFallback'] ) ? (string) $attrs['restrictlyFallback'] : 'none';
+		$html     = '';
+
+		if ( 'login' === $fallback && ! is_user_logged_in() ) {
+			$html = sprintf(
+				'<p><a class="restrictly-login-link" href="%s">%s</a></p>',
+				esc_url( wp_login_url( self::get_current_url() ) ),
+				esc_html__( 'Log in to view this content.', 'restrictly-wp' )
+			);
+		} elseif ( 'message' === $fallback || 'login' === $fallback ) {
+			$message = 'message' === $fallback ? trim( (string) ( $attrs['restrictlyFallbackMessage'] ?? '' ) ) : '';
+
+			if ( '' === $message ) {
+				$message = (string) get_option(
+					'restrictly_default_message',
+					__( 'You do not have permission to view this content.', 'restrictly-wp' )
+				);
+			}
+
+			$html = AccessMessage::render( $message, array( 'post' => get_post() ) );
+		} elseif ( 'pattern' === $fallback ) {
+			$html = self::render_fallback_pattern( (int) ( $attrs['restrictlyFallbackPattern'] ?? 0 ) );
+		}
+
+		if ( '' === trim( $html ) ) {
+			return '';
+		}
+
+		$html = sprintf( '<div class="restrictly-block-fallback">%s</div>', $html );
+
+		/**
+		 * Filters the fallback content rendered in place of a hidden block.
+		 *
+		 * @param string              $html  Fallback HTML.
+		 * @param array<string,mixed> $attrs Block attributes.
+		 *
+		 * @since 0.1.0
+		 */
+		return (string) apply_filters( 'restrictly_block_fallback', $html, $attrs );
+	}
+
+	/**
+	 * Renders a published synced pattern used as fallback content.
+	 *
+	 * @param int $pattern_id Synced pattern (wp_block) post ID.
+	 *
+	 * @return string Rendered pattern HTML, or '' if unavailable.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function render_fallback_pattern( int $pattern_id ): string {
+		if ( $pattern_id <= 0 || isset( self::$rendering_patterns[ $pattern_id ] ) ) {
+			return '';
+		}
+
+		$pattern = get_post( $pattern_id );
+
+		if ( ! $pattern instanceof \WP_Post || 'wp_block' !== $pattern->post_type || 'publish' !== $pattern->post_status ) {
+			return '';
+		}
+
+		self::$rendering_patterns[ $pattern_id ] = true;
+
+		$html = do_blocks( $pattern->post_content );
+
+		unset( self::$rendering_patterns[ $pattern_id ] );
+
+		return $html;
+	}
+
+	/**
+	 * Builds the URL of the current front-end request.
+	 *
+	 * @return string Current URL, or the home URL if it cannot be determined.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_current_url(): string {
+		if ( empty( $_SERVER['REQUEST_URI'] ) ) {
+			return home_url( '/' );
+		}
+
+		// Resolve the request against the site URL; the Host header can be spoofed.
+		$uri       = esc_url_raw( wp_unslash( $_SERVER['REQUEST_URI'] ) );
+		$home_path = untrailingslashit( (string) wp_parse_url( home_url(), PHP_URL_PATH ) );
+
+		// The request URI of a subdirectory install already starts with its path.
+		if ( '' !== $home_path && str_starts_with( $uri, $home_path ) ) {
+			$uri = substr( $uri, strlen( $home_path ) );
+		}
+
+		return home_url( $uri );
+	}
 }
@@ -111,6 +111,18 @@ class BulkEditContentType extends ContentTypeBase {
 				<!-- User Role Checkboxes -->
 				<div class="restrictly_role_selection_bulkedit" style="display: none;">
 					<table class="restrictly-w-100 restrictly-m-b-10">
+						<tr>
+							<td>
+								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Role Changes:', 'restrictly-wp' ); ?></strong></span>
+								<label for="bulk_restrictly_role_action" class="screen-reader-text"><?php esc_html_e( 'Role Changes:', 'restrictly-wp' ); ?></label>
+								<select class="restrictly-select" name="bulk_restrictly_role_action" id="bulk_restrictly_role_action">
+									<option value=""><?php esc_html_e( '- No Change -', 'restrictly-wp' ); ?></option>
+									<option value="replace"><?php esc_html_e( 'Replace with the selected roles', 'restrictly-wp' ); ?></option>
+									<option value="add"><?php esc_html_e( 'Add the selected roles', 'restrictly-wp' ); ?></option>
+									<option value="remove"><?php esc_html_e( 'Remove the selected roles', 'restrictly-wp' ); ?></option>
+								</select>
+							</td>
+						</tr>
 						<tr>
 							<td>
 								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Specific Roles:', 'restrictly-wp' ); ?></strong></span>
@@ -136,6 +148,28 @@ class BulkEditContentType extends ContentTypeBase {
 								?>
 							</td>
 						</tr>
+						<tr>
+							<td>
+								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Role Rule:', 'restrictly-wp' ); ?></strong></span>
+								<label for="bulk_restrictly_page_access_role_mode" class="screen-reader-text"><?php esc_html_e( 'Role Rule:', 'restrictly-wp' ); ?></label>
+								<select class="restrictly-select" name="bulk_restrictly_page_access_role_mode" id="bulk_restrictly_page_access_role_mode">
+									<option value=""><?php esc_html_e( '- No Change -', 'restrictly-wp' ); ?></option>
+									<option value="include"><?php esc_html_e( 'Only the selected roles', 'restrictly-wp' ); ?></option>
+									<option value="exclude"><?php esc_html_e( 'Everyone except the selected roles', 'restrictly-wp' ); ?></option>
+								</select>
+							</td>
+						</tr>
+						<tr>
+							<td>
+								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></strong></span>
+								<label for="bulk_restrictly_page_access_capability" class="screen-reader-text"><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></label>
+								<input class="restrictly-input" type="text" list="restrictly_capability_list" name="bulk_restrictly_page_access_capability" id="bulk_restrictly_page_access_capability" value="" placeholder="<?php esc_attr_e( '- No Change -', 'restrictly-wp' ); ?>" autocomplete="off" />
+								<?php self::render_capability_datalist(); ?>
+								<label class="restrictly-inline-label">
+									<input class="restrictly-checkbox" type="checkbox" name="bulk_restrictly_clear_capability" value="1"> <?php esc_html_e( 'Remove requirement', 'restrictly-wp' ); ?>
+								</label>
+							</td>
+						</tr>
 					</table>
 				</div>
 
@@ -152,6 +186,9 @@ class BulkEditContentType extends ContentTypeBase {
 									<option value="default"><?php esc_html_e( 'Use Default', 'restrictly-wp' ); ?></option>
 									<option value="custom_message"><?php esc_html_e( 'Custom Message', 'restrictly-wp' ); ?></option>
 									<option value="custom_url"><?php esc_html_e( 'Custom URL', 'restrictly-wp' ); ?></option>
+									<option value="login_redirect"><?php esc_html_e( 'Redirect to Login and Return Here', 'restrictly-wp' ); ?></option>
+									<option value="not_found"><?php esc_html_e( 'Pretend Not Found (404)', 'restrictly-wp' ); ?></option>
+									<option value="teaser"><?php esc_html_e( 'Show Excerpt Teaser', 'restrictly-wp' ); ?></option>
 								</select>
 							</td>
 						</tr>
@@ -163,6 +200,11 @@ class BulkEditContentType extends ContentTypeBase {
 							<tr>
 								<td>
 									<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Custom Message:', 'restrictly-wp' ); ?></strong></span>
+									<label for="bulk_restrictly_custom_message_action" class="screen-reader-text"><?php esc_html_e( 'Custom Message Changes', 'restrictly-wp' ); ?></label>
+									<select class="restrictly-select restrictly-m-b-10" name="bulk_restrictly_custom_message_action" id="bulk_restrictly_custom_message_action">
+										<option value=""><?php esc_html_e( '- No Change -', 'restrictly-wp' ); ?></option>
+										<option value="replace"><?php esc_html_e( 'Replace with:', 'restrictly-wp' ); ?></option>
+									</select>
 									<label for="bulk_restrictly_custom_message" class="screen-reader-text"><?php esc_html_e( 'Custom Message', 'restrictly-wp' ); ?></label>
 									<textarea class="restrictly-textarea" name="bulk_restrictly_custom_message" id="bulk_restrictly_custom_message"></textarea>
 								</td>
@@ -176,8 +218,14 @@ class BulkEditContentType extends ContentTypeBase {
 							<tr>
 								<td>
 									<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></strong></span>
+									<label for="bulk_restrictly_custom_forward_url_action" class="screen-reader-text"><?php esc_html_e( 'Custom Forward URL Changes', 'restrictly-wp' ); ?></label>
+									<select class="restrictly-select restrictly-m-b-10" name="bulk_restrictly_custom_forward_url_action" id="bulk_restrictly_custom_forward_url_action">
+										<option value=""><?php esc_html_e( '- No Change -', 'restrictly-wp' ); ?></option>
+										<option value="replace"><?php esc_html_e( 'Replace with:', 'restrictly-wp' ); ?></option>
+									</select>
 									<label for="bulk_restrictly_custom_forward_url" class="screen-reader-text"><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></label>
-									<input class="restrictly-input" type="text" name="bulk_restrictly_custom_forward_url" id="bulk_restrictly_custom_forward_url" />
+									<input class="restrictly-input restrictly-link-picker" type="text" name="bulk_restrictly_custom_forward_url" id="bulk_restrictly_custom_forward_url" />
+									<input class="restrictly-forward-post-id" type="hidden" name="bulk_restrictly_custom_forward_post_id" />
 								</td>
 							</tr>
 						</table>
@@ -197,6 +245,11 @@ class BulkEditContentType extends ContentTypeBase {
 	 * at once, based on user role and login status. It ensures security checks, validates
 	 * input data, and updates post meta accordingly.
 	 *
+	 * The script sends the selection in chunks, so each request only covers a
+	 * slice of the posts. The response lists a result per post, including the
+	 * refreshed Restrictly™ column HTML for updated posts. Chunks of one bulk
+	 * edit share the returned operation ID, which is used to undo it.
+	 *
 	 * @return void Outputs a JSON response indicating success or failure.
 	 *
 	 *  @since 0.1.0
@@ -226,38 +279,89 @@ class BulkEditContentType extends ContentTypeBase {
 			$fields_to_update['restrictly_page_access_by_login_status'] = sanitize_text_field( wp_unslash( $_POST['restrictly_page_access_by_login_status'] ) );
 		}
 
-		// Update the user roles if provided.
+		// Replace, add or remove the selected roles, per post.
+		$role_action = isset( $_POST['restrictly_role_action'] ) ? sanitize_text_field( wp_unslash( $_POST['restrictly_role_action'] ) ) : '';
+		if ( ! in_array( $role_action, array( 'replace', 'add', 'remove' ), true ) ) {
+			$role_action = '';
+		}
+
+		$selected_roles = array();
 		if ( ! empty( $_POST['restrictly_page_access_by_role'] ) && is_array( $_POST['restrictly_page_access_by_role'] ) ) {
-			$fields_to_update['restrictly_page_access_by_role'] = array_map( 'sanitize_text_field', wp_unslash( $_POST['restrictly_page_access_by_role'] ) );
+			$selected_roles = array_map( 'sanitize_text_field', wp_unslash( $_POST['restrictly_page_access_by_role'] ) );
+		}
+
+		// Update the role mode if provided.
+		if ( isset( $_POST['restrictly_page_access_role_mode'] ) && '' !== $_POST['restrictly_page_access_role_mode'] ) {
+			$role_mode = sanitize_text_field( wp_unslash( $_POST['restrictly_page_access_role_mode'] ) );
+			if ( in_array( $role_mode, array( 'include', 'exclude' ), true ) ) {
+				$fields_to_update['restrictly_page_access_role_mode'] = $role_mode;
+			}
+		}
+
+		// Update (or remove) the required capability if provided.
+		if ( ! empty( $_POST['restrictly_clear_capability'] ) ) {
+			$fields_to_update['restrictly_page_access_capability'] = '';
+		} elseif ( ! empty( $_POST['restrictly_page_access_capability'] ) ) {
+			$fields_to_update['restrictly_page_access_capability'] = sanitize_text_field( wp_unslash( $_POST['restrictly_page_access_capability'] ) );
 		}
 
 		// Update the enforcement action if provided.
 		if ( isset( $_POST['restrictly_enforcement_action'] ) && '' !== $_POST['restrictly_enforcement_action'] ) {
 			$enforcement_action = sanitize_text_field( wp_unslash( $_POST['restrictly_enforcement_action'] ) );
-			if ( in_array( $enforcement_action, array( 'default', 'custom_message', 'custom_url' ), true ) ) {
+			if ( in_array( $enforcement_action, array( 'default', 'custom_message', 'custom_url', 'login_redirect', 'not_found', 'teaser' ), true ) ) {
 				$fields_to_update['restrictly_enforcement_action'] = $enforcement_action;
 			}
 		}
 
-		// Update the custom message if provided.
-		if ( ! empty( $_POST['restrictly_custom_message'] ) ) {
-			$fields_to_update['restrictly_custom_message'] = wp_kses_post( wp_unslash( $_POST['restrictly_custom_message'] ) );
+		// Replace the custom message if requested (an empty message clears it).
+		if ( isset( $_POST['restrictly_custom_message_action'] ) && 'replace' === $_POST['restrictly_custom_message_action'] ) {
+			$fields_to_update['restrictly_custom_message'] = isset( $_POST['restrictly_custom_message'] ) ? wp_kses_post( wp_unslash( $_POST['restrictly_custom_message'] ) ) : '';
 		}
 
-		// Update the custom forward URL if provided.
-		if ( ! empty( $_POST['restrictly_custom_forward_url'] ) ) {
-			$fields_to_update['restrictly_custom_forward_url'] = esc_url_raw( wp_unslash( $_POST['restrictly_custom_forward_url'] ) );
+		// Replace the custom forward URL if requested (an empty URL clears it).
+		if ( isset( $_POST['restrictly_custom_forward_url_action'] ) && 'replace' === $_POST['restrictly_custom_forward_url_action'] ) {
+			$fields_to_update['restrictly_custom_forward_url']     = isset( $_POST['restrictly_custom_forward_url'] ) ? esc_url_raw( wp_unslash( $_POST['restrictly_custom_forward_url'] ) ) : '';
+			$fields_to_update['restrictly_custom_forward_post_id'] = '' !== $fields_to_update['restrictly_custom_forward_url'] && isset( $_POST['restrictly_custom_forward_post_id'] ) ? absint( $_POST['restrictly_custom_forward_post_id'] ) : 0;
 		}
 
 		// If no changes were provided, return an error.
-		if ( empty( $fields_to_update ) ) {
+		if ( empty( $fields_to_update ) && '' === $role_action ) {
 			wp_send_json_error( array( 'message' => __( 'No changes were provided.', 'restrictly-wp' ) ) );
 		}
 
+		// Snapshot the editable posts, so the whole bulk edit can be undone.
+		$operation_id = BulkEditHistory::start_or_continue( isset( $_POST['restrictly_operation_id'] ) ? sanitize_text_field( wp_unslash( $_POST['restrictly_operation_id'] ) ) : '' );
+		BulkEditHistory::record_snapshots(
+			$operation_id,
+			array_filter(
+				$post_ids,
+				static fn( $post_id ) => get_post( $post_id ) && current_user_can( 'edit_post', $post_id )
+			)
+		);
+
 		// Update the post meta for each post.
+		$results = array();
 		foreach ( $post_ids as $post_id ) {
+			$post = get_post( $post_id );
+
+			if ( ! $post ) {
+				$results[] = array(
+					'id'      => $post_id,
+					'title'   => '#' . $post_id,
+					'status'  => 'skipped',
+					'message' => __( 'Post not found.', 'restrictly-wp' ),
+				);
+				continue;
+			}
+
 			// Ensure the user has permission to edit the post.
 			if ( ! current_user_can( 'edit_post', $post_id ) ) {
+				$results[] = array(
+					'id'      => $post_id,
+					'title'   => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+					'status'  => 'skipped',
+					'message' => __( 'You are not allowed to edit this item.', 'restrictly-wp' ),
+				);
 				continue;
 			}
 
@@ -265,9 +369,55 @@ class BulkEditContentType extends ContentTypeBase {
 			foreach ( $fields_to_update as $meta_key => $value ) {
 				update_post_meta( $post_id, $meta_key, $value );
 			}
+
+			if ( '' !== $role_action ) {
+				update_post_meta(
+					$post_id,
+					'restrictly_page_access_by_role',
+					self::apply_role_action( $role_action, $selected_roles, get_post_meta( $post_id, 'restrictly_page_access_by_role', true ) )
+				);
+			}
+
+			$results[] = array(
+				'id'      => $post_id,
+				'title'   => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+				'status'  => 'updated',
+				'columns' => self::get_restrictly_columns_html( $post_id ),
+			);
+		}
+
+		// Return the per-post results.
+		wp_send_json_success(
+			array(
+				'message'      => __( 'Bulk edit successful!', 'restrictly-wp' ),
+				'results'      => $results,
+				'operation_id' => $operation_id,
+			)
+		);
+	}
+
+	/**
+	 * Applies a bulk role change to a post's current roles.
+	 *
+	 * @param string   $action   Role action: 'replace', 'add' or 'remove'.
+	 * @param string[] $selected Roles selected in the Bulk Edit panel.
+	 * @param mixed    $current  The post's current role meta.
+	 *
+	 * @return string[] The post's new roles.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function apply_role_action( string $action, array $selected, $current ): array {
+		$current = is_array( $current ) ? array_map( 'strval', $current ) : array();
+
+		if ( 'add' === $action ) {
+			return array_values( array_unique( array_merge( $current, $selected ) ) );
+		}
+
+		if ( 'remove' === $action ) {
+			return array_values( array_diff( $current, $selected ) );
 		}
 
-		// Return a success message.
-		wp_send_json_success( array( 'message' => __( 'Bulk edit successful!', 'restrictly-wp' ) ) );
+		return array_values( $selected );
 	}
 }
@@ -0,0 +1,307 @@
+<?php
+/**
+ * Keeps an undo history of Restrictly™ bulk edits.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\PageAccessMeta;
+use WP_Error;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Snapshots the Restrictly™ meta of posts before a bulk edit writes to them,
+ * so the operation can be undone from the list table notice or the Settings page.
+ *
+ * A bulk edit is sent in several chunks; all chunks of one edit share an
+ * operation ID, and each post is snapshotted once, before its first change.
+ * The list of operations is kept in one small option and the snapshot of each
+ * operation in an option of its own, neither autoloaded.
+ *
+ * @since 0.1.0
+ */
+class BulkEditHistory {
+
+	/**
+	 * Option holding the recent operations, oldest first.
+	 *
+	 * @since 0.1.0
+	 */
+	public const OPTION = 'restrictly_bulk_edit_history';
+
+	/**
+	 * Prefix of the options holding the snapshot of each operation.
+	 *
+	 * @since 0.1.0
+	 */
+	public const SNAPSHOT_OPTION_PREFIX = 'restrictly_bulk_edit_snapshot_';
+
+	/**
+	 * Number of operations kept in the history.
+	 *
+	 * @since 0.1.0
+	 */
+	private const MAX_OPERATIONS = 10;
+
+	/**
+	 * Number of posts one operation can snapshot; larger edits cannot be undone.
+	 *
+	 * @since 0.1.0
+	 */
+	private const MAX_SNAPSHOT_POSTS = 1000;
+
+	/**
+	 * Initializes the undo AJAX handler.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_restrictly_bulk_edit_undo', array( __CLASS__, 'ajax_undo' ) );
+	}
+
+	/**
+	 * Retrieves the recent operations, newest first.
+	 *
+	 * @return array<int,array<string,mixed>> Operations with id, time, user_id, count, incomplete and undone.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_history(): array {
+		return array_reverse( array_values( self::get_raw_history() ) );
+	}
+
+	/**
+	 * Returns the operation a bulk edit chunk belongs to, starting a new one if needed.
+	 *
+	 * An operation is only continued by the user who started it and while it
+	 * has not been undone.
+	 *
+	 * @param string $operation_id Operation ID sent by the previous chunk, or ''.
+	 *
+	 * @return string The operation ID to record snapshots under.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function start_or_continue( string $operation_id ): string {
+		$history = self::get_raw_history();
+
+		if (
+			'' !== $operation_id &&
+			isset( $history[ $operation_id ] ) &&
+			get_current_user_id() === (int) $history[ $operation_id ]['user_id'] &&
+			empty( $history[ $operation_id ]['undone'] )
+		) {
+			return $operation_id;
+		}
+
+		$operation_id             = wp_generate_uuid4();
+		$history[ $operation_id ] = array(
+			'id'         => $operation_id,
+			'time'       => time(),
+			'user_id'    => get_current_user_id(),
+			'count'      => 0,
+			'incomplete' => 0,
+			'undone'     => 0,
+		);
+
+		// Keep only the most recent operations.
+		foreach ( array_keys( array_slice( $history, 0, -self::MAX_OPERATIONS, true ) ) as $expired_id ) {
+			delete_option( self::SNAPSHOT_OPTION_PREFIX . $expired_id );
+		}
+
+		$history = array_slice( $history, -self::MAX_OPERATIONS, null, true );
+
+		update_option( self::OPTION, $history, false );
+
+		return $operation_id;
+	}
+
+	/**
+	 * Stores the current Restrictly™ meta of posts about to be changed.
+	 *
+	 * Posts already snapshotted for the operation keep their first snapshot.
+	 * A missing meta key is stored as null, so undo deletes it again. Once the
+	 * operation holds MAX_SNAPSHOT_POSTS posts it is marked incomplete instead.
+	 *
+	 * @param string $operation_id Operation ID.
+	 * @param int[]  $post_ids     Posts about to be changed.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function record_snapshots( string $operation_id, array $post_ids ): void {
+		$history = self::get_raw_history();
+
+		if ( ! isset( $history[ $operation_id ] ) || ! empty( $history[ $operation_id ]['incomplete'] ) ) {
+			return;
+		}
+
+		$snapshot = self::get_snapshot( $operation_id );
+
+		foreach ( $post_ids as $post_id ) {
+			if ( isset( $snapshot[ $post_id ] ) ) {
+				continue;
+			}
+
+			if ( count( $snapshot ) >= self::MAX_SNAPSHOT_POSTS ) {
+				$history[ $operation_id ]['incomplete'] = 1;
+				$snapshot                               = array();
+				break;
+			}
+
+			$meta = array();
+			foreach ( array_keys( PageAccessMeta::get_meta_schemas() ) as $meta_key ) {
+				$meta[ $meta_key ] = metadata_exists( 'post', $post_id, $meta_key ) ? get_post_meta( $post_id, $meta_key, true ) : null;
+			}
+
+			$snapshot[ $post_id ] = $meta;
+		}
+
+		$history[ $operation_id ]['count'] = count( $snapshot );
+
+		update_option( self::SNAPSHOT_OPTION_PREFIX . $operation_id, $snapshot, false );
+		update_option( self::OPTION, $history, false );
+	}
+
+	/**
+	 * Restores the snapshot of an operation.
+	 *
+	 * Posts the current user can no longer edit are skipped. Changes made to the
+	 * posts after the bulk edit are overwritten.
+	 *
+	 * @param string $operation_id Operation ID.
+	 *
+	 * @return array<int,array<string,mixed>>|WP_Error Per-post results, or an error.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function undo( string $operation_id ) {
+		$history = self::get_raw_history();
+
+		if ( ! isset( $history[ $operation_id ] ) ) {
+			return new WP_Error( 'restrictly_unknown_operation', __( 'This bulk edit is no longer in the history.', 'restrictly-wp' ) );
+		}
+
+		// Only the user who made the edit, or a site manager, may undo it.
+		if ( get_current_user_id() !== (int) $history[ $operation_id ]['user_id'] && ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error( 'restrictly_not_allowed', __( 'You are not allowed to undo this bulk edit.', 'restrictly-wp' ) );
+		}
+
+		if ( ! empty( $history[ $operation_id ]['undone'] ) ) {
+			return new WP_Error( 'restrictly_already_undone', __( 'This bulk edit has already been undone.', 'restrictly-wp' ) );
+		}
+
+		if ( ! empty( $history[ $operation_id ]['incomplete'] ) ) {
+			return new WP_Error(
+				'restrictly_too_large',
+				sprintf(
+					// translators: %s is the maximum number of items.
+					__( 'This bulk edit changed more than %s items and cannot be undone.', 'restrictly-wp' ),
+					number_format_i18n( self::MAX_SNAPSHOT_POSTS )
+				)
+			);
+		}
+
+		$results = array();
+		foreach ( self::get_snapshot( $operation_id ) as $post_id => $meta ) {
+			$post_id = (int) $post_id;
+			$post    = get_post( $post_id );
+
+			if ( ! $post || ! current_user_can( 'edit_post', $post_id ) ) {
+				$results[] = array(
+					'id'      => $post_id,
+					'title'   => $post ? html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ) : '#' . $post_id,
+					'status'  => 'skipped',
+					'message' => $post ? __( 'You are not allowed to edit this item.', 'restrictly-wp' ) : __( 'Post not found.', 'restrictly-wp' ),
+				);
+				continue;
+			}
+
+			foreach ( (array) $meta as $meta_key => $value ) {
+				if ( null === $value ) {
+					delete_post_meta( $post_id, $meta_key );
+				} else {
+					update_post_meta( $post_id, $meta_key, $value );
+				}
+			}
+
+			$results[] = array(
+				'id'      => $post_id,
+				'title'   => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+				'status'  => 'updated',
+				'columns' => ContentTypeBase::get_restrictly_columns_html( $post_id ),
+			);
+		}
+
+		$history[ $operation_id ]['undone'] = time();
+		update_option( self::OPTION, $history, false );
+		delete_option( self::SNAPSHOT_OPTION_PREFIX . $operation_id );
+
+		return $results;
+	}
+
+	/**
+	 * Handles the undo request sent from the bulk edit notice.
+	 *
+	 * @return void Outputs a JSON response with the per-post results.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_undo(): void {
+		// Check for nonce security.
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_bulk_edit_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'edit_posts' ) || empty( $_POST['operation_id'] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request', 'restrictly-wp' ) ) );
+		}
+
+		$results = self::undo( sanitize_text_field( wp_unslash( $_POST['operation_id'] ) ) );
+
+		if ( is_wp_error( $results ) ) {
+			wp_send_json_error( array( 'message' => $results->get_error_message() ) );
+		}
+
+		wp_send_json_success( array( 'results' => $results ) );
+	}
+
+	/**
+	 * Retrieves the stored operations keyed by ID, oldest first.
+	 *
+	 * @return array<string,array<string,mixed>> Operations.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_raw_history(): array {
+		$history = get_option( self::OPTION, array() );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Retrieves the snapshot of an operation.
+	 *
+	 * @param string $operation_id Operation ID.
+	 *
+	 * @return array<int,array<string,mixed>> Post ID => Restrictly™ meta before the edit.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_snapshot( string $operation_id ): array {
+		$snapshot = get_option( self::SNAPSHOT_OPTION_PREFIX . $operation_id, array() );
+
+		return is_array( $snapshot ) ? $snapshot : array();
+	}
+}
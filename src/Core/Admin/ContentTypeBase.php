@@ -9,6 +9,8 @@
 namespace Restrictly\Core\Admin;
 
 use WP_Query;
+use Restrictly\Core\Common\RoleHelper;
+use Restrictly\Core\Common\Enforcement;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -19,6 +21,15 @@ defined( 'ABSPATH' ) || exit;
  */
 abstract class ContentTypeBase {
 
+	/**
+	 * Whether the capability datalist has already been printed on this screen.
+	 *
+	 * @var bool
+	 *
+	 * @since 0.1.0
+	 */
+	private static bool $capability_datalist_rendered = false;
+
 	/**
 	 * Initialize content type functionality.
 	 *
@@ -117,6 +128,12 @@ abstract class ContentTypeBase {
 				return __( 'Custom Message', 'restrictly-wp' );
 			case 'custom_url':
 				return __( 'Custom URL', 'restrictly-wp' );
+			case 'login_redirect':
+				return __( 'Redirect to Login', 'restrictly-wp' );
+			case 'not_found':
+				return __( 'Pretend Not Found', 'restrictly-wp' );
+			case 'teaser':
+				return __( 'Excerpt Teaser', 'restrictly-wp' );
 			case 'not_applicable':
 				return __( '-', 'restrictly-wp' );
 			default:
@@ -124,6 +141,30 @@ abstract class ContentTypeBase {
 		}
 	}
 
+	/**
+	 * Output the searchable capability list used by the "Requires Capability" fields.
+	 *
+	 * Quick Edit and Bulk Edit share the list screen, so the datalist is only
+	 * printed once per request.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	protected static function render_capability_datalist(): void {
+		if ( self::$capability_datalist_rendered ) {
+			return;
+		}
+
+		self::$capability_datalist_rendered = true;
+
+		echo '<datalist id="restrictly_capability_list">';
+		foreach ( array_keys( RoleHelper::get_available_capabilities() ) as $capability ) {
+			printf( '<option value="%s"></option>', esc_attr( (string) $capability ) );
+		}
+		echo '</datalist>';
+	}
+
 	/**
 	 * Add custom columns to the list table.
 	 *
@@ -145,6 +186,26 @@ abstract class ContentTypeBase {
 		return $new_columns;
 	}
 
+	/**
+	 * Render every Restrictly™ column for a post, for in-place list table updates.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string,string> Column name => cell HTML.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_restrictly_columns_html( int $post_id ): array {
+		$html = array();
+
+		foreach ( array( 'restrictly_login_status', 'restrictly_user_role', 'restrictly_enforcement_action' ) as $column ) {
+			ob_start();
+			self::render_restrictly_columns( $column, $post_id );
+			$html[ $column ] = (string) ob_get_clean();
+		}
+
+		return $html;
+	}
+
 	/**
 	 * Render custom column content.
 	 *
@@ -163,6 +224,17 @@ abstract class ContentTypeBase {
 		$role = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
 		$role = empty( $role ) ? __( 'Any', 'restrictly-wp' ) : esc_html( implode( ', ', (array) $role ) );
 
+		// Get the role mode (only the selected roles, or everyone except them).
+		$role_mode  = 'exclude' === get_post_meta( $post_id, 'restrictly_page_access_role_mode', true ) ? 'exclude' : 'include';
+		$role_label = $role;
+		if ( 'exclude' === $role_mode && __( 'Any', 'restrictly-wp' ) !== $role ) {
+			/* translators: %s: comma-separated list of excluded roles. */
+			$role_label = sprintf( __( 'All except: %s', 'restrictly-wp' ), $role );
+		}
+
+		// Get the required capability.
+		$capability = (string) get_post_meta( $post_id, 'restrictly_page_access_capability', true );
+
 		// Get the enforcement action.
 		$enforcement_action = get_post_meta( $post_id, 'restrictly_enforcement_action', true );
 		$enforcement_action = empty( $enforcement_action ) ? 'default' : esc_html( $enforcement_action );
@@ -171,19 +243,24 @@ abstract class ContentTypeBase {
 		$custom_message = get_post_meta( $post_id, 'restrictly_custom_message', true );
 		$custom_message = esc_textarea( $custom_message );
 
-		// Get the custom forward URL.
-		$custom_forward_url = get_post_meta( $post_id, 'restrictly_custom_forward_url', true );
-		$custom_forward_url = esc_url_raw( wp_unslash( $custom_forward_url ) );
+		// Get the custom forward URL; internal targets use their current permalink.
+		$custom_forward_post_id = (int) get_post_meta( $post_id, 'restrictly_custom_forward_post_id', true );
+		$custom_forward_url     = Enforcement::resolve_forward_url( (string) get_post_meta( $post_id, 'restrictly_custom_forward_url', true ), $custom_forward_post_id );
+		$custom_forward_url     = esc_url_raw( wp_unslash( $custom_forward_url ) );
 
 		// Set the role and enforcement action to $not_applicable if login status is everyone.
 		if ( 'everyone' === $login_status ) {
 			$role               = '-';
+			$role_label         = '-';
+			$capability         = '';
 			$enforcement_action = 'not_applicable';
 		}
 
 		// Set the role to $not_applicable if login status is logged_out_users.
 		if ( 'Logged Out Users' === self::get_readable_login_status( $login_status ) ) {
-			$role = '-';
+			$role       = '-';
+			$role_label = '-';
+			$capability = '';
 		}
 
 		switch ( $column ) {
@@ -196,17 +273,24 @@ abstract class ContentTypeBase {
 				break;
 			case 'restrictly_user_role':
 				printf(
-					'<div class="restrictly_hidden_user_role restrictly-show-none" data-restrictly-user-role="%s"></div>%s',
+					'<div class="restrictly_hidden_user_role restrictly-show-none" data-restrictly-user-role="%s" data-restrictly-role-mode="%s" data-restrictly-capability="%s"></div>%s',
 					esc_attr( $role ),
-					esc_html( $role )
+					esc_attr( $role_mode ),
+					esc_attr( $capability ),
+					esc_html( $role_label )
 				);
+				if ( '' !== $capability ) {
+					/* translators: %s: required capability. */
+					echo '<br>' . esc_html( sprintf( __( 'Requires: %s', 'restrictly-wp' ), $capability ) );
+				}
 				break;
 			case 'restrictly_enforcement_action':
 				printf(
-					'<div class="restrictly_hidden_enforcement_action restrictly-show-none" data-restrictly-enforcement-action="%s" data-restrictly-custom-message="%s" data-restrictly-custom-forward-url="%s"></div>%s',
+					'<div class="restrictly_hidden_enforcement_action restrictly-show-none" data-restrictly-enforcement-action="%s" data-restrictly-custom-message="%s" data-restrictly-custom-forward-url="%s" data-restrictly-custom-forward-post-id="%d"></div>%s',
 					esc_attr( $enforcement_action ),
 					esc_attr( $custom_message ),
 					esc_url_raw( $custom_forward_url ),
+					$custom_forward_post_id,
 					esc_html( self::get_readable_enforcement_action( $enforcement_action ) )
 				);
 				break;
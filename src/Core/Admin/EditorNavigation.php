@@ -14,6 +14,7 @@ namespace Restrictly\Core\Admin;
 
 use Restrictly\Core\Common\Enforcement;
 use Restrictly\Core\Common\Base;
+use Restrictly\Core\Common\RoleHelper;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -47,7 +48,8 @@ class EditorNavigation {
 	 * Enqueues Restrictly™’s Navigation block editor script and localization data.
 	 *
 	 * Loads the JavaScript responsible for handling visibility controls
-	 * inside the Gutenberg editor and passes available role data to it.
+	 * inside the Gutenberg editor and passes available role data to it,
+	 * along with the content types whose access settings links are checked against.
 	 *
 	 * @return void
 	 *
@@ -63,10 +65,13 @@ class EditorNavigation {
 		$handle    = 'restrictly-editor';
 		$asset_url = Base::plugin_url() . 'assets/js/editor.js';
 
+		Base::register_visibility_api_script();
+
 		wp_enqueue_script(
 			$handle,
 			$asset_url,
 			array(
+				'restrictly-visibility-api',
 				'wp-blocks',
 				'wp-hooks',
 				'wp-element',
@@ -75,6 +80,7 @@ class EditorNavigation {
 				'wp-edit-post',
 				'wp-compose',
 				'wp-data',
+				'wp-core-data',
 				'wp-block-editor',
 			),
 			'0.1.0',
@@ -86,7 +92,7 @@ class EditorNavigation {
 				$handle,
 				'RestrictlyBlockData',
 				array(
-					'roles' => array_map(
+					'roles'        => array_map(
 						static fn( $key, $label ) => array(
 							'value' => $key,
 							'label' => $label['name'],
@@ -94,6 +100,8 @@ class EditorNavigation {
 						array_keys( wp_roles()->roles ),
 						wp_roles()->roles
 					),
+					'capabilities' => RoleHelper::get_capability_options(),
+					'contentTypes' => array_values( (array) get_option( 'restrictly_content_types', array( 'page' ) ) ),
 				)
 			);
 		}
@@ -133,7 +141,7 @@ class EditorNavigation {
 		$visibility = $attrs['restrictlyVisibility'] ?? 'everyone';
 		$roles      = $attrs['restrictlyRoles'] ?? array();
 
-		if ( ! Enforcement::can_view_by_visibility( $visibility, $roles ) ) {
+		if ( ! Enforcement::can_view_by_visibility( $visibility, $roles, $attrs ) ) {
 			return '';
 		}
 
@@ -14,6 +14,7 @@ namespace Restrictly\Core\Admin;
 
 use Restrictly\Core\Common\Enforcement;
 use Restrictly\Core\Common\Base;
+use Restrictly\Core\Common\RoleHelper;
 use WP_REST_Request;
 
 defined( 'ABSPATH' ) || exit;
@@ -36,6 +37,20 @@ class FSENavigation {
 		new self();
 	}
 
+	/**
+	 * Hooks in the submenu visibility cascade.
+	 *
+	 * Registered on every request (not only in admin), since the cascade is
+	 * applied when Navigation menus render on the front end.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init_cascade(): void {
+		add_filter( 'block_core_navigation_render_inner_blocks', array( __CLASS__, 'filter_navigation_inner_blocks' ), 10, 1 );
+	}
+
 	/**
 	 * Hooks everything in.
 	 *
@@ -80,7 +95,7 @@ class FSENavigation {
 				'show_in_rest'  => array(
 					'schema' => array(
 						'type'    => 'string',
-						'enum'    => array( 'everyone', 'logged_in', 'logged_out' ),
+						'enum'    => Enforcement::get_visibility_conditions(),
 						'default' => 'everyone',
 					),
 				),
@@ -104,6 +119,56 @@ class FSENavigation {
 				'auth_callback' => fn() => current_user_can( 'edit_theme_options' ),
 			)
 		);
+
+		register_post_meta(
+			'wp_navigation',
+			'_restrictly_role_mode',
+			array(
+				'type'          => 'string',
+				'single'        => true,
+				'default'       => 'include',
+				'show_in_rest'  => array(
+					'schema' => array(
+						'type'    => 'string',
+						'enum'    => array( 'include', 'exclude' ),
+						'default' => 'include',
+					),
+				),
+				'auth_callback' => fn() => current_user_can( 'edit_theme_options' ),
+			)
+		);
+
+		register_post_meta(
+			'wp_navigation',
+			'_restrictly_capability',
+			array(
+				'type'              => 'string',
+				'single'            => true,
+				'default'           => '',
+				'show_in_rest'      => true,
+				'sanitize_callback' => 'sanitize_text_field',
+				'auth_callback'     => fn() => current_user_can( 'edit_theme_options' ),
+			)
+		);
+
+		// Attributes stored by custom visibility conditions (see visibility-api.js).
+		register_post_meta(
+			'wp_navigation',
+			'_restrictly_condition_attributes',
+			array(
+				'type'          => 'object',
+				'single'        => true,
+				'default'       => array(),
+				'show_in_rest'  => array(
+					'schema' => array(
+						'type'                 => 'object',
+						'properties'           => array(),
+						'additionalProperties' => true,
+					),
+				),
+				'auth_callback' => fn() => current_user_can( 'edit_theme_options' ),
+			)
+		);
 	}
 
 	/**
@@ -266,8 +331,13 @@ class FSENavigation {
 					? array_values( array_map( 'strval', $maybe_unserialized ) )
 					: array();
 
+				$rule = array(
+					'restrictlyRoleMode'   => (string) get_post_meta( $post_id, 'restrictly_page_access_role_mode', true ),
+					'restrictlyCapability' => (string) get_post_meta( $post_id, 'restrictly_page_access_capability', true ),
+				);
+
 				// Determine if we should hide this link.
-				$hide = ! Enforcement::can_view_by_visibility( $vis, $roles );
+				$hide = ! Enforcement::can_view_by_visibility( $vis, $roles, $rule );
 
 				// phpcs:disable WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase
 				if ( $hide ) {
@@ -341,8 +411,9 @@ class FSENavigation {
 			$vis_raw = get_post_meta( $post_id, '_restrictly_visibility', true );
 			$vis     = $vis_raw ? (string) $vis_raw : 'everyone';
 			$roles   = (array) get_post_meta( $post_id, '_restrictly_roles', true );
+			$rule    = $this->get_navigation_rule( (int) $post_id );
 
-			if ( ! Enforcement::can_view_by_visibility( $vis, $roles ) ) {
+			if ( ! Enforcement::can_view_by_visibility( $vis, $roles, $rule ) ) {
 				unset( $fallback[ $index ] );
 			}
 		}
@@ -388,9 +459,10 @@ class FSENavigation {
 			}
 
 			$roles = (array) get_post_meta( $post_id, '_restrictly_roles', true );
+			$rule  = $this->get_navigation_rule( (int) $post_id );
 
 			// phpcs:disable WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase
-			if ( ! Enforcement::can_view_by_visibility( $vis, $roles ) ) {
+			if ( ! Enforcement::can_view_by_visibility( $vis, $roles, $rule ) ) {
 				$li = $link->parentNode;
 				if ( $li && $li->parentNode ) {
 					$li->parentNode->removeChild( $li );
@@ -436,9 +508,10 @@ class FSENavigation {
 					$vis     = $vis_raw ? (string) $vis_raw : 'everyone';
 
 					$roles = (array) get_post_meta( $page->ID, '_restrictly_roles', true );
+					$rule  = $this->get_navigation_rule( (int) $page->ID );
 
 					// Use unified enforcement visibility check.
-					return Enforcement::can_view_by_visibility( $vis, $roles );
+					return Enforcement::can_view_by_visibility( $vis, $roles, $rule );
 				}
 			)
 		);
@@ -458,10 +531,13 @@ class FSENavigation {
 		}
 
 		$asset_url = Base::plugin_url() . 'assets/js/nav-screen-controls.js';
+
+		Base::register_visibility_api_script();
+
 		wp_enqueue_script(
 			'restrictly-nav-screen-controls',
 			$asset_url,
-			array( 'wp-plugins', 'wp-edit-site', 'wp-element', 'wp-components', 'wp-data', 'wp-core-data' ),
+			array( 'restrictly-visibility-api', 'wp-plugins', 'wp-edit-site', 'wp-element', 'wp-components', 'wp-data', 'wp-core-data' ),
 			'0.1.0',
 			true
 		);
@@ -471,7 +547,7 @@ class FSENavigation {
 				'restrictly-nav-screen-controls',
 				'RestrictlyBlockData',
 				array(
-					'roles' => array_map(
+					'roles'        => array_map(
 						static fn( $key, $label ) => array(
 							'value' => $key,
 							'label' => $label['name'],
@@ -479,6 +555,7 @@ class FSENavigation {
 						array_keys( wp_roles()->roles ),
 						wp_roles()->roles
 					),
+					'capabilities' => RoleHelper::get_capability_options(),
 				)
 			);
 		}
@@ -509,6 +586,126 @@ class FSENavigation {
 		return $prepared_post;
 	}
 
+	/**
+	 * Applies inherited submenu visibility to the links of a Navigation menu being rendered.
+	 *
+	 * Only the rendered blocks change, so BlockVisibility::apply_visibility_rules()
+	 * enforces each link with the rule it inherits while the saved menu is left as is.
+	 *
+	 * @param \WP_Block_List $inner_blocks Navigation inner blocks.
+	 *
+	 * @return \WP_Block_List Inner blocks with the inherited rules applied.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function filter_navigation_inner_blocks( \WP_Block_List $inner_blocks ): \WP_Block_List {
+		self::cascade_block_list( $inner_blocks, array() );
+
+		return $inner_blocks;
+	}
+
+	/**
+	 * Applies inherited submenu visibility to a list of block instances.
+	 *
+	 * @param \WP_Block_List      $blocks    Block instances.
+	 * @param array<string,mixed> $inherited Rule attributes inherited from a parent submenu, or empty.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function cascade_block_list( \WP_Block_List $blocks, array $inherited ): void {
+		foreach ( $blocks as $block ) {
+			list( $attrs, $children ) = self::resolve_visibility_cascade( (string) $block->name, (array) ( $block->parsed_block['attrs'] ?? array() ), $inherited );
+
+			$block->parsed_block['attrs'] = $attrs;
+
+			if ( $block->inner_blocks instanceof \WP_Block_List ) {
+				self::cascade_block_list( $block->inner_blocks, $children );
+			}
+		}
+	}
+
+	/**
+	 * Applies inherited submenu visibility to parsed Navigation blocks.
+	 *
+	 * Used to evaluate links the way they render (see the Menu Matrix); the
+	 * result is not meant to be saved.
+	 *
+	 * @param array<int|string,array<string,mixed>> $blocks    Parsed blocks.
+	 * @param array<string,mixed>                   $inherited Rule attributes inherited from a parent submenu, or empty.
+	 *
+	 * @return array<int|string,array<string,mixed>> Blocks with the inherited rules applied.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function apply_visibility_cascade( array $blocks, array $inherited = array() ): array {
+		foreach ( $blocks as $index => $block ) {
+			list( $attrs, $children ) = self::resolve_visibility_cascade( (string) ( $block['blockName'] ?? '' ), (array) ( $block['attrs'] ?? array() ), $inherited );
+
+			$blocks[ $index ]['attrs'] = $attrs;
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$blocks[ $index ]['innerBlocks'] = self::apply_visibility_cascade( $block['innerBlocks'], $children );
+			}
+		}
+
+		return $blocks;
+	}
+
+	/**
+	 * Resolves the rule a navigation block uses and the rule its child links inherit.
+	 *
+	 * Links and submenus take the rule of their closest parent set to "Apply to
+	 * child links" unless their own visibility was changed (overridden).
+	 * Overridden children keep their own rule; their children still inherit from
+	 * above unless the overridden child applies its own rule to them.
+	 *
+	 * @param string              $name      Block name.
+	 * @param array<string,mixed> $attrs     Block attributes.
+	 * @param array<string,mixed> $inherited Rule attributes inherited from a parent submenu, or empty.
+	 *
+	 * @return array{0:array<string,mixed>,1:array<string,mixed>} Block attributes and the rule its children inherit.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function resolve_visibility_cascade( string $name, array $attrs, array $inherited ): array {
+		if ( ! in_array( $name, array( 'core/navigation-link', 'core/navigation-submenu' ), true ) ) {
+			return array( $attrs, $inherited );
+		}
+
+		if ( ! empty( $inherited ) && empty( $attrs['restrictlyOverride'] ) ) {
+			$attrs = array_merge( array_diff_key( $attrs, self::get_visibility_rule( $attrs ) ), $inherited );
+		}
+
+		if ( ! empty( $attrs['restrictlyCascade'] ) ) {
+			// An empty rule would read as "nothing to inherit"; spell out the default.
+			return array( $attrs, self::get_visibility_rule( $attrs ) + array( 'restrictlyVisibility' => 'everyone' ) );
+		}
+
+		return array( $attrs, $inherited );
+	}
+
+	/**
+	 * Extracts the visibility rule attributes of a navigation block.
+	 *
+	 * Covers every Restrictly™ attribute (custom condition attributes included)
+	 * except the cascade flags themselves.
+	 *
+	 * @param array<string,mixed> $attrs Block attributes.
+	 *
+	 * @return array<string,mixed> Rule attributes.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_visibility_rule( array $attrs ): array {
+		return array_filter(
+			$attrs,
+			static fn( $key ): bool => str_starts_with( (string) $key, 'restrictly' ) && ! in_array( $key, array( 'restrictlyCascade', 'restrictlyOverride' ), true ),
+			ARRAY_FILTER_USE_KEY
+		);
+	}
+
 	/**
 	 * Recursively filters navigation blocks to remove restricted pages.
 	 *
@@ -558,8 +755,9 @@ class FSENavigation {
 					}
 
 					$roles = (array) get_post_meta( $post_id, '_restrictly_roles', true );
+					$rule  = $this->get_navigation_rule( (int) $post_id );
 
-					if ( ! Enforcement::can_view_by_visibility( $vis, $roles ) ) {
+					if ( ! Enforcement::can_view_by_visibility( $vis, $roles, $rule ) ) {
 						$should_include = false;
 					}
 				}
@@ -621,4 +819,24 @@ class FSENavigation {
 
 		return 0;
 	}
+
+	/**
+	 * Builds the rule data passed to Enforcement for a navigation post.
+	 *
+	 * @param int $post_id Navigation (or linked) post ID.
+	 *
+	 * @return array<string,mixed> Custom condition attributes plus the `restrictlyRoleMode` and
+	 *                             `restrictlyCapability` values.
+	 *
+	 * @since 0.1.0
+	 */
+	private function get_navigation_rule( int $post_id ): array {
+		return array_merge(
+			(array) get_post_meta( $post_id, '_restrictly_condition_attributes', true ),
+			array(
+				'restrictlyRoleMode'   => (string) get_post_meta( $post_id, '_restrictly_role_mode', true ),
+				'restrictlyCapability' => (string) get_post_meta( $post_id, '_restrictly_capability', true ),
+			)
+		);
+	}
 }
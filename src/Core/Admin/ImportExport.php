@@ -0,0 +1,736 @@
+<?php
+/**
+ * Imports and exports Restrictly™ rules as JSON.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\Enforcement;
+use Restrictly\Core\Common\PageAccessMeta;
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Moves Restrictly™ rules between sites, e.g. from staging to production.
+ *
+ * The export holds the global defaults, the page access meta of every
+ * restricted post, classic menu item visibility and `wp_navigation` meta.
+ * Block-level visibility lives in post content and is not included.
+ *
+ * On import, posts are matched by their full path (parent slugs included),
+ * navigation menus by slug, then both by GUID. Menu items are matched by
+ * menu slug and link target, then by GUID.
+ *
+ * @since 0.1.0
+ */
+class ImportExport {
+
+	/**
+	 * Version of the export format.
+	 *
+	 * @since 0.1.0
+	 */
+	private const FORMAT_VERSION = 1;
+
+	/**
+	 * Initializes the import and export AJAX handlers.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_restrictly_export', array( __CLASS__, 'ajax_export' ) );
+		add_action( 'wp_ajax_restrictly_import_preview', array( __CLASS__, 'ajax_import_preview' ) );
+		add_action( 'wp_ajax_restrictly_import_apply', array( __CLASS__, 'ajax_import_apply' ) );
+	}
+
+	/**
+	 * Builds the export of every Restrictly™ rule on the site.
+	 *
+	 * @return array<string,mixed> Export data.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function build_export(): array {
+		$schemas = self::get_schemas();
+
+		$settings = array();
+		foreach ( array_keys( $schemas['settings'] ) as $option ) {
+			$value = get_option( $option, null );
+			if ( null !== $value ) {
+				$settings[ $option ] = $value;
+			}
+		}
+
+		$content_types = (array) get_option( 'restrictly_content_types', array( 'page' ) );
+
+		$posts = array();
+		foreach ( self::get_posts_with_meta( $content_types, array_keys( $schemas['posts'] ) ) as $post ) {
+			$posts[] = array(
+				'post_type' => $post->post_type,
+				'slug'      => $post->post_name,
+				'path'      => (string) get_page_uri( $post ),
+				'guid'      => $post->guid,
+				'title'     => $post->post_title,
+				'meta'      => self::get_meta_values( $post->ID, array_keys( $schemas['posts'] ) ),
+			);
+		}
+
+		$menu_items = array();
+		foreach ( self::get_posts_with_meta( array( 'nav_menu_item' ), array_keys( $schemas['menu_items'] ) ) as $post ) {
+			$menu_items[] = array_merge(
+				self::describe_menu_item( $post ),
+				array(
+					'guid' => $post->guid,
+					'meta' => self::get_meta_values( $post->ID, array_keys( $schemas['menu_items'] ) ),
+				)
+			);
+		}
+
+		$navigations = array();
+		foreach ( self::get_posts_with_meta( array( 'wp_navigation' ), array_keys( $schemas['navigations'] ) ) as $post ) {
+			$navigations[] = array(
+				'slug'  => $post->post_name,
+				'guid'  => $post->guid,
+				'title' => $post->post_title,
+				'meta'  => self::get_meta_values( $post->ID, array_keys( $schemas['navigations'] ) ),
+			);
+		}
+
+		return array(
+			'plugin'      => 'restrictly',
+			'version'     => self::FORMAT_VERSION,
+			'exported_at' => gmdate( 'c' ),
+			'site_url'    => home_url(),
+			'settings'    => $settings,
+			'posts'       => $posts,
+			'menu_items'  => $menu_items,
+			'navigations' => $navigations,
+		);
+	}
+
+	/**
+	 * Compares an import with the current site.
+	 *
+	 * Each entry describes one setting, post, menu item or navigation menu,
+	 * with status `changed`, `unchanged` or `unmatched`, and for changed
+	 * entries the list of values that would be written. Invalid values in the
+	 * import are ignored.
+	 *
+	 * @param array<string,mixed> $data Decoded import.
+	 *
+	 * @return array<int,array<string,mixed>> Diff entries.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function compare( array $data ): array {
+		$schemas = self::get_schemas();
+		$entries = array();
+
+		// Global defaults.
+		$settings = isset( $data['settings'] ) && is_array( $data['settings'] ) ? $data['settings'] : array();
+		foreach ( $schemas['settings'] as $option => $schema ) {
+			if ( ! array_key_exists( $option, $settings ) ) {
+				continue;
+			}
+
+			$to = self::sanitize_value( $schema, $settings[ $option ] );
+			if ( null === $to ) {
+				continue;
+			}
+
+			$from      = get_option( $option, null );
+			$entries[] = self::build_entry( 'setting', $option, 1, array( $option => $from ), array( $option => $to ) );
+		}
+
+		// Restricted posts.
+		foreach ( self::get_import_list( $data, 'posts' ) as $item ) {
+			$post_type = isset( $item['post_type'] ) ? sanitize_key( (string) $item['post_type'] ) : '';
+			$post_id   = self::find_post( $post_type, $item );
+			$label     = sprintf( '%s: %s', $post_type, self::get_item_label( $item ) );
+
+			$entries[] = self::build_post_entry( 'post', $label, $post_id, $item, $schemas['posts'] );
+		}
+
+		// Classic menu items.
+		foreach ( self::get_import_list( $data, 'menu_items' ) as $item ) {
+			$label = sprintf(
+				'%s: %s',
+				isset( $item['menu'] ) ? (string) $item['menu'] : '',
+				self::get_item_label( $item )
+			);
+
+			$entries[] = self::build_post_entry( 'menu_item', $label, self::find_menu_item( $item ), $item, $schemas['menu_items'] );
+		}
+
+		// Navigation menus (block themes).
+		foreach ( self::get_import_list( $data, 'navigations' ) as $item ) {
+			$entries[] = self::build_post_entry(
+				'navigation',
+				self::get_item_label( $item ),
+				self::find_post( 'wp_navigation', $item ),
+				$item,
+				$schemas['navigations']
+			);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Applies an import to the current site.
+	 *
+	 * @param array<string,mixed> $data Decoded import.
+	 *
+	 * @return array<string,int> Number of entries per status.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function apply( array $data ): array {
+		$counts = array(
+			'changed'   => 0,
+			'unchanged' => 0,
+			'unmatched' => 0,
+		);
+
+		foreach ( self::compare( $data ) as $entry ) {
+			++$counts[ $entry['status'] ];
+
+			if ( 'changed' !== $entry['status'] ) {
+				continue;
+			}
+
+			foreach ( $entry['changes'] as $change ) {
+				if ( 'setting' === $entry['type'] ) {
+					update_option( $change['key'], $change['to'] );
+				} else {
+					update_post_meta( $entry['id'], $change['key'], $change['to'] );
+				}
+
+				// An imported forward URL replaces the internal target picked on this site.
+				if ( 'restrictly_default_forward_url' === $change['key'] ) {
+					delete_option( 'restrictly_default_forward_post_id' );
+				} elseif ( 'restrictly_custom_forward_url' === $change['key'] ) {
+					delete_post_meta( $entry['id'], 'restrictly_custom_forward_post_id' );
+				}
+			}
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Sends the export as JSON.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_export(): void {
+		self::verify_request();
+
+		wp_send_json_success( self::build_export() );
+	}
+
+	/**
+	 * Sends the diff preview of an import.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_import_preview(): void {
+		self::verify_request();
+
+		wp_send_json_success( array( 'entries' => self::compare( self::get_posted_import() ) ) );
+	}
+
+	/**
+	 * Applies an import and sends the number of entries per status.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_import_apply(): void {
+		self::verify_request();
+
+		wp_send_json_success( array( 'counts' => self::apply( self::get_posted_import() ) ) );
+	}
+
+	/**
+	 * Checks the nonce and capability of an import or export request.
+	 *
+	 * @return void Sends a JSON error and exits when the request is not allowed.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function verify_request(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_import_export_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'You are not allowed to import or export Restrictly™ rules.', 'restrictly-wp' ) ) );
+		}
+	}
+
+	/**
+	 * Decodes the posted import file.
+	 *
+	 * @return array<string,mixed> Decoded import.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_posted_import(): array {
+		// Decoded JSON; every value is validated against the schemas before use.
+		$payload = isset( $_POST['payload'] ) ? (string) wp_unslash( $_POST['payload'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Missing
+		$data    = json_decode( $payload, true );
+
+		if ( ! is_array( $data ) || ( $data['plugin'] ?? '' ) !== 'restrictly' ) {
+			wp_send_json_error( array( 'message' => __( 'This file is not a Restrictly™ export.', 'restrictly-wp' ) ) );
+		}
+
+		if ( (int) ( $data['version'] ?? 0 ) > self::FORMAT_VERSION ) {
+			wp_send_json_error( array( 'message' => __( 'This export was made by a newer version of Restrictly™.', 'restrictly-wp' ) ) );
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Describes the keys that can be exported and imported, by section.
+	 *
+	 * @return array<string,array<string,array<string,mixed>>> Section => key => schema.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_schemas(): array {
+		$posts = array();
+		foreach ( PageAccessMeta::get_meta_schemas() as $meta_key => $schema ) {
+			// Post IDs differ between sites; the forward URL is carried instead.
+			if ( 'restrictly_custom_forward_post_id' === $meta_key ) {
+				continue;
+			}
+
+			$posts[ $meta_key ] = array(
+				'type'     => $schema['type'],
+				'enum'     => $schema['enum'] ?? null,
+				'sanitize' => $schema['sanitize_callback'],
+			);
+		}
+
+		$login_statuses = array( 'everyone', 'logged_in_users', 'logged_out_users' );
+		$role_modes     = array( 'include', 'exclude' );
+
+		return array(
+			'settings'    => array(
+				'restrictly_default_action'      => array(
+					'type'     => 'string',
+					'sanitize' => array( Settings::class, 'sanitize_restrictly_enforcement_action' ),
+				),
+				'restrictly_default_message'     => array(
+					'type'     => 'string',
+					'sanitize' => 'wp_kses_post',
+				),
+				'restrictly_default_forward_url' => array(
+					'type'     => 'string',
+					'sanitize' => static fn( string $url ): string => Settings::sanitize_restrictly_forward_url( esc_url_raw( $url ) ),
+				),
+				'restrictly_always_allow_admins' => array( 'type' => 'flag' ),
+				'restrictly_show_nav_pills'      => array( 'type' => 'flag' ),
+			),
+			'posts'       => $posts,
+			'menu_items'  => array(
+				'restrictly_menu_visibility' => array(
+					'type' => 'string',
+					'enum' => $login_statuses,
+				),
+				'restrictly_menu_roles'      => array( 'type' => 'array' ),
+				'restrictly_menu_role_mode'  => array(
+					'type' => 'string',
+					'enum' => $role_modes,
+				),
+				'restrictly_menu_cascade'    => array( 'type' => 'flag' ),
+				'restrictly_menu_override'   => array( 'type' => 'flag' ),
+			),
+			'navigations' => array(
+				'_restrictly_visibility'           => array(
+					'type' => 'string',
+					'enum' => Enforcement::get_visibility_conditions(),
+				),
+				'_restrictly_roles'                => array( 'type' => 'array' ),
+				'_restrictly_role_mode'            => array(
+					'type' => 'string',
+					'enum' => $role_modes,
+				),
+				'_restrictly_capability'           => array(
+					'type'     => 'string',
+					'sanitize' => 'sanitize_text_field',
+				),
+				'_restrictly_condition_attributes' => array( 'type' => 'object' ),
+			),
+		);
+	}
+
+	/**
+	 * Validates and sanitizes an imported value.
+	 *
+	 * @param array<string,mixed> $schema Key schema.
+	 * @param mixed               $value  Imported value.
+	 *
+	 * @return mixed Sanitized value, or null when the value is invalid.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function sanitize_value( array $schema, $value ) {
+		if ( 'flag' === $schema['type'] ) {
+			return is_scalar( $value ) ? (int) (bool) $value : null;
+		}
+
+		if ( 'array' === $schema['type'] ) {
+			return is_array( $value ) ? PageAccessMeta::sanitize_roles( $value ) : null;
+		}
+
+		if ( 'object' === $schema['type'] ) {
+			return is_array( $value ) ? map_deep( $value, 'sanitize_text_field' ) : null;
+		}
+
+		if ( ! is_scalar( $value ) ) {
+			return null;
+		}
+
+		$value = (string) $value;
+
+		if ( ! empty( $schema['enum'] ) && ! in_array( $value, $schema['enum'], true ) ) {
+			return null;
+		}
+
+		return isset( $schema['sanitize'] ) ? call_user_func( $schema['sanitize'], $value ) : sanitize_text_field( $value );
+	}
+
+	/**
+	 * Builds the diff entry of one imported post, menu item or navigation menu.
+	 *
+	 * @param string                            $type    Entry type.
+	 * @param string                            $label   Human-readable label.
+	 * @param int                               $post_id Matching local post ID, or 0.
+	 * @param array<string,mixed>               $item    Imported item.
+	 * @param array<string,array<string,mixed>> $schemas Key schemas.
+	 *
+	 * @return array<string,mixed> Diff entry.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function build_post_entry( string $type, string $label, int $post_id, array $item, array $schemas ): array {
+		$meta = isset( $item['meta'] ) && is_array( $item['meta'] ) ? $item['meta'] : array();
+		$to   = array();
+
+		foreach ( $schemas as $meta_key => $schema ) {
+			if ( array_key_exists( $meta_key, $meta ) ) {
+				$value = self::sanitize_value( $schema, $meta[ $meta_key ] );
+				if ( null !== $value ) {
+					$to[ $meta_key ] = $value;
+				}
+			}
+		}
+
+		$from = $post_id ? self::get_meta_values( $post_id, array_keys( $to ) ) : array();
+
+		return self::build_entry( $type, $label, $post_id, $from, $to );
+	}
+
+	/**
+	 * Builds a diff entry from current and imported values.
+	 *
+	 * @param string              $type  Entry type.
+	 * @param string              $label Human-readable label.
+	 * @param int                 $id    Matching local ID (1 for settings), or 0 when unmatched.
+	 * @param array<string,mixed> $from  Current values; missing keys are unset.
+	 * @param array<string,mixed> $to    Imported values.
+	 *
+	 * @return array<string,mixed> Diff entry.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function build_entry( string $type, string $label, int $id, array $from, array $to ): array {
+		$changes = array();
+
+		if ( $id ) {
+			foreach ( $to as $key => $value ) {
+				$current = $from[ $key ] ?? null;
+
+				// Loose string comparison, as options and meta come back as strings.
+				if ( maybe_serialize( self::normalize( $current ) ) !== maybe_serialize( self::normalize( $value ) ) ) {
+					$changes[] = array(
+						'key'  => $key,
+						'from' => $current,
+						'to'   => $value,
+					);
+				}
+			}
+		}
+
+		$status = 'unmatched';
+		if ( $id ) {
+			$status = empty( $changes ) ? 'unchanged' : 'changed';
+		}
+
+		return array(
+			'type'    => $type,
+			'label'   => $label,
+			'id'      => $id,
+			'status'  => $status,
+			'changes' => $changes,
+		);
+	}
+
+	/**
+	 * Normalizes a value for comparison.
+	 *
+	 * @param mixed $value Value.
+	 *
+	 * @return mixed Scalars as strings, arrays normalized recursively.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function normalize( $value ) {
+		if ( is_array( $value ) ) {
+			return array_map( array( __CLASS__, 'normalize' ), $value );
+		}
+
+		return null === $value ? null : (string) $value;
+	}
+
+	/**
+	 * Retrieves the posts of the given types that have any of the given meta keys.
+	 *
+	 * @param string[] $post_types Post types.
+	 * @param string[] $meta_keys  Meta keys.
+	 *
+	 * @return WP_Post[] Posts.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_posts_with_meta( array $post_types, array $meta_keys ): array {
+		$meta_query = array( 'relation' => 'OR' );
+		foreach ( $meta_keys as $meta_key ) {
+			$meta_query[] = array(
+				'key'     => $meta_key,
+				'compare' => 'EXISTS',
+			);
+		}
+
+		return get_posts(
+			array(
+				'post_type'        => $post_types,
+				'post_status'      => 'any',
+				'numberposts'      => -1,
+				'orderby'          => 'ID',
+				'order'            => 'ASC',
+				'meta_query'       => $meta_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				'suppress_filters' => false,
+			)
+		);
+	}
+
+	/**
+	 * Retrieves the stored values of the given meta keys.
+	 *
+	 * @param int      $post_id   Post ID.
+	 * @param string[] $meta_keys Meta keys.
+	 *
+	 * @return array<string,mixed> Meta key => value, for keys that are set.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_meta_values( int $post_id, array $meta_keys ): array {
+		$values = array();
+
+		foreach ( $meta_keys as $meta_key ) {
+			if ( metadata_exists( 'post', $post_id, $meta_key ) ) {
+				$values[ $meta_key ] = get_post_meta( $post_id, $meta_key, true );
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Describes a menu item by its menu and link target, which are stable across sites.
+	 *
+	 * @param WP_Post $post Menu item post.
+	 *
+	 * @return array<string,string> Menu slug, item type, object, target and title.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function describe_menu_item( WP_Post $post ): array {
+		$item  = wp_setup_nav_menu_item( $post );
+		$menus = wp_get_object_terms( $post->ID, 'nav_menu', array( 'fields' => 'slugs' ) );
+
+		$target = (string) $item->url;
+		if ( 'post_type' === $item->type ) {
+			$target = (string) get_page_uri( (int) $item->object_id );
+		} elseif ( 'taxonomy' === $item->type ) {
+			$term   = get_term( (int) $item->object_id, (string) $item->object );
+			$target = $term && ! is_wp_error( $term ) ? $term->slug : '';
+		}
+
+		return array(
+			'menu'   => is_array( $menus ) && $menus ? (string) reset( $menus ) : '',
+			'type'   => (string) $item->type,
+			'object' => (string) $item->object,
+			'target' => $target,
+			'title'  => (string) $item->title,
+		);
+	}
+
+	/**
+	 * Finds the local post matching an imported item, by path then by GUID.
+	 *
+	 * Sibling pages under different parents can share a slug, so the full path
+	 * is matched when the export has one. Older exports only hold the slug.
+	 *
+	 * @param string              $post_type Post type.
+	 * @param array<string,mixed> $item      Imported item.
+	 *
+	 * @return int Post ID, or 0.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_post( string $post_type, array $item ): int {
+		if ( '' === $post_type || ! post_type_exists( $post_type ) ) {
+			return 0;
+		}
+
+		$path = isset( $item['path'] ) ? implode( '/', array_map( 'sanitize_title', explode( '/', (string) $item['path'] ) ) ) : '';
+		if ( '' !== trim( $path, '/' ) ) {
+			$post = get_page_by_path( $path, OBJECT, $post_type );
+
+			return $post ? (int) $post->ID : self::find_post_by_guid( $post_type, $item );
+		}
+
+		$slug = isset( $item['slug'] ) ? sanitize_title( (string) $item['slug'] ) : '';
+		if ( '' !== $slug ) {
+			$ids = get_posts(
+				array(
+					'post_type'   => $post_type,
+					'post_status' => 'any',
+					'name'        => $slug,
+					'numberposts' => 1,
+					'fields'      => 'ids',
+				)
+			);
+
+			if ( $ids ) {
+				return (int) $ids[0];
+			}
+		}
+
+		return self::find_post_by_guid( $post_type, $item );
+	}
+
+	/**
+	 * Finds the local menu item matching an imported one.
+	 *
+	 * @param array<string,mixed> $item Imported menu item.
+	 *
+	 * @return int Menu item ID, or 0.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_menu_item( array $item ): int {
+		$menu = isset( $item['menu'] ) ? wp_get_nav_menu_object( sanitize_title( (string) $item['menu'] ) ) : false;
+
+		if ( $menu ) {
+			foreach ( (array) wp_get_nav_menu_items( $menu->term_id ) as $menu_item ) {
+				$local = self::describe_menu_item( $menu_item );
+
+				if (
+					$local['type'] === ( $item['type'] ?? '' ) &&
+					$local['object'] === ( $item['object'] ?? '' ) &&
+					$local['target'] === ( $item['target'] ?? '' )
+				) {
+					return (int) $menu_item->ID;
+				}
+			}
+		}
+
+		return self::find_post_by_guid( 'nav_menu_item', $item );
+	}
+
+	/**
+	 * Finds a local post by the GUID of an imported item.
+	 *
+	 * @param string              $post_type Post type.
+	 * @param array<string,mixed> $item      Imported item.
+	 *
+	 * @return int Post ID, or 0.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function find_post_by_guid( string $post_type, array $item ): int {
+		global $wpdb;
+
+		$guid = isset( $item['guid'] ) ? esc_url_raw( (string) $item['guid'] ) : '';
+		if ( '' === $guid ) {
+			return 0;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT ID FROM {$wpdb->posts} WHERE guid = %s AND post_type = %s LIMIT 1",
+				$guid,
+				$post_type
+			)
+		);
+	}
+
+	/**
+	 * Retrieves a list section of the import.
+	 *
+	 * @param array<string,mixed> $data    Decoded import.
+	 * @param string              $section Section name.
+	 *
+	 * @return array<int,array<string,mixed>> Items of the section.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_import_list( array $data, string $section ): array {
+		if ( empty( $data[ $section ] ) || ! is_array( $data[ $section ] ) ) {
+			return array();
+		}
+
+		return array_values( array_filter( $data[ $section ], 'is_array' ) );
+	}
+
+	/**
+	 * Builds a readable label for an imported item.
+	 *
+	 * @param array<string,mixed> $item Imported item.
+	 *
+	 * @return string Title, or slug when the title is empty.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_item_label( array $item ): string {
+		$title = isset( $item['title'] ) ? sanitize_text_field( (string) $item['title'] ) : '';
+
+		if ( '' === $title ) {
+			$title = isset( $item['slug'] ) ? sanitize_text_field( (string) $item['slug'] ) : '';
+		}
+
+		return $title;
+	}
+}
@@ -0,0 +1,254 @@
+<?php
+/**
+ * Searches and validates forward URL targets.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\RoleHelper;
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Backs the link picker of the forward URL fields.
+ *
+ * The picker searches internal content to forward to, and checks whether the
+ * chosen target is itself restricted for the visitors who would be forwarded
+ * to it. Internal targets are saved by post ID next to their URL, so they
+ * survive slug changes.
+ *
+ * @since 0.1.0
+ */
+class LinkPicker {
+
+	/**
+	 * Maximum number of search results.
+	 *
+	 * @since 0.1.0
+	 */
+	private const SEARCH_LIMIT = 20;
+
+	/**
+	 * Initializes the link picker AJAX handlers.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_restrictly_link_search', array( __CLASS__, 'ajax_search' ) );
+		add_action( 'wp_ajax_restrictly_link_check', array( __CLASS__, 'ajax_check' ) );
+	}
+
+	/**
+	 * Searches published content to forward to.
+	 *
+	 * @return void Outputs a JSON response with id, title, type and url of each match.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_search(): void {
+		self::verify_request();
+
+		$term = isset( $_POST['term'] ) ? sanitize_text_field( wp_unslash( $_POST['term'] ) ) : '';
+
+		$query = new \WP_Query(
+			array(
+				's'                   => $term,
+				'post_type'           => array_values( array_diff( get_post_types( array( 'public' => true ) ), array( 'attachment' ) ) ),
+				'post_status'         => 'publish',
+				'posts_per_page'      => self::SEARCH_LIMIT,
+				'ignore_sticky_posts' => true,
+				'no_found_rows'       => true,
+			)
+		);
+
+		$results = array();
+		foreach ( $query->posts as $post ) {
+			$object    = get_post_type_object( $post->post_type );
+			$results[] = array(
+				'id'    => $post->ID,
+				'title' => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+				'type'  => $object ? $object->labels->singular_name : $post->post_type,
+				'url'   => (string) get_permalink( $post ),
+			);
+		}
+
+		wp_send_json_success( $results );
+	}
+
+	/**
+	 * Checks a forward target against the rule of the content forwarding to it.
+	 *
+	 * Request fields: `post_id` or `url` (the target), `source_id` (the post
+	 * being edited, if any) and, when known, the source rule `login_status`,
+	 * `roles`, `role_mode` and `capability`. Without a source rule, every
+	 * visitor may be forwarded.
+	 *
+	 * @return void Outputs a JSON response with the target's post_id, title, url and a warning.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_check(): void {
+		self::verify_request();
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$url     = isset( $_POST['url'] ) ? esc_url_raw( wp_unslash( $_POST['url'] ) ) : '';
+
+		if ( ! $post_id && '' !== $url ) {
+			$post_id = url_to_postid( $url );
+
+			if ( ! $post_id && untrailingslashit( $url ) === untrailingslashit( home_url() ) ) {
+				$post_id = (int) get_option( 'page_on_front' );
+			}
+		}
+
+		$target = $post_id ? get_post( $post_id ) : null;
+
+		if ( ! $target instanceof WP_Post ) {
+			wp_send_json_success(
+				array(
+					'post_id' => 0,
+					'title'   => '',
+					'url'     => $url,
+					'warning' => '',
+				)
+			);
+		}
+
+		// Only report on content the current user may read.
+		if ( ! current_user_can( 'read_post', $target->ID ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request', 'restrictly-wp' ) ) );
+		}
+
+		$source_id = isset( $_POST['source_id'] ) ? absint( $_POST['source_id'] ) : 0;
+		$source    = null;
+
+		if ( isset( $_POST['login_status'] ) ) {
+			$source = array(
+				'login_status' => sanitize_text_field( wp_unslash( $_POST['login_status'] ) ),
+				'roles'        => isset( $_POST['roles'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['roles'] ) ) : array(),
+				'role_mode'    => isset( $_POST['role_mode'] ) ? sanitize_text_field( wp_unslash( $_POST['role_mode'] ) ) : 'include',
+				'capability'   => isset( $_POST['capability'] ) ? sanitize_text_field( wp_unslash( $_POST['capability'] ) ) : '',
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				'post_id' => $target->ID,
+				'title'   => html_entity_decode( get_the_title( $target ), ENT_QUOTES, 'UTF-8' ),
+				'url'     => (string) get_permalink( $target ),
+				'warning' => self::get_warning( $target, $source_id, $source ),
+			)
+		);
+	}
+
+	/**
+	 * Explains why forwarding to a target would fail, if it would.
+	 *
+	 * @param WP_Post                  $target    Forward target.
+	 * @param int                      $source_id Post forwarding to the target, or 0.
+	 * @param array<string,mixed>|null $source    Rule of the forwarding post, or null when unknown.
+	 *
+	 * @return string Warning, or '' when the target is safe.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_warning( WP_Post $target, int $source_id, ?array $source ): string {
+		if ( $source_id && $target->ID === $source_id ) {
+			return __( 'This content forwards to itself: visitors it blocks would see “Redirect Loop Detected”.', 'restrictly-wp' );
+		}
+
+		if ( 'publish' !== $target->post_status ) {
+			return __( 'This content is not published, so forwarded visitors would not be able to view it.', 'restrictly-wp' );
+		}
+
+		$target_visible = self::get_visible_to(
+			(string) get_post_meta( $target->ID, 'restrictly_page_access_by_login_status', true ),
+			(array) get_post_meta( $target->ID, 'restrictly_page_access_by_role', true ),
+			(string) get_post_meta( $target->ID, 'restrictly_page_access_role_mode', true ),
+			(string) get_post_meta( $target->ID, 'restrictly_page_access_capability', true )
+		);
+
+		if ( null === $target_visible ) {
+			return '';
+		}
+
+		$everyone  = array_merge( array_map( 'strval', array_keys( RoleHelper::get_available_roles() ) ), array( AuditReport::GUEST ) );
+		$forwarded = $everyone;
+
+		if ( null !== $source ) {
+			$source_visible = self::get_visible_to( $source['login_status'], $source['roles'], $source['role_mode'], $source['capability'] );
+			$forwarded      = null === $source_visible ? array() : array_diff( $everyone, $source_visible );
+		}
+
+		$blocked_again = array_values( array_diff( $forwarded, $target_visible ) );
+
+		if ( empty( $blocked_again ) ) {
+			return '';
+		}
+
+		$role_names = RoleHelper::get_available_roles();
+		$names      = array_map(
+			static fn( $role ) => AuditReport::GUEST === $role ? __( 'Logged-out visitors', 'restrictly-wp' ) : ( $role_names[ $role ] ?? $role ),
+			$blocked_again
+		);
+
+		return sprintf(
+			// translators: 1: target title, 2: list of roles.
+			__( '“%1$s” is restricted too. Forwarded visitors (%2$s) would be blocked again, or see “Redirect Loop Detected” if it forwards back here.', 'restrictly-wp' ),
+			html_entity_decode( get_the_title( $target ), ENT_QUOTES, 'UTF-8' ),
+			implode( ', ', $names )
+		);
+	}
+
+	/**
+	 * Determines which roles, and logged-out visitors, pass a page access rule.
+	 *
+	 * @param string   $login_status Login status rule.
+	 * @param string[] $roles        Role rule roles.
+	 * @param string   $role_mode    Role rule mode.
+	 * @param string   $capability   Required capability, or ''.
+	 *
+	 * @return string[]|null Role slugs (and `guest`), or null when the content is not restricted.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_visible_to( string $login_status, array $roles, string $role_mode, string $capability ): ?array {
+		if ( 'logged_in_users' !== $login_status && 'logged_out_users' !== $login_status ) {
+			return null;
+		}
+
+		return AuditReport::get_visible_roles(
+			'logged_out_users' === $login_status ? 'logged_out' : 'logged_in',
+			$roles,
+			$role_mode,
+			$capability
+		);
+	}
+
+	/**
+	 * Verifies the nonce and capability of a link picker request.
+	 *
+	 * @return void Sends a JSON error and exits when the request is not allowed.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function verify_request(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_link_picker_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request', 'restrictly-wp' ) ) );
+		}
+	}
+}
@@ -0,0 +1,876 @@
+<?php
+/**
+ * Shows which audiences see each menu item, and lets admins toggle them.
+ *
+ * @package Restrictly
+ *
+ * @since 0.1.0
+ */
+
+namespace Restrictly\Core\Admin;
+
+use Restrictly\Core\Common\Base;
+use Restrictly\Core\Common\Enforcement;
+use Restrictly\Core\Common\FSEHandler;
+use Restrictly\Core\Common\RoleHelper;
+use WP_Error;
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Powers the visibility matrix of the Menus screen and the Settings page.
+ *
+ * The matrix lists the items of a classic menu, or the links of a block
+ * theme Navigation menu (`wp_navigation`), against every audience: logged-out
+ * visitors, each role and administrators. Each cell evaluates the rules the
+ * front end applies (linked page restrictions, hidden parents and admin
+ * bypass included) against the role and its capabilities, without switching
+ * the current user.
+ *
+ * Toggling a cell rewrites the item's own visibility rule so the audience is
+ * added to or removed from the audiences it already reaches.
+ *
+ * @since 0.1.0
+ */
+class MenuMatrix {
+
+	/**
+	 * Navigation blocks listed as rows.
+	 *
+	 * @var string[]
+	 *
+	 * @since 0.1.0
+	 */
+	private const LINK_BLOCKS = array( 'core/navigation-link', 'core/navigation-submenu' );
+
+	/**
+	 * Initializes the matrix scripts and AJAX handlers.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'admin_enqueue_scripts', array( __CLASS__, 'enqueue_scripts' ) );
+		add_action( 'wp_ajax_restrictly_menu_matrix', array( __CLASS__, 'ajax_load' ) );
+		add_action( 'wp_ajax_restrictly_menu_matrix_toggle', array( __CLASS__, 'ajax_toggle' ) );
+	}
+
+	/**
+	 * Enqueues the matrix script on the Menus screen and the Settings page.
+	 *
+	 * @param string $hook The current admin page hook.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function enqueue_scripts( string $hook ): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$screen = get_current_screen();
+
+		if ( 'nav-menus.php' !== $hook && ( ! $screen || 'settings_page_restrictly-settings' !== $screen->id ) ) {
+			return;
+		}
+
+		$file_path = Base::plugin_path() . 'assets/js/menu-matrix.js';
+		$version   = file_exists( $file_path ) ? filemtime( $file_path ) : time();
+
+		wp_enqueue_script(
+			'restrictly-menu-matrix-script',
+			Base::plugin_url() . 'assets/js/menu-matrix.js',
+			array( 'jquery', 'wp-i18n' ),
+			(string) $version,
+			true
+		);
+
+		wp_localize_script(
+			'restrictly-menu-matrix-script',
+			'restrictlyMenuMatrix',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'restrictly_menu_matrix_nonce' ),
+				'sources' => self::get_sources(),
+			)
+		);
+	}
+
+	/**
+	 * Sends the matrix of a menu.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_load(): void {
+		self::verify_request();
+
+		$matrix = self::get_matrix( self::get_posted_source() );
+
+		if ( is_wp_error( $matrix ) ) {
+			wp_send_json_error( array( 'message' => $matrix->get_error_message() ) );
+		}
+
+		wp_send_json_success( $matrix );
+	}
+
+	/**
+	 * Toggles one cell and sends the updated matrix.
+	 *
+	 * For classic menus the re-rendered Restrictly™ panels of the changed items
+	 * are included, so the Menus screen can refresh them in place.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_toggle(): void {
+		self::verify_request();
+
+		$source   = self::get_posted_source();
+		$item     = isset( $_POST['item'] ) ? sanitize_text_field( wp_unslash( $_POST['item'] ) ) : '';
+		$audience = isset( $_POST['audience'] ) ? sanitize_key( wp_unslash( $_POST['audience'] ) ) : '';
+
+		if ( ! array_key_exists( $audience, self::get_columns() ) || self::is_locked( $audience ) ) {
+			wp_send_json_error( array( 'message' => __( 'This audience cannot be changed.', 'restrictly-wp' ) ) );
+		}
+
+		if ( 'nav_menu' === $source['type'] ) {
+			$changed = self::toggle_menu_item( (int) $item, $audience );
+		} else {
+			$changed = self::toggle_navigation_link( $source['id'], $item, $audience );
+		}
+
+		if ( is_wp_error( $changed ) ) {
+			wp_send_json_error( array( 'message' => $changed->get_error_message() ) );
+		}
+
+		$matrix = self::get_matrix( $source );
+
+		if ( is_wp_error( $matrix ) ) {
+			wp_send_json_error( array( 'message' => $matrix->get_error_message() ) );
+		}
+
+		$matrix['panels'] = array();
+
+		if ( 'nav_menu' === $source['type'] ) {
+			foreach ( $changed as $item_id ) {
+				ob_start();
+				Menus::restrictly_add_menu_custom_fields( $item_id, wp_setup_nav_menu_item( get_post( $item_id ) ) );
+				$matrix['panels'][ $item_id ] = (string) ob_get_clean();
+			}
+		}
+
+		wp_send_json_success( $matrix );
+	}
+
+	/**
+	 * Outputs the matrix container of the Settings page.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function render(): void {
+		echo '<div class="restrictly-menu-matrix" aria-live="polite"></div>';
+	}
+
+	/**
+	 * Lists the menus the matrix can show.
+	 *
+	 * @return array<int,array<string,string>> Source value, label and group.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_sources(): array {
+		$sources = array();
+
+		foreach ( wp_get_nav_menus() as $menu ) {
+			$sources[] = array(
+				'value' => 'nav_menu:' . $menu->term_id,
+				'label' => $menu->name,
+				'group' => __( 'Menus', 'restrictly-wp' ),
+			);
+		}
+
+		$navigations = get_posts(
+			array(
+				'post_type'   => 'wp_navigation',
+				'post_status' => 'publish',
+				'numberposts' => -1,
+			)
+		);
+
+		foreach ( $navigations as $navigation ) {
+			$sources[] = array(
+				'value' => 'wp_navigation:' . $navigation->ID,
+				'label' => html_entity_decode( get_the_title( $navigation ), ENT_QUOTES, 'UTF-8' ),
+				'group' => __( 'Navigation menus (block themes)', 'restrictly-wp' ),
+			);
+		}
+
+		return $sources;
+	}
+
+	/**
+	 * Builds the matrix of a menu.
+	 *
+	 * @param array{type:string,id:int} $source Menu type and ID.
+	 *
+	 * @return array<string,mixed>|WP_Error Columns and rows, or an error.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_matrix( array $source ) {
+		if ( 'nav_menu' === $source['type'] && wp_get_nav_menu_object( $source['id'] ) ) {
+			$rows = self::get_menu_rows( $source['id'] );
+		} elseif ( 'wp_navigation' === $source['type'] && 'wp_navigation' === get_post_type( $source['id'] ) ) {
+			$rows = self::get_navigation_rows( get_post( $source['id'] ) );
+		} else {
+			return new WP_Error( 'restrictly_unknown_menu', __( 'This menu no longer exists.', 'restrictly-wp' ) );
+		}
+
+		$columns = array();
+		foreach ( self::get_columns() as $key => $label ) {
+			$columns[] = array(
+				'key'    => $key,
+				'label'  => $label,
+				'locked' => self::is_locked( $key ),
+			);
+		}
+
+		return array(
+			'columns' => $columns,
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Lists the audiences shown as columns.
+	 *
+	 * Logged-out visitors come first and administrators last.
+	 *
+	 * @return array<string,string> Audience key => label.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_columns(): array {
+		$roles   = RoleHelper::get_available_roles();
+		$columns = array( AuditReport::GUEST => __( 'Logged out', 'restrictly-wp' ) );
+
+		foreach ( $roles as $role => $name ) {
+			if ( 'administrator' !== $role ) {
+				$columns[ (string) $role ] = translate_user_role( $name );
+			}
+		}
+
+		if ( isset( $roles['administrator'] ) ) {
+			$columns['administrator'] = translate_user_role( $roles['administrator'] );
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Determines whether an audience always sees everything.
+	 *
+	 * @param string $audience Audience key.
+	 *
+	 * @return bool True when "Always Allow Administrators" covers the audience.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function is_locked( string $audience ): bool {
+		return 'administrator' === $audience && 1 === (int) get_option( 'restrictly_always_allow_admins', 1 );
+	}
+
+	/**
+	 * Builds the rows of a classic menu.
+	 *
+	 * @param int $menu_id Menu term ID.
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_menu_rows( int $menu_id ): array {
+		$items  = (array) wp_get_nav_menu_items( $menu_id );
+		$depths = array();
+		$hidden = array();
+		$rows   = array();
+
+		// Menu order lists every parent before its children.
+		foreach ( $items as $item ) {
+			$parent_id           = (int) $item->menu_item_parent;
+			$depths[ $item->ID ] = isset( $depths[ $parent_id ] ) ? $depths[ $parent_id ] + 1 : 0;
+			$rule                = Enforcement::get_menu_item_rule( (int) $item->ID );
+			$own_rule_is_open    = 'everyone' === $rule['visibility'] && empty( $rule['roles'] );
+			$cells               = array();
+
+			foreach ( array_keys( self::get_columns() ) as $audience ) {
+				if ( isset( $hidden[ $audience ][ $parent_id ] ) ) {
+					$reason = __( 'Its parent item is hidden', 'restrictly-wp' );
+				} elseif ( ! self::audience_can_view( $audience, $rule['visibility'], $rule['roles'], $rule['role_mode'] ) ) {
+					$reason = __( 'Menu item visibility rule', 'restrictly-wp' );
+				} elseif ( $own_rule_is_open && ! empty( $item->object_id ) && ! self::audience_can_view_post( $audience, (int) $item->object_id ) ) {
+					$reason = __( 'The linked content is restricted', 'restrictly-wp' );
+				} else {
+					$reason = '';
+				}
+
+				if ( '' !== $reason ) {
+					$hidden[ $audience ][ (int) $item->ID ] = true;
+				}
+
+				$cells[ $audience ] = array(
+					'visible' => '' === $reason,
+					'reason'  => $reason,
+				);
+			}
+
+			$rows[] = array(
+				'id'       => (string) $item->ID,
+				'label'    => html_entity_decode( wp_strip_all_tags( $item->title ), ENT_QUOTES, 'UTF-8' ),
+				'depth'    => $depths[ $item->ID ],
+				'editable' => true,
+				'cells'    => $cells,
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Builds the rows of a block theme Navigation menu.
+	 *
+	 * @param WP_Post $navigation Navigation post.
+	 *
+	 * @return array<int,array<string,mixed>> Rows.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_navigation_rows( WP_Post $navigation ): array {
+		$links = self::collect_links( FSENavigation::apply_visibility_cascade( parse_blocks( $navigation->post_content ) ) );
+		$rows  = array();
+		$rule  = array_merge(
+			(array) get_post_meta( $navigation->ID, '_restrictly_condition_attributes', true ),
+			array(
+				'restrictlyRoleMode'   => (string) get_post_meta( $navigation->ID, '_restrictly_role_mode', true ),
+				'restrictlyCapability' => (string) get_post_meta( $navigation->ID, '_restrictly_capability', true ),
+			)
+		);
+
+		foreach ( $links as $path => $link ) {
+			$rows[ $path ] = array(
+				'id'       => $path,
+				'label'    => $link['label'],
+				'depth'    => $link['depth'],
+				'editable' => in_array( $link['block']['attrs']['restrictlyVisibility'] ?? 'everyone', array( '', 'everyone', 'logged_in', 'logged_out' ), true ),
+				'cells'    => array(),
+			);
+		}
+
+		$visibility = (string) get_post_meta( $navigation->ID, '_restrictly_visibility', true );
+		$nav_roles  = (array) get_post_meta( $navigation->ID, '_restrictly_roles', true );
+
+		foreach ( array_keys( self::get_columns() ) as $audience ) {
+			$shown  = self::audience_can_view_rule( $audience, '' !== $visibility ? $visibility : 'everyone', $nav_roles, $rule );
+			$hidden = array();
+
+			foreach ( $links as $path => $link ) {
+				$attrs     = $link['block']['attrs'] ?? array();
+				$link_rule = self::audience_can_view_rule( $audience, (string) ( $attrs['restrictlyVisibility'] ?? 'everyone' ), (array) ( $attrs['restrictlyRoles'] ?? array() ), $attrs );
+				$post_id   = 'core/navigation-link' === $link['block']['blockName'] && ! empty( $attrs['url'] ) ? FSEHandler::get_url_post_id( (string) $attrs['url'] ) : 0;
+
+				if ( null === $shown || null === $link_rule ) {
+					$reason = __( 'Decided by a custom visibility condition', 'restrictly-wp' );
+				} elseif ( ! $shown ) {
+					$reason = __( 'The Navigation menu is hidden', 'restrictly-wp' );
+				} elseif ( '' !== $link['parent'] && isset( $hidden[ $link['parent'] ] ) ) {
+					$reason = __( 'Its parent item is hidden', 'restrictly-wp' );
+				} elseif ( ! $link_rule ) {
+					$reason = __( 'Link visibility rule', 'restrictly-wp' );
+				} elseif ( $post_id && ! self::audience_can_view_post( $audience, $post_id ) ) {
+					$reason = __( 'The linked content is restricted', 'restrictly-wp' );
+				} else {
+					$reason = '';
+				}
+
+				if ( '' !== $reason ) {
+					$hidden[ $path ] = true;
+				}
+
+				$rows[ $path ]['cells'][ $audience ] = array(
+					'visible' => '' === $reason,
+					'reason'  => $reason,
+				);
+			}
+		}
+
+		return array_values( $rows );
+	}
+
+	/**
+	 * Lists the link and submenu blocks of a Navigation menu.
+	 *
+	 * @param array<int,array<string,mixed>> $blocks Parsed blocks.
+	 * @param string                         $parent Path of the parent link, or ''.
+	 * @param int                            $depth  Nesting depth.
+	 *
+	 * @return array<string,array<string,mixed>> Block path => block, label, depth and parent path.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function collect_links( array $blocks, string $parent = '', int $depth = 0 ): array {
+		$links = array();
+
+		foreach ( $blocks as $index => $block ) {
+			$path = '' === $parent ? (string) $index : $parent . '-' . $index;
+
+			if ( ! in_array( $block['blockName'] ?? '', self::LINK_BLOCKS, true ) ) {
+				// Containers such as groups are not links, but may hold some.
+				$links += self::collect_links( $block['innerBlocks'] ?? array(), $path, $depth );
+				continue;
+			}
+
+			$label          = wp_strip_all_tags( (string) ( $block['attrs']['label'] ?? '' ) );
+			$links[ $path ] = array(
+				'block'  => $block,
+				'label'  => '' !== $label ? html_entity_decode( $label, ENT_QUOTES, 'UTF-8' ) : (string) ( $block['attrs']['url'] ?? __( '(no label)', 'restrictly-wp' ) ),
+				'depth'  => $depth,
+				'parent' => $parent,
+			);
+
+			$links += self::collect_links( $block['innerBlocks'] ?? array(), $path, $depth + 1 );
+		}
+
+		return $links;
+	}
+
+	/**
+	 * Toggles one audience on a classic menu item.
+	 *
+	 * Child items inheriting the item's visibility (see the "Apply to child
+	 * items" option) receive the new rule as well.
+	 *
+	 * @param int    $item_id  Menu item ID.
+	 * @param string $audience Audience key.
+	 *
+	 * @return int[]|WP_Error IDs of the changed items, or an error.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function toggle_menu_item( int $item_id, string $audience ) {
+		$item = get_post( $item_id );
+
+		if ( ! $item || 'nav_menu_item' !== $item->post_type ) {
+			return new WP_Error( 'restrictly_unknown_item', __( 'This menu item no longer exists.', 'restrictly-wp' ) );
+		}
+
+		$current   = Enforcement::get_menu_item_rule( $item_id );
+		$audiences = array();
+
+		foreach ( array_keys( self::get_columns() ) as $key ) {
+			if ( self::audience_can_view( $key, $current['visibility'], $current['roles'], $current['role_mode'] ) ) {
+				$audiences[] = $key;
+			}
+		}
+
+		$rule = self::get_rule_for( self::toggle_audience( $audiences, $audience ) );
+
+		if ( is_wp_error( $rule ) ) {
+			return $rule;
+		}
+
+		if ( 'everyone' !== $rule['visibility'] ) {
+			$rule['visibility'] .= '_users';
+		}
+
+		self::save_menu_rule( $item_id, $rule );
+
+		// The matrix sets the item's own rule, replacing one inherited from a parent item.
+		update_post_meta( $item_id, 'restrictly_menu_override', 1 );
+
+		$changed = array( $item_id );
+
+		if ( get_post_meta( $item_id, 'restrictly_menu_cascade', true ) ) {
+			$children = array();
+			foreach ( (array) wp_get_nav_menu_items( (int) current( wp_get_object_terms( $item_id, 'nav_menu', array( 'fields' => 'ids' ) ) ) ) as $menu_item ) {
+				$children[ (int) $menu_item->menu_item_parent ][] = (int) $menu_item->ID;
+			}
+
+			$changed = array_merge( $changed, self::cascade_menu_rule( $item_id, $rule, $children ) );
+		}
+
+		return $changed;
+	}
+
+	/**
+	 * Applies a rule to the child items inheriting it.
+	 *
+	 * Overridden children keep their own rule; their children still inherit
+	 * from above unless the overridden child applies its own rule to them.
+	 *
+	 * @param int                 $parent_id Parent item ID.
+	 * @param array<string,mixed> $rule      Visibility, roles and role mode.
+	 * @param array<int,int[]>    $children  Parent ID => child item IDs.
+	 *
+	 * @return int[] IDs of the changed items.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function cascade_menu_rule( int $parent_id, array $rule, array $children ): array {
+		$changed = array();
+
+		foreach ( $children[ $parent_id ] ?? array() as $child_id ) {
+			$overridden = (bool) get_post_meta( $child_id, 'restrictly_menu_override', true );
+
+			if ( ! $overridden ) {
+				self::save_menu_rule( $child_id, $rule );
+				$changed[] = $child_id;
+			}
+
+			if ( ! $overridden || ! get_post_meta( $child_id, 'restrictly_menu_cascade', true ) ) {
+				$changed = array_merge( $changed, self::cascade_menu_rule( $child_id, $rule, $children ) );
+			}
+		}
+
+		return $changed;
+	}
+
+	/**
+	 * Saves the visibility rule of a classic menu item.
+	 *
+	 * @param int                 $item_id Menu item ID.
+	 * @param array<string,mixed> $rule    Visibility, roles and role mode.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function save_menu_rule( int $item_id, array $rule ): void {
+		update_post_meta( $item_id, 'restrictly_menu_visibility', $rule['visibility'] );
+		update_post_meta( $item_id, 'restrictly_menu_roles', $rule['roles'] );
+		update_post_meta( $item_id, 'restrictly_menu_role_mode', $rule['role_mode'] );
+	}
+
+	/**
+	 * Toggles one audience on a Navigation link.
+	 *
+	 * Only the link itself is saved. Child links inheriting its visibility (see
+	 * the "Apply to child links" option) render with the new rule as well, since
+	 * FSENavigation::filter_navigation_inner_blocks() applies the cascade on
+	 * every render.
+	 *
+	 * @param int    $navigation_id Navigation post ID.
+	 * @param string $path          Block path of the link.
+	 * @param string $audience      Audience key.
+	 *
+	 * @return true|WP_Error True on success, or an error.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function toggle_navigation_link( int $navigation_id, string $path, string $audience ) {
+		$navigation = get_post( $navigation_id );
+
+		if ( ! $navigation || 'wp_navigation' !== $navigation->post_type ) {
+			return new WP_Error( 'restrictly_unknown_menu', __( 'This menu no longer exists.', 'restrictly-wp' ) );
+		}
+
+		if ( ! current_user_can( 'edit_post', $navigation_id ) ) {
+			return new WP_Error( 'restrictly_cannot_edit', __( 'You are not allowed to edit this menu.', 'restrictly-wp' ) );
+		}
+
+		$blocks  = parse_blocks( $navigation->post_content );
+		$indexes = array_map( 'intval', explode( '-', $path ) );
+		$last    = array_pop( $indexes );
+		$list    = &$blocks;
+
+		foreach ( $indexes as $index ) {
+			if ( ! isset( $list[ $index ] ) ) {
+				return new WP_Error( 'restrictly_unknown_item', __( 'This menu item no longer exists.', 'restrictly-wp' ) );
+			}
+
+			$list = &$list[ $index ]['innerBlocks'];
+		}
+
+		if ( ! isset( $list[ $last ] ) || ! in_array( $list[ $last ]['blockName'] ?? '', self::LINK_BLOCKS, true ) ) {
+			return new WP_Error( 'restrictly_unknown_item', __( 'This menu item no longer exists.', 'restrictly-wp' ) );
+		}
+
+		// Evaluate the link with the rule it renders with, inherited ones included.
+		$link = $list[ $last ];
+
+		if ( empty( $link['attrs']['restrictlyOverride'] ) ) {
+			$resolved = FSENavigation::apply_visibility_cascade( $blocks );
+
+			foreach ( $indexes as $index ) {
+				$resolved = $resolved[ $index ]['innerBlocks'];
+			}
+
+			$link = $resolved[ $last ];
+		}
+
+		if ( ! in_array( $link['attrs']['restrictlyVisibility'] ?? 'everyone', array( '', 'everyone', 'logged_in', 'logged_out' ), true ) ) {
+			return new WP_Error( 'restrictly_custom_condition', __( 'This link uses a custom visibility condition. Change it in the Site Editor.', 'restrictly-wp' ) );
+		}
+
+		$audiences = array();
+
+		foreach ( array_keys( self::get_columns() ) as $key ) {
+			if ( self::audience_can_view_rule( $key, (string) ( $link['attrs']['restrictlyVisibility'] ?? 'everyone' ), (array) ( $link['attrs']['restrictlyRoles'] ?? array() ), $link['attrs'] ) ) {
+				$audiences[] = $key;
+			}
+		}
+
+		$rule = self::get_rule_for( self::toggle_audience( $audiences, $audience ) );
+
+		if ( is_wp_error( $rule ) ) {
+			return $rule;
+		}
+
+		$list[ $last ]['attrs']['restrictlyVisibility'] = $rule['visibility'];
+		$list[ $last ]['attrs']['restrictlyRoles']      = $rule['roles'];
+		$list[ $last ]['attrs']['restrictlyRoleMode']   = $rule['role_mode'];
+
+		// The matrix sets the link's own rule, replacing one inherited from a parent submenu.
+		$list[ $last ]['attrs']['restrictlyOverride'] = true;
+		unset( $list );
+
+		$updated = wp_update_post(
+			array(
+				'ID'           => $navigation_id,
+				'post_content' => wp_slash( serialize_blocks( $blocks ) ),
+			),
+			true
+		);
+
+		return is_wp_error( $updated ) ? $updated : true;
+	}
+
+	/**
+	 * Adds an audience to, or removes it from, a list of audiences.
+	 *
+	 * @param string[] $audiences Audience keys.
+	 * @param string   $audience  Audience key to toggle.
+	 *
+	 * @return string[] Updated audience keys.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function toggle_audience( array $audiences, string $audience ): array {
+		if ( in_array( $audience, $audiences, true ) ) {
+			return array_values( array_diff( $audiences, array( $audience ) ) );
+		}
+
+		$audiences[] = $audience;
+
+		return $audiences;
+	}
+
+	/**
+	 * Builds the simplest visibility rule reaching exactly the given audiences.
+	 *
+	 * Administrators covered by "Always Allow Administrators" count as reached
+	 * either way.
+	 *
+	 * @param string[] $audiences Audience keys.
+	 *
+	 * @return array<string,mixed>|WP_Error Visibility (`everyone`, `logged_in` or `logged_out`),
+	 *                                      roles and role mode, or an error when no rule fits.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_rule_for( array $audiences ) {
+		$roles    = array_map( 'strval', array_keys( RoleHelper::get_available_roles() ) );
+		$free     = array_values( array_filter( $roles, static fn( string $role ): bool => ! self::is_locked( $role ) ) );
+		$selected = array_values( array_intersect( $free, $audiences ) );
+		$all      = count( $selected ) === count( $free );
+
+		if ( in_array( AuditReport::GUEST, $audiences, true ) ) {
+			if ( $all ) {
+				return self::make_rule( 'everyone' );
+			}
+
+			if ( empty( $selected ) ) {
+				return self::make_rule( 'logged_out' );
+			}
+
+			return new WP_Error(
+				'restrictly_unsupported_rule',
+				__( 'Logged-out visitors can only share an item with every role. Hide it from logged-out visitors first, or show it to every role.', 'restrictly-wp' )
+			);
+		}
+
+		if ( $all ) {
+			return self::make_rule( 'logged_in' );
+		}
+
+		if ( empty( $selected ) ) {
+			// Nobody, apart from administrators covered by the bypass.
+			return self::make_rule( 'logged_in', $roles, 'exclude' );
+		}
+
+		return self::make_rule( 'logged_in', $selected );
+	}
+
+	/**
+	 * Builds a visibility rule.
+	 *
+	 * @param string   $visibility `everyone`, `logged_in` or `logged_out`.
+	 * @param string[] $roles      Optional. Role slugs.
+	 * @param string   $role_mode  Optional. `include` or `exclude`.
+	 *
+	 * @return array<string,mixed> Rule.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function make_rule( string $visibility, array $roles = array(), string $role_mode = 'include' ): array {
+		return array(
+			'visibility' => $visibility,
+			'roles'      => $roles,
+			'role_mode'  => $role_mode,
+		);
+	}
+
+	/**
+	 * Determines whether an audience meets a visibility rule.
+	 *
+	 * Evaluated against the audience's role and its capabilities, so no user
+	 * is simulated. Administrators covered by "Always Allow Administrators"
+	 * see everything, as on the front end.
+	 *
+	 * @param string   $audience     Audience key.
+	 * @param string   $login_status `everyone`, `logged_in` or `logged_out` (a `_users` suffix is accepted).
+	 * @param string[] $roles        Optional. Role rule roles.
+	 * @param string   $role_mode    Optional. Role rule mode.
+	 * @param string   $capability   Optional. Required capability, or ''.
+	 *
+	 * @return bool True when the audience sees the item.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function audience_can_view( string $audience, string $login_status, array $roles = array(), string $role_mode = 'include', string $capability = '' ): bool {
+		if ( self::is_locked( $audience ) ) {
+			return true;
+		}
+
+		$is_guest     = AuditReport::GUEST === $audience;
+		$login_status = (string) preg_replace( '/_users$/', '', $login_status );
+
+		if ( ( 'logged_in' === $login_status && $is_guest ) || ( 'logged_out' === $login_status && ! $is_guest ) ) {
+			return false;
+		}
+
+		$role       = $is_guest ? null : get_role( $audience );
+		$capability = trim( $capability );
+
+		if ( '' !== $capability && ! ( $role && $role->has_cap( $capability ) ) ) {
+			return false;
+		}
+
+		return Enforcement::matches_role_rule( $roles, $role_mode, $is_guest ? array() : array( $audience ) );
+	}
+
+	/**
+	 * Determines whether an audience meets a block visibility rule.
+	 *
+	 * Mirrors Enforcement::can_view_by_visibility().
+	 *
+	 * @param string              $audience   Audience key.
+	 * @param string              $visibility Visibility key.
+	 * @param string[]            $roles      Selected role slugs.
+	 * @param array<string,mixed> $attributes Block attributes (or equivalent rule data).
+	 *
+	 * @return bool|null True when the audience sees the item, or null when a custom condition decides.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function audience_can_view_rule( string $audience, string $visibility, array $roles, array $attributes ): ?bool {
+		$role_mode  = (string) ( $attributes['restrictlyRoleMode'] ?? 'include' );
+		$capability = (string) ( $attributes['restrictlyCapability'] ?? '' );
+
+		if ( in_array( $visibility, array( '', 'everyone' ), true ) ) {
+			return self::audience_can_view( $audience, 'everyone', array(), 'include', $capability );
+		}
+
+		if ( 'logged_in' === $visibility || 'logged_out' === $visibility ) {
+			return self::audience_can_view( $audience, $visibility, 'logged_in' === $visibility ? $roles : array(), $role_mode, $capability );
+		}
+
+		// Explicit "roles" mode, kept for backwards compatibility.
+		if ( 'roles' === $visibility ) {
+			return ! empty( $roles ) && self::audience_can_view( $audience, 'logged_in', $roles, $role_mode, $capability );
+		}
+
+		// Legacy single-role keys, e.g. `role_editor`.
+		if ( str_starts_with( $visibility, 'role_' ) ) {
+			return self::audience_can_view( $audience, 'logged_in', array( substr( $visibility, 5 ) ), 'include', $capability );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Determines whether an audience can view a post under its page access settings.
+	 *
+	 * @param string $audience Audience key.
+	 * @param int    $post_id  Post ID.
+	 *
+	 * @return bool True when the audience can view the post.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function audience_can_view_post( string $audience, int $post_id ): bool {
+		$roles = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
+
+		return self::audience_can_view(
+			$audience,
+			(string) get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true ),
+			is_array( $roles ) ? $roles : array(),
+			(string) get_post_meta( $post_id, 'restrictly_page_access_role_mode', true ),
+			(string) get_post_meta( $post_id, 'restrictly_page_access_capability', true )
+		);
+	}
+
+	/**
+	 * Reads the posted menu source.
+	 *
+	 * @return array{type:string,id:int} Menu type and ID.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_posted_source(): array {
+		$source = isset( $_POST['source'] ) ? sanitize_text_field( wp_unslash( $_POST['source'] ) ) : '';
+		$parts  = explode( ':', $source, 2 );
+
+		return array(
+			'type' => 'wp_navigation' === $parts[0] ? 'wp_navigation' : 'nav_menu',
+			'id'   => absint( $parts[1] ?? 0 ),
+		);
+	}
+
+	/**
+	 * Verifies the nonce and capability of a matrix request.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function verify_request(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_menu_matrix_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'edit_theme_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request', 'restrictly-wp' ) ) );
+		}
+	}
+}
@@ -54,6 +54,9 @@ class Menus {
 		// Add admin notice if no primary menu is assigned.
 		add_action( 'admin_notices', array( __CLASS__, 'restrictly_admin_menu_warning' ) );
 
+		// Copy the linked content's restriction onto mismatched menu items.
+		add_action( 'wp_ajax_restrictly_fix_menu_mismatch', array( __CLASS__, 'ajax_fix_mismatch' ) );
+
 		// Check if menus are registered.
 		$menu_locations = get_nav_menu_locations();
 
@@ -169,10 +172,87 @@ class Menus {
 		wp_enqueue_script(
 				'restrictly-menu-script',
 				Base::plugin_url() . 'assets/js/menu.js',
-				array( 'jquery' ),
+				array( 'jquery', 'wp-i18n' ),
 				(string) $version,
 				true
 		);
+
+		wp_localize_script(
+			'restrictly-menu-script',
+			'restrictlyMenus',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'restrictly_fix_menu_mismatch_nonce' ),
+			)
+		);
+	}
+
+	/**
+	 * Fixes menu item mismatches via AJAX.
+	 *
+	 * Copies the linked content's login status, roles and role rule into each
+	 * menu item's visibility fields, then returns the re-rendered Restrictly™
+	 * panels so the editor can refresh them in place. Custom links have no
+	 * linked content; an invalid "Everyone" with roles is fixed by dropping
+	 * the roles.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_fix_mismatch(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_fix_menu_mismatch_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'edit_theme_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid request', 'restrictly-wp' ) ) );
+		}
+
+		$item_ids = isset( $_POST['item_ids'] ) && is_array( $_POST['item_ids'] )
+			? array_unique( array_filter( array_map( 'absint', wp_unslash( $_POST['item_ids'] ) ) ) )
+			: array();
+
+		$panels = array();
+
+		foreach ( $item_ids as $item_id ) {
+			$post = get_post( $item_id );
+
+			if ( ! $post || 'nav_menu_item' !== $post->post_type ) {
+				continue;
+			}
+
+			$item = wp_setup_nav_menu_item( $post );
+
+			if ( 'custom' === (string) $item->type ) {
+				if ( 'logged_in_users' !== get_post_meta( $item_id, 'restrictly_menu_visibility', true ) ) {
+					update_post_meta( $item_id, 'restrictly_menu_roles', array() );
+				}
+			} elseif ( 'post_type' === (string) $item->type && ! empty( $item->object_id ) ) {
+				$login_status = (string) get_post_meta( (int) $item->object_id, 'restrictly_page_access_by_login_status', true );
+				$login_status = in_array( $login_status, array( 'logged_in_users', 'logged_out_users' ), true ) ? $login_status : 'everyone';
+				$roles        = get_post_meta( (int) $item->object_id, 'restrictly_page_access_by_role', true );
+				$roles        = 'logged_in_users' === $login_status && is_array( $roles ) ? array_values( array_filter( array_map( 'trim', $roles ) ) ) : array();
+
+				update_post_meta( $item_id, 'restrictly_menu_visibility', $login_status );
+				update_post_meta( $item_id, 'restrictly_menu_roles', $roles );
+				update_post_meta( $item_id, 'restrictly_menu_role_mode', self::get_page_role_mode( (int) $item->object_id ) );
+
+				// The linked page's rule replaces one inherited from a parent item.
+				update_post_meta( $item_id, 'restrictly_menu_override', 1 );
+			} else {
+				continue;
+			}
+
+			ob_start();
+			self::restrictly_add_menu_custom_fields( $item_id, $item );
+			$panels[ $item_id ] = (string) ob_get_clean();
+		}
+
+		wp_send_json_success( array( 'panels' => $panels ) );
 	}
 
 	/**
@@ -400,6 +480,9 @@ class Menus {
 			) {
 				$has_mismatch = true;
 			}
+			if ( ! empty( $roles ) && self::get_menu_role_mode( (int) $menu_item->ID ) !== self::get_page_role_mode( (int) $menu_item->object_id ) ) {
+				$has_mismatch = true;
+			}
 		} elseif ( $menu_restricted xor $page_restricted ) {
 			$has_mismatch = true;
 		}
@@ -501,7 +584,10 @@ class Menus {
 		$visibility = ( '' !== $visibility && false !== $visibility ) ? $visibility : 'everyone';
 		$roles      = get_post_meta( $item_id, 'restrictly_menu_roles', true );
 		$roles      = is_array( $roles ) ? $roles : array();
+		$role_mode  = self::get_menu_role_mode( $item_id );
 		$all_roles  = RoleHelper::get_available_roles();
+		$cascade    = (bool) get_post_meta( $item_id, 'restrictly_menu_cascade', true );
+		$override   = (bool) get_post_meta( $item_id, 'restrictly_menu_override', true );
 
 		// Initialize warnings and flags.
 		$role_warning       = '';
@@ -563,6 +649,13 @@ class Menus {
 													esc_html__( 'Role mismatch. Page allows only:', 'restrictly-wp' ) .
 													' <strong>' . esc_html( implode( ', ', array_map( 'ucfirst', $page_allowed_roles ) ) ) . '</strong></p>';
 								$mismatch_detected = true;
+							} elseif ( self::get_page_role_mode( (int) $item->object_id ) !== $role_mode ) {
+								$role_warning     .= '<p class="restrictly-mismatch-warning">' .
+													( 'exclude' === $role_mode
+														? esc_html__( 'Role mismatch. Menu excludes these roles but the page allows only them.', 'restrictly-wp' )
+														: esc_html__( 'Role mismatch. Menu allows only these roles but the page excludes them.', 'restrictly-wp' ) ) .
+													'</p>';
+								$mismatch_detected = true;
 							}
 						}
 					} elseif ( ! empty( $page_allowed_roles ) ) {
@@ -619,6 +712,11 @@ class Menus {
 			<p class="restrictly-menu-panel-title">
 				<span class="restrictly-icon-16"></span>
 				<strong><?php esc_html_e( 'Restrictly Menu Visibility', 'restrictly-wp' ); ?></strong>
+				<?php if ( $mismatch_detected && in_array( (string) $item->type, array( 'custom', 'post_type' ), true ) ) : ?>
+					<button type="button" class="button button-small restrictly-fix-mismatch" data-item-id="<?php echo esc_attr( (string) $item_id ); ?>">
+						<?php echo 'custom' === (string) $item->type ? esc_html__( 'Fix: remove roles', 'restrictly-wp' ) : esc_html__( 'Fix: match linked page', 'restrictly-wp' ); ?>
+					</button>
+				<?php endif; ?>
 			</p>
 
 			<?php
@@ -675,8 +773,33 @@ class Menus {
 						<?php echo esc_html( $role_name ); ?>
 					</label><br>
 				<?php endforeach; ?>
+
+				<label for="restrictly_menu_role_mode_<?php echo esc_attr( (string) $item_id ); ?>">
+					<strong><?php esc_html_e( 'Role Rule:', 'restrictly-wp' ); ?></strong>
+				</label>
+				<select name="restrictly_menu_role_mode[<?php echo esc_attr( (string) $item_id ); ?>]"
+						id="restrictly_menu_role_mode_<?php echo esc_attr( (string) $item_id ); ?>">
+					<option value="include" <?php selected( $role_mode, 'include' ); ?>><?php esc_html_e( 'Only the selected roles', 'restrictly-wp' ); ?></option>
+					<option value="exclude" <?php selected( $role_mode, 'exclude' ); ?>><?php esc_html_e( 'Everyone except the selected roles', 'restrictly-wp' ); ?></option>
+				</select>
 			</p>
 
+			<!-- Cascade (shown by menu.js on items with children) -->
+			<p class="restrictly-m-t-0 restrictly-menu-cascade" style="display:none;">
+				<label>
+					<input type="checkbox"
+							name="restrictly_menu_cascade[<?php echo esc_attr( (string) $item_id ); ?>]"
+							value="1"
+							<?php checked( $cascade ); ?>>
+					<?php esc_html_e( 'Apply to child items', 'restrictly-wp' ); ?>
+				</label>
+			</p>
+
+			<input type="hidden"
+					class="restrictly-menu-override"
+					name="restrictly_menu_override[<?php echo esc_attr( (string) $item_id ); ?>]"
+					value="<?php echo $override ? '1' : '0'; ?>">
+
 		</div>
 		<?php
 	}
@@ -723,5 +846,44 @@ class Menus {
 		} else {
 			update_post_meta( $menu_item_db_id, 'restrictly_menu_roles', array() );
 		}
+
+		// Sanitize and save the role mode (include or exclude the selected roles).
+		$role_mode = isset( $_POST['restrictly_menu_role_mode'][ $menu_item_db_id ] )
+			? sanitize_text_field( wp_unslash( $_POST['restrictly_menu_role_mode'][ $menu_item_db_id ] ) )
+			: 'include';
+		update_post_meta( $menu_item_db_id, 'restrictly_menu_role_mode', 'exclude' === $role_mode ? 'exclude' : 'include' );
+
+		// Save whether the visibility cascades to child items, and whether a child overrides an inherited one.
+		foreach ( array( 'restrictly_menu_cascade', 'restrictly_menu_override' ) as $flag ) {
+			if ( ! empty( $_POST[ $flag ][ $menu_item_db_id ] ) ) {
+				update_post_meta( $menu_item_db_id, $flag, 1 );
+			} else {
+				delete_post_meta( $menu_item_db_id, $flag );
+			}
+		}
+	}
+
+	/**
+	 * Retrieves how a menu item applies its selected roles.
+	 *
+	 * @param int $item_id Menu item ID.
+	 * @return string 'include' (only the selected roles) or 'exclude' (everyone except them).
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_menu_role_mode( int $item_id ): string {
+		return 'exclude' === get_post_meta( $item_id, 'restrictly_menu_role_mode', true ) ? 'exclude' : 'include';
+	}
+
+	/**
+	 * Retrieves how a page applies its selected roles.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return string 'include' (only the selected roles) or 'exclude' (everyone except them).
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_page_role_mode( int $post_id ): string {
+		return 'exclude' === get_post_meta( $post_id, 'restrictly_page_access_role_mode', true ) ? 'exclude' : 'include';
 	}
 }
\ No newline at end of file
@@ -113,6 +113,29 @@ class QuickEditContentType extends ContentTypeBase {
 								?>
 							</td>
 						</tr>
+						<tr>
+							<td>
+								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Role Rule:', 'restrictly-wp' ); ?></strong></span>
+								<span class="restrictly-inline-checkbox-group">
+									<label class="restrictly-inline-label">
+										<input type="radio" name="restrictly_page_access_role_mode" value="include" checked> <?php esc_html_e( 'Only the selected roles', 'restrictly-wp' ); ?>
+									</label>
+								</span>
+								<span class="restrictly-inline-checkbox-group">
+									<label class="restrictly-inline-label">
+										<input type="radio" name="restrictly_page_access_role_mode" value="exclude"> <?php esc_html_e( 'Everyone except the selected roles', 'restrictly-wp' ); ?>
+									</label>
+								</span>
+							</td>
+						</tr>
+						<tr>
+							<td>
+								<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></strong></span>
+								<label for="restrictly_page_access_capability_quickedit" class="screen-reader-text"><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></label>
+								<input class="restrictly-input" type="text" list="restrictly_capability_list" name="restrictly_page_access_capability" id="restrictly_page_access_capability_quickedit" value="" placeholder="<?php esc_attr_e( 'Any capability', 'restrictly-wp' ); ?>" autocomplete="off" />
+								<?php self::render_capability_datalist(); ?>
+							</td>
+						</tr>
 					</table>
 
 				</div>
@@ -129,6 +152,9 @@ class QuickEditContentType extends ContentTypeBase {
 									<option value="default"><?php esc_html_e( 'Use Default', 'restrictly-wp' ); ?></option>
 									<option value="custom_message"><?php esc_html_e( 'Custom Message', 'restrictly-wp' ); ?></option>
 									<option value="custom_url"><?php esc_html_e( 'Custom URL', 'restrictly-wp' ); ?></option>
+									<option value="login_redirect"><?php esc_html_e( 'Redirect to Login and Return Here', 'restrictly-wp' ); ?></option>
+									<option value="not_found"><?php esc_html_e( 'Pretend Not Found (404)', 'restrictly-wp' ); ?></option>
+									<option value="teaser"><?php esc_html_e( 'Show Excerpt Teaser', 'restrictly-wp' ); ?></option>
 								</select>
 							</td>
 						</tr>
@@ -154,7 +180,8 @@ class QuickEditContentType extends ContentTypeBase {
 								<td>
 									<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></strong></span>
 									<label for="restrictly_custom_forward_url_quickedit" class="screen-reader-text"><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></label>
-									<input class="restrictly-input" type="text" name="restrictly_custom_forward_url" id="restrictly_custom_forward_url_quickedit" />
+									<input class="restrictly-input restrictly-link-picker" type="text" name="restrictly_custom_forward_url" id="restrictly_custom_forward_url_quickedit" />
+									<input class="restrictly-forward-post-id" type="hidden" name="restrictly_custom_forward_post_id" />
 								</td>
 							</tr>
 						</table>
@@ -9,6 +9,10 @@
 
 namespace Restrictly\Core\Admin;
 
+use Restrictly\Core\Common\AccessMessage;
+use Restrictly\Core\Common\Enforcement;
+use Restrictly\Core\Common\RoleHelper;
+
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -43,6 +47,7 @@ class Settings {
 			return;
 		}
 		add_action( 'admin_menu', array( __CLASS__, 'add_settings_page' ) );
+		add_action( 'wp_ajax_restrictly_preview_message', array( __CLASS__, 'ajax_preview_message' ) );
 	}
 
 	/**
@@ -66,6 +71,42 @@ class Settings {
 		);
 	}
 
+	/**
+	 * Renders the live preview of the default message.
+	 *
+	 * Placeholders are filled with the current user and sample content.
+	 *
+	 * @return void Outputs a JSON response with the rendered HTML.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function ajax_preview_message(): void {
+		if (
+			! isset( $_POST['security'] ) ||
+			! wp_verify_nonce( sanitize_text_field( (string) wp_unslash( $_POST['security'] ) ), 'restrictly_message_preview_nonce' )
+		) {
+			wp_send_json_error( array( 'message' => __( 'Security check failed', 'restrictly-wp' ) ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'You do not have permission to access this page.', 'restrictly-wp' ) ) );
+		}
+
+		$message = isset( $_POST['message'] ) ? wp_kses_post( wp_unslash( $_POST['message'] ) ) : '';
+
+		wp_send_json_success(
+			array(
+				'html' => AccessMessage::render(
+					$message,
+					array(
+						'post_title' => __( 'Sample Page', 'restrictly-wp' ),
+						'roles'      => array_slice( array_keys( RoleHelper::get_available_roles() ), 0, 2 ),
+					)
+				),
+			)
+		);
+	}
+
 	/**
 	 * Renders the settings page and handles form submission.
 	 *
@@ -85,11 +126,18 @@ class Settings {
 			self::save_restrictly_settings();
 		}
 
+		// Handle undoing a bulk edit from the history tab.
+		if ( isset( $_POST['restrictly_undo_bulk_edit'] ) ) {
+			check_admin_referer( 'restrictly_settings_nonce' );
+			self::undo_bulk_edit( sanitize_text_field( wp_unslash( $_POST['restrictly_undo_bulk_edit'] ) ) );
+		}
+
 		// Get current settings.
 		$current_content_types     = (array) get_option( 'restrictly_content_types', self::DEFAULT_CONTENT_TYPES );
 		$current_action            = get_option( 'restrictly_default_action', self::DEFAULT_ACTION );
 		$current_message           = get_option( 'restrictly_default_message', self::DEFAULT_MESSAGE );
-		$current_forward_url       = get_option( 'restrictly_default_forward_url', self::DEFAULT_URL );
+		$current_forward_post_id   = (int) get_option( 'restrictly_default_forward_post_id', 0 );
+		$current_forward_url       = Enforcement::resolve_forward_url( (string) get_option( 'restrictly_default_forward_url', self::DEFAULT_URL ), $current_forward_post_id );
 		$current_enable_menu_flags = (int) get_option( 'restrictly_enable_menu_flags', self::DEFAULT_MENU_FLAGS );
 
 		// Get core post types allowed in Restrictly™ Free.
@@ -114,6 +162,17 @@ class Settings {
 
 		// Determine if the Menu Restrictions tab should be disabled.
 		$menu_disabled = ( empty( $wp_nav_menus ) && empty( $registered_nav_menus ) ) || $is_block_theme;
+
+		// Registered block types, grouped by namespace.
+		$block_groups       = BlockVisibility::get_registered_blocks_by_namespace();
+		$allowed_namespaces = BlockVisibility::get_allowed_namespaces();
+		$disabled_blocks    = BlockVisibility::get_disabled_blocks();
+
+		// Recent bulk edits, newest first.
+		$bulk_edit_history = BulkEditHistory::get_history();
+
+		// Audit report actions; the rows load when the tab is opened.
+		$audit_action_names = AuditReport::get_action_labels();
 		?>
 		<div class="wrap">
 			<h1 class="wp-heading-inline">
@@ -139,6 +198,12 @@ class Settings {
 							<?php echo $menu_disabled ? 'aria-disabled="true" onclick="return false;"' : ''; ?>>
 						<?php esc_html_e( 'Menu Restrictions', 'restrictly-wp' ); ?>
 					</a>
+					<a href="#block-visibility" class="nav-tab"><?php esc_html_e( 'Block Visibility', 'restrictly-wp' ); ?></a>
+					<a href="#bulk-edit-history" class="nav-tab"><?php esc_html_e( 'Bulk Edit History', 'restrictly-wp' ); ?></a>
+					<a href="#audit-report" class="nav-tab"><?php esc_html_e( 'Audit Report', 'restrictly-wp' ); ?></a>
+					<a href="#access-tester" class="nav-tab"><?php esc_html_e( 'Access Tester', 'restrictly-wp' ); ?></a>
+					<a href="#menu-matrix" class="nav-tab"><?php esc_html_e( 'Menu Matrix', 'restrictly-wp' ); ?></a>
+					<a href="#import-export" class="nav-tab"><?php esc_html_e( 'Import / Export', 'restrictly-wp' ); ?></a>
 				</nav>
 
 				<form method="post">
@@ -183,6 +248,15 @@ class Settings {
 												<option value="custom_url" <?php selected( $current_action, 'custom_url' ); ?>>
 													<?php esc_html_e( 'Forward to a URL', 'restrictly-wp' ); ?>
 												</option>
+												<option value="login_redirect" <?php selected( $current_action, 'login_redirect' ); ?>>
+													<?php esc_html_e( 'Redirect to Login and Return Here', 'restrictly-wp' ); ?>
+												</option>
+												<option value="not_found" <?php selected( $current_action, 'not_found' ); ?>>
+													<?php esc_html_e( 'Pretend Not Found (404)', 'restrictly-wp' ); ?>
+												</option>
+												<option value="teaser" <?php selected( $current_action, 'teaser' ); ?>>
+													<?php esc_html_e( 'Show Excerpt Teaser', 'restrictly-wp' ); ?>
+												</option>
 											</select>
 										</td>
 									</tr>
@@ -190,14 +264,36 @@ class Settings {
 									<tr>
 										<td>
 											<label for="restrictly_default_message"><strong><?php esc_html_e( 'Default Message', 'restrictly-wp' ); ?></strong></label><br />
-											<textarea name="restrictly_default_message" id="restrictly_default_message" rows="3" class="restrictly-textarea"><?php echo esc_textarea( $current_message ); ?></textarea>
+											<?php
+											wp_editor(
+												$current_message,
+												'restrictly_default_message',
+												array(
+													'textarea_name' => 'restrictly_default_message',
+													'textarea_rows' => 6,
+													'media_buttons' => false,
+													'teeny'         => true,
+												)
+											);
+											?>
+											<p class="description">
+												<?php esc_html_e( 'Shown inside your theme’s layout. Block markup, such as a synced pattern copied from the block editor’s Code editor, is rendered too. Insert a placeholder:', 'restrictly-wp' ); ?>
+											</p>
+											<p class="restrictly-message-placeholders">
+												<?php foreach ( AccessMessage::get_placeholders() as $placeholder => $placeholder_description ) : ?>
+													<button type="button" class="button button-small" data-placeholder="<?php echo esc_attr( $placeholder ); ?>" title="<?php echo esc_attr( $placeholder_description ); ?>"><?php echo esc_html( $placeholder ); ?></button>
+												<?php endforeach; ?>
+											</p>
+											<h4 class="restrictly-m-b-0"><?php esc_html_e( 'Preview', 'restrictly-wp' ); ?></h4>
+											<div id="restrictly-message-preview" class="restrictly-message-preview" aria-live="polite"></div>
 										</td>
 									</tr>
 
 									<tr>
 										<td>
 											<label for="restrictly_default_forward_url"><strong><?php esc_html_e( 'Forward URL', 'restrictly-wp' ); ?></strong></label><br />
-											<input type="text" name="restrictly_default_forward_url" id="restrictly_default_forward_url" value="<?php echo esc_url( $current_forward_url ); ?>" class="restrictly-input" />
+											<input type="text" name="restrictly_default_forward_url" id="restrictly_default_forward_url" value="<?php echo esc_url( $current_forward_url ); ?>" class="restrictly-input restrictly-link-picker" />
+											<input type="hidden" name="restrictly_default_forward_post_id" class="restrictly-forward-post-id" value="<?php echo esc_attr( (string) $current_forward_post_id ); ?>" />
 										</td>
 									</tr>
 									</tbody>
@@ -268,6 +364,256 @@ class Settings {
 						</div>
 					</div>
 
+					<!-- Block Visibility Tab -->
+					<div id="block-visibility" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Block Visibility', 'restrictly-wp' ); ?></h2>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Choose which block namespaces and individual blocks show the Restrictly™ Visibility panel in the block editor. Navigation blocks are always managed separately.', 'restrictly-wp' ); ?>
+								</p>
+
+								<?php foreach ( $block_groups as $namespace => $blocks ) : ?>
+									<?php $namespace_allowed = in_array( $namespace, $allowed_namespaces, true ); ?>
+									<fieldset class="restrictly-block-namespace">
+										<legend>
+											<label class="restrictly-label">
+												<input type="checkbox" class="restrictly-checkbox restrictly-block-namespace-toggle" name="restrictly_block_namespaces[]" value="<?php echo esc_attr( $namespace ); ?>" <?php checked( $namespace_allowed ); ?>>
+												<strong><?php echo esc_html( $namespace ); ?></strong>
+												<?php
+												echo esc_html(
+													sprintf(
+														// translators: %d is the number of registered blocks in the namespace.
+														_n( '(%d block)', '(%d blocks)', count( $blocks ), 'restrictly-wp' ),
+														count( $blocks )
+													)
+												);
+												?>
+											</label>
+										</legend>
+
+										<div class="restrictly-block-list">
+											<?php foreach ( $blocks as $block_name => $block_title ) : ?>
+												<label class="restrictly-label" title="<?php echo esc_attr( $block_name ); ?>">
+													<input type="checkbox" class="restrictly-checkbox" name="restrictly_enabled_blocks[]" value="<?php echo esc_attr( $block_name ); ?>" <?php checked( ! in_array( $block_name, $disabled_blocks, true ) ); ?> <?php disabled( ! $namespace_allowed ); ?>>
+													<?php echo esc_html( $block_title ); ?>
+												</label>
+											<?php endforeach; ?>
+										</div>
+									</fieldset>
+								<?php endforeach; ?>
+							</div>
+						</div>
+					</div>
+
+					<!-- Bulk Edit History Tab -->
+					<div id="bulk-edit-history" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Bulk Edit History', 'restrictly-wp' ); ?></h2>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'The most recent Restrictly™ bulk edits. Undoing one restores the visibility settings the items had before it, replacing any changes made to them since.', 'restrictly-wp' ); ?>
+								</p>
+
+								<?php if ( empty( $bulk_edit_history ) ) : ?>
+									<p><?php esc_html_e( 'No bulk edits yet.', 'restrictly-wp' ); ?></p>
+								<?php else : ?>
+									<table class="widefat striped restrictly-bulk-edit-history">
+										<thead>
+										<tr>
+											<th scope="col"><?php esc_html_e( 'Date', 'restrictly-wp' ); ?></th>
+											<th scope="col"><?php esc_html_e( 'User', 'restrictly-wp' ); ?></th>
+											<th scope="col"><?php esc_html_e( 'Items', 'restrictly-wp' ); ?></th>
+											<th scope="col"><?php esc_html_e( 'Status', 'restrictly-wp' ); ?></th>
+										</tr>
+										</thead>
+										<tbody>
+										<?php foreach ( $bulk_edit_history as $operation ) : ?>
+											<?php $operation_user = get_userdata( (int) $operation['user_id'] ); ?>
+											<tr>
+												<td><?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $operation['time'] ) ); ?></td>
+												<td><?php echo esc_html( $operation_user ? $operation_user->display_name : __( 'Unknown user', 'restrictly-wp' ) ); ?></td>
+												<td><?php echo esc_html( number_format_i18n( (int) $operation['count'] ) ); ?></td>
+												<td>
+													<?php if ( ! empty( $operation['undone'] ) ) : ?>
+														<?php
+														echo esc_html(
+															sprintf(
+																// translators: %s is the date and time the bulk edit was undone.
+																__( 'Undone on %s', 'restrictly-wp' ),
+																wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $operation['undone'] )
+															)
+														);
+														?>
+													<?php elseif ( ! empty( $operation['incomplete'] ) ) : ?>
+														<?php esc_html_e( 'Too large to undo', 'restrictly-wp' ); ?>
+													<?php elseif ( empty( $operation['count'] ) ) : ?>
+														<?php esc_html_e( 'Nothing to undo', 'restrictly-wp' ); ?>
+													<?php else : ?>
+														<button type="submit" class="button" name="restrictly_undo_bulk_edit" value="<?php echo esc_attr( (string) $operation['id'] ); ?>" formaction="#bulk-edit-history">
+															<?php esc_html_e( 'Undo', 'restrictly-wp' ); ?>
+														</button>
+													<?php endif; ?>
+												</td>
+											</tr>
+										<?php endforeach; ?>
+										</tbody>
+									</table>
+								<?php endif; ?>
+							</div>
+						</div>
+					</div>
+
+					<!-- Audit Report Tab -->
+					<div id="audit-report" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Audit Report', 'restrictly-wp' ); ?></h2>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Every restricted item on the site: content, menu items, Navigation menus and blocks. Choose a role to see what it can or cannot see. Items using a custom visibility condition depend on that condition and are always listed.', 'restrictly-wp' ); ?>
+								</p>
+
+								<div class="restrictly-audit-filters">
+									<label for="restrictly-audit-role" class="screen-reader-text"><?php esc_html_e( 'Role', 'restrictly-wp' ); ?></label>
+									<select id="restrictly-audit-role" class="restrictly-select">
+										<option value=""><?php esc_html_e( 'All roles', 'restrictly-wp' ); ?></option>
+										<?php foreach ( RoleHelper::get_available_roles() as $role_key => $role_name ) : ?>
+											<option value="<?php echo esc_attr( (string) $role_key ); ?>"><?php echo esc_html( $role_name ); ?></option>
+										<?php endforeach; ?>
+										<option value="<?php echo esc_attr( AuditReport::GUEST ); ?>"><?php esc_html_e( 'Logged-out visitors', 'restrictly-wp' ); ?></option>
+									</select>
+
+									<label for="restrictly-audit-access" class="screen-reader-text"><?php esc_html_e( 'Access', 'restrictly-wp' ); ?></label>
+									<select id="restrictly-audit-access" class="restrictly-select">
+										<option value="visible"><?php esc_html_e( 'Can see', 'restrictly-wp' ); ?></option>
+										<option value="hidden"><?php esc_html_e( 'Cannot see', 'restrictly-wp' ); ?></option>
+									</select>
+
+									<label for="restrictly-audit-type" class="screen-reader-text"><?php esc_html_e( 'Type', 'restrictly-wp' ); ?></label>
+									<select id="restrictly-audit-type" class="restrictly-select">
+										<option value=""><?php esc_html_e( 'All types', 'restrictly-wp' ); ?></option>
+										<option value="content"><?php esc_html_e( 'Content', 'restrictly-wp' ); ?></option>
+										<option value="menu_item"><?php esc_html_e( 'Menu items', 'restrictly-wp' ); ?></option>
+										<option value="navigation"><?php esc_html_e( 'Navigation menus', 'restrictly-wp' ); ?></option>
+										<option value="block"><?php esc_html_e( 'Blocks', 'restrictly-wp' ); ?></option>
+									</select>
+
+									<label for="restrictly-audit-action" class="screen-reader-text"><?php esc_html_e( 'Action', 'restrictly-wp' ); ?></label>
+									<select id="restrictly-audit-action" class="restrictly-select">
+										<option value=""><?php esc_html_e( 'All actions', 'restrictly-wp' ); ?></option>
+										<?php foreach ( $audit_action_names as $action_key => $action_name ) : ?>
+											<option value="<?php echo esc_attr( $action_key ); ?>"><?php echo esc_html( $action_name ); ?></option>
+										<?php endforeach; ?>
+									</select>
+
+									<button type="button" class="button" id="restrictly-audit-csv"><?php esc_html_e( 'Download CSV', 'restrictly-wp' ); ?></button>
+									<span class="restrictly-audit-count" aria-live="polite"></span>
+								</div>
+
+								<table class="widefat striped restrictly-audit-report">
+									<thead>
+									<tr>
+										<th scope="col"><?php esc_html_e( 'Type', 'restrictly-wp' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Item', 'restrictly-wp' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Audience', 'restrictly-wp' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Roles', 'restrictly-wp' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Capability', 'restrictly-wp' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Action', 'restrictly-wp' ); ?></th>
+									</tr>
+									</thead>
+									<tbody>
+									<tr class="restrictly-audit-loading">
+										<td colspan="6"><?php esc_html_e( 'Loading the report…', 'restrictly-wp' ); ?></td>
+									</tr>
+									<tr class="restrictly-audit-empty" hidden>
+										<td colspan="6"><?php esc_html_e( 'No restricted items match.', 'restrictly-wp' ); ?></td>
+									</tr>
+									</tbody>
+								</table>
+							</div>
+						</div>
+					</div>
+
+					<!-- Access Tester Tab -->
+					<div id="access-tester" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Access Tester', 'restrictly-wp' ); ?></h2>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Pick a user and a URL or post ID to see whether that user can open the content, which rule decides it, and which blocks, menu items and Navigation links are hidden from them.', 'restrictly-wp' ); ?>
+								</p>
+
+								<div class="restrictly-access-tester-form">
+									<label for="restrictly-access-tester-user" class="screen-reader-text"><?php esc_html_e( 'User', 'restrictly-wp' ); ?></label>
+									<?php
+									wp_dropdown_users(
+										array(
+											'id'                => 'restrictly-access-tester-user',
+											'name'              => '',
+											'class'             => 'restrictly-select',
+											'show_option_none'  => __( 'Logged-out visitor', 'restrictly-wp' ),
+											'option_none_value' => 0,
+											'show'              => 'display_name_with_login',
+										)
+									);
+									?>
+
+									<label for="restrictly-access-tester-target" class="screen-reader-text"><?php esc_html_e( 'URL or post ID', 'restrictly-wp' ); ?></label>
+									<input type="text" id="restrictly-access-tester-target" class="regular-text" placeholder="<?php esc_attr_e( 'URL or post ID', 'restrictly-wp' ); ?>">
+
+									<button type="button" class="button" id="restrictly-access-tester-run"><?php esc_html_e( 'Test Access', 'restrictly-wp' ); ?></button>
+								</div>
+								<div id="restrictly-access-tester-result" aria-live="polite"></div>
+							</div>
+						</div>
+					</div>
+
+					<!-- Menu Matrix Tab -->
+					<div id="menu-matrix" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Menu Visibility Matrix', 'restrictly-wp' ); ?></h2>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Pick a menu to see which audiences see each of its items. Click a cell to show or hide the item for that audience.', 'restrictly-wp' ); ?>
+								</p>
+
+								<?php MenuMatrix::render(); ?>
+							</div>
+						</div>
+					</div>
+
+					<!-- Import / Export Tab -->
+					<div id="import-export" class="restrictly-tab-content">
+						<div class="postbox restrictly-settings-box">
+							<div class="inside restrictly-m-t-0 restrictly-m-b-0">
+								<h2><?php esc_html_e( 'Import / Export', 'restrictly-wp' ); ?></h2>
+
+								<!-- Export -->
+								<h3 class="restrictly-subsection-heading"><?php esc_html_e( 'Export', 'restrictly-wp' ); ?></h3>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Download the global defaults, content access settings, menu item visibility and Navigation menu visibility as a JSON file. Block-level visibility is stored in post content and is not included.', 'restrictly-wp' ); ?>
+								</p>
+								<p>
+									<button type="button" class="button" id="restrictly-export"><?php esc_html_e( 'Download Export File', 'restrictly-wp' ); ?></button>
+								</p>
+
+								<hr>
+
+								<!-- Import -->
+								<h3 class="restrictly-subsection-heading"><?php esc_html_e( 'Import', 'restrictly-wp' ); ?></h3>
+								<p class="restrictly-subsection-description">
+									<?php esc_html_e( 'Content and Navigation menus are matched by slug, then by GUID. Menu items are matched by menu and link target. Nothing changes until you apply the previewed import.', 'restrictly-wp' ); ?>
+								</p>
+								<p>
+									<label for="restrictly-import-file" class="screen-reader-text"><?php esc_html_e( 'Import file', 'restrictly-wp' ); ?></label>
+									<input type="file" id="restrictly-import-file" accept="application/json,.json">
+									<button type="button" class="button" id="restrictly-import-preview"><?php esc_html_e( 'Preview Import', 'restrictly-wp' ); ?></button>
+								</p>
+								<div id="restrictly-import-result" aria-live="polite"></div>
+							</div>
+						</div>
+					</div>
+
 					<?php
 					submit_button(
 						__( 'Save Settings', 'restrictly-wp' ),
@@ -293,7 +639,7 @@ class Settings {
 	 * @since 0.1.0
 	 */
 	public static function sanitize_restrictly_enforcement_action( string $action ): string {
-		$allowed = array( 'custom_message', 'custom_url' );
+		$allowed = array( 'custom_message', 'custom_url', 'login_redirect', 'not_found', 'teaser' );
 		return in_array( $action, $allowed, true ) ? $action : 'custom_message';
 	}
 
@@ -344,6 +690,88 @@ class Settings {
 		return $output;
 	}
 
+	/**
+	 * Saves the Block Visibility tab.
+	 *
+	 * Only namespaces and blocks registered on this request are updated, so
+	 * settings for plugins that are temporarily inactive are preserved.
+	 *
+	 * @param string[] $namespaces Submitted (checked) namespaces.
+	 * @param string[] $enabled    Submitted (checked) block names.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function save_block_visibility_settings( array $namespaces, array $enabled ): void {
+		$block_groups   = BlockVisibility::get_registered_blocks_by_namespace();
+		$registered_ns  = array_keys( $block_groups );
+		$listed_blocks  = array();
+		$old_namespaces = BlockVisibility::get_allowed_namespaces();
+		$old_disabled   = BlockVisibility::get_disabled_blocks();
+
+		foreach ( $block_groups as $blocks ) {
+			$listed_blocks = array_merge( $listed_blocks, array_keys( $blocks ) );
+		}
+
+		$allowed = array_merge(
+			array_intersect( $namespaces, $registered_ns ),
+			array_diff( $old_namespaces, $registered_ns )
+		);
+
+		// Blocks of a denied namespace are submitted as disabled inputs, so keep their previous state.
+		$denied_ns_blocks = array_filter(
+			$listed_blocks,
+			static fn( $name ) => ! in_array( strtok( $name, '/' ), $allowed, true )
+		);
+
+		$disabled = array_merge(
+			array_diff( $listed_blocks, $enabled, $denied_ns_blocks ),
+			array_intersect( $old_disabled, $denied_ns_blocks ),
+			array_diff( $old_disabled, $listed_blocks )
+		);
+
+		update_option( 'restrictly_block_namespaces', array_values( array_unique( $allowed ) ) );
+		update_option( 'restrictly_disabled_blocks', array_values( array_unique( $disabled ) ) );
+	}
+
+	/**
+	 * Undoes a bulk edit from the history tab and reports the outcome.
+	 *
+	 * @param string $operation_id Bulk edit operation ID.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function undo_bulk_edit( string $operation_id ): void {
+		$results = BulkEditHistory::undo( $operation_id );
+
+		if ( is_wp_error( $results ) ) {
+			echo '<div class="error notice is-dismissible"><p>' . esc_html( $results->get_error_message() ) . '</p></div>';
+			return;
+		}
+
+		$restored = count( wp_list_filter( $results, array( 'status' => 'updated' ) ) );
+		$skipped  = count( $results ) - $restored;
+
+		$message = sprintf(
+			// translators: %d is the number of restored items.
+			_n( 'Bulk edit undone, %d item restored.', 'Bulk edit undone, %d items restored.', $restored, 'restrictly-wp' ),
+			$restored
+		);
+
+		if ( $skipped > 0 ) {
+			$message .= ' ' . sprintf(
+				// translators: %d is the number of items that were not restored.
+				_n( '%d item was skipped because it no longer exists or you cannot edit it.', '%d items were skipped because they no longer exist or you cannot edit them.', $skipped, 'restrictly-wp' ),
+				$skipped
+			);
+		}
+
+		echo '<div class="updated notice is-dismissible"><p>' . esc_html( $message ) . '</p></div>';
+	}
+
 	/** Save settings */
 	public static function save_restrictly_settings(): void {
 		if ( ! isset( $_POST['restrictly_save_settings'] ) ) {
@@ -362,7 +790,7 @@ class Settings {
 		update_option( 'restrictly_default_action', self::sanitize_restrictly_enforcement_action( $action ) );
 
 		$message = isset( $_POST['restrictly_default_message'] )
-				? sanitize_textarea_field( wp_unslash( $_POST['restrictly_default_message'] ) )
+				? wp_kses_post( wp_unslash( $_POST['restrictly_default_message'] ) )
 				: self::DEFAULT_MESSAGE;
 		update_option( 'restrictly_default_message', $message );
 
@@ -371,6 +799,9 @@ class Settings {
 				: self::DEFAULT_URL;
 		update_option( 'restrictly_default_forward_url', self::sanitize_restrictly_forward_url( $url ) );
 
+		$forward_post_id = isset( $_POST['restrictly_default_forward_post_id'] ) ? absint( $_POST['restrictly_default_forward_post_id'] ) : 0;
+		update_option( 'restrictly_default_forward_post_id', '' !== get_option( 'restrictly_default_forward_url' ) ? $forward_post_id : 0 );
+
 		update_option( 'restrictly_always_allow_admins', isset( $_POST['restrictly_always_allow_admins'] ) ? 1 : 0 );
 
 		$menu_flags = isset( $_POST['restrictly_enable_menu_flags'] ) ? 1 : 0;
@@ -379,6 +810,14 @@ class Settings {
 		$show_nav_pills = isset( $_POST['restrictly_show_nav_pills'] ) ? 1 : 0;
 		update_option( 'restrictly_show_nav_pills', $show_nav_pills );
 
+		$namespaces = isset( $_POST['restrictly_block_namespaces'] )
+				? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['restrictly_block_namespaces'] ) )
+				: array();
+		$enabled    = isset( $_POST['restrictly_enabled_blocks'] )
+				? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['restrictly_enabled_blocks'] ) )
+				: array();
+		self::save_block_visibility_settings( $namespaces, $enabled );
+
 		echo '<div class="updated notice is-dismissible"><p>' . esc_html__( 'Restrictly settings have been saved.', 'restrictly-wp' ) . '</p></div>';
 	}
 }
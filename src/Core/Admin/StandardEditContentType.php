@@ -10,6 +10,8 @@ namespace Restrictly\Core\Admin;
 
 use WP_Post;
 use Restrictly\Core\Common\RoleHelper;
+use Restrictly\Core\Common\AccessMessage;
+use Restrictly\Core\Common\Enforcement;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -58,7 +60,10 @@ class StandardEditContentType extends ContentTypeBase {
 				esc_html__( 'Restrictly Content Visibility', 'restrictly-wp' ),
 				array( __CLASS__, 'restrictly_render_page_access_meta_box' ),
 				$post_type,
-				'normal'
+				'normal',
+				'default',
+				// The block editor uses the page access document panel instead.
+				array( '__back_compat_meta_box' => true )
 			);
 		}
 	}
@@ -80,6 +85,13 @@ class StandardEditContentType extends ContentTypeBase {
 		$role = get_post_meta( $post->ID, 'restrictly_page_access_by_role', true );
 		$role = ( is_array( $role ) ) ? $role : array();
 
+		// Get the role mode meta ("include" = only these roles, "exclude" = everyone except them).
+		$role_mode = get_post_meta( $post->ID, 'restrictly_page_access_role_mode', true );
+		$role_mode = ( 'exclude' === $role_mode ) ? 'exclude' : 'include';
+
+		// Get the required capability meta.
+		$capability = (string) get_post_meta( $post->ID, 'restrictly_page_access_capability', true );
+
 		// Get the enforcement action meta.
 		$enforcement_action = get_post_meta( $post->ID, 'restrictly_enforcement_action', true );
 		$enforcement_action = ( '' !== $enforcement_action && false !== $enforcement_action ) ? $enforcement_action : 'default';
@@ -87,8 +99,9 @@ class StandardEditContentType extends ContentTypeBase {
 		// Get the custom message meta.
 		$custom_message = get_post_meta( $post->ID, 'restrictly_custom_message', true );
 
-		// Get the custom forward URL meta.
-		$custom_forward_url = get_post_meta( $post->ID, 'restrictly_custom_forward_url', true );
+		// Get the custom forward URL meta; internal targets show their current permalink.
+		$custom_forward_post_id = (int) get_post_meta( $post->ID, 'restrictly_custom_forward_post_id', true );
+		$custom_forward_url     = Enforcement::resolve_forward_url( (string) get_post_meta( $post->ID, 'restrictly_custom_forward_url', true ), $custom_forward_post_id );
 		?>
 		<!-- WordPress nonce field for security -->
 		<?php wp_nonce_field( 'restrictly_save_page_access_meta_box', 'restrictly_save_page_access_meta_box_nonce' ); ?>
@@ -138,6 +151,29 @@ class StandardEditContentType extends ContentTypeBase {
 						?>
 					</td>
 				</tr>
+				<tr>
+					<td>
+						<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Role Rule:', 'restrictly-wp' ); ?></strong></span>
+						<span class="restrictly-inline-checkbox-group">
+							<label class="restrictly-inline-label">
+								<input type="radio" name="restrictly_page_access_role_mode" value="include" <?php checked( $role_mode, 'include' ); ?>> <?php esc_html_e( 'Only the selected roles', 'restrictly-wp' ); ?>
+							</label>
+						</span>
+						<span class="restrictly-inline-checkbox-group">
+							<label class="restrictly-inline-label">
+								<input type="radio" name="restrictly_page_access_role_mode" value="exclude" <?php checked( $role_mode, 'exclude' ); ?>> <?php esc_html_e( 'Everyone except the selected roles', 'restrictly-wp' ); ?>
+							</label>
+						</span>
+					</td>
+				</tr>
+				<tr>
+					<td>
+						<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></strong></span>
+						<label for="restrictly_page_access_capability" class="screen-reader-text"><?php esc_html_e( 'Requires Capability:', 'restrictly-wp' ); ?></label>
+						<input class="restrictly-input" type="text" list="restrictly_capability_list" name="restrictly_page_access_capability" id="restrictly_page_access_capability" value="<?php echo esc_attr( $capability ); ?>" placeholder="<?php esc_attr_e( 'Any capability', 'restrictly-wp' ); ?>" autocomplete="off" />
+						<?php self::render_capability_datalist(); ?>
+					</td>
+				</tr>
 			</table>
 
 			<!-- Enforcement Action -->
@@ -156,19 +192,37 @@ class StandardEditContentType extends ContentTypeBase {
 							<option value="custom_url" <?php selected( $enforcement_action, 'custom_url' ); ?>>
 								<?php esc_html_e( 'Custom URL', 'restrictly-wp' ); ?>
 							</option>
+							<option value="login_redirect" <?php selected( $enforcement_action, 'login_redirect' ); ?>>
+								<?php esc_html_e( 'Redirect to Login and Return Here', 'restrictly-wp' ); ?>
+							</option>
+							<option value="not_found" <?php selected( $enforcement_action, 'not_found' ); ?>>
+								<?php esc_html_e( 'Pretend Not Found (404)', 'restrictly-wp' ); ?>
+							</option>
+							<option value="teaser" <?php selected( $enforcement_action, 'teaser' ); ?>>
+								<?php esc_html_e( 'Show Excerpt Teaser', 'restrictly-wp' ); ?>
+							</option>
 						</select>
 					</td>
 				</tr>
 			</table>
 
 			<!-- Custom Message -->
-			<div id="restrictly_custom_message_container" style="display: <?php echo esc_attr( ( 'custom_message' === $enforcement_action ? 'block' : 'none' ) ); ?>;">
+			<div id="restrictly_custom_message_container" style="display: <?php echo esc_attr( ( in_array( $enforcement_action, array( 'custom_message', 'teaser' ), true ) ? 'block' : 'none' ) ); ?>;">
 				<table class="restrictly-w-100">
 					<tr>
 						<td>
 							<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Custom Message:', 'restrictly-wp' ); ?></strong></span>
 							<label for="restrictly_custom_message" class="screen-reader-text"><?php esc_html_e( 'Custom Message', 'restrictly-wp' ); ?></label>
 							<textarea class="restrictly-textarea" name="restrictly_custom_message" id="restrictly_custom_message"><?php echo esc_textarea( $custom_message ); ?></textarea>
+							<p class="description">
+								<?php
+								printf(
+									// translators: %s is a list of placeholders.
+									esc_html__( 'HTML and block markup are allowed. Placeholders: %s', 'restrictly-wp' ),
+									esc_html( implode( ' ', array_keys( AccessMessage::get_placeholders() ) ) )
+								);
+								?>
+							</p>
 						</td>
 					</tr>
 				</table>
@@ -181,7 +235,8 @@ class StandardEditContentType extends ContentTypeBase {
 						<td>
 							<span class="title restrictly-screen-reader-span-140"><strong><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></strong></span>
 							<label for="restrictly_custom_forward_url" class="screen-reader-text"><?php esc_html_e( 'Custom Forward URL:', 'restrictly-wp' ); ?></label>
-							<input class="restrictly-input" type="text" name="restrictly_custom_forward_url" id="restrictly_custom_forward_url" value="<?php echo esc_attr( $custom_forward_url ); ?>" />
+							<input class="restrictly-input restrictly-link-picker" type="text" name="restrictly_custom_forward_url" id="restrictly_custom_forward_url" value="<?php echo esc_attr( $custom_forward_url ); ?>" data-restrictly-source-id="<?php echo esc_attr( (string) $post->ID ); ?>" />
+							<input class="restrictly-forward-post-id" type="hidden" name="restrictly_custom_forward_post_id" value="<?php echo esc_attr( (string) $custom_forward_post_id ); ?>" />
 						</td>
 					</tr>
 				</table>
@@ -232,10 +287,25 @@ class StandardEditContentType extends ContentTypeBase {
 			update_post_meta( $post_id, 'restrictly_page_access_by_role', array() );
 		}
 
+		// Sanitize and save the role mode (include or exclude the selected roles).
+		if ( isset( $_POST['restrictly_page_access_role_mode'] ) ) {
+			$role_mode = sanitize_text_field( wp_unslash( $_POST['restrictly_page_access_role_mode'] ) );
+			if ( in_array( $role_mode, array( 'include', 'exclude' ), true ) ) {
+				update_post_meta( $post_id, 'restrictly_page_access_role_mode', $role_mode );
+			}
+		}
+
+		// Sanitize and save the required capability (only meaningful for logged-in users).
+		if ( isset( $_POST['restrictly_page_access_capability'] ) ) {
+			$capability   = sanitize_text_field( wp_unslash( $_POST['restrictly_page_access_capability'] ) );
+			$login_status = get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true );
+			update_post_meta( $post_id, 'restrictly_page_access_capability', 'logged_in_users' === $login_status ? $capability : '' );
+		}
+
 		// Sanitize and save enforcement action.
 		if ( isset( $_POST['restrictly_enforcement_action'] ) ) {
 			$enforcement_action = sanitize_text_field( wp_unslash( $_POST['restrictly_enforcement_action'] ) );
-			if ( in_array( $enforcement_action, array( 'default', 'custom_message', 'custom_url' ), true ) ) {
+			if ( in_array( $enforcement_action, array( 'default', 'custom_message', 'custom_url', 'login_redirect', 'not_found', 'teaser' ), true ) ) {
 				update_post_meta( $post_id, 'restrictly_enforcement_action', $enforcement_action );
 			}
 		}
@@ -253,5 +323,13 @@ class StandardEditContentType extends ContentTypeBase {
 		} else {
 			delete_post_meta( $post_id, 'restrictly_custom_forward_url' );
 		}
+
+		// Save the post ID of an internal forward target picked from the link picker.
+		$custom_forward_post_id = isset( $_POST['restrictly_custom_forward_post_id'] ) ? absint( $_POST['restrictly_custom_forward_post_id'] ) : 0;
+		if ( $custom_forward_post_id && ! empty( $_POST['restrictly_custom_forward_url'] ) ) {
+			update_post_meta( $post_id, 'restrictly_custom_forward_post_id', $custom_forward_post_id );
+		} else {
+			delete_post_meta( $post_id, 'restrictly_custom_forward_post_id' );
+		}
 	}
 }
@@ -0,0 +1,290 @@
+<?php
+/**
+ * Renders Restrictly™ access denied messages.
+ *
+ * Messages may contain HTML, block markup (including synced patterns) and
+ * placeholders such as `{login_url}`. Restricted singular content shows the
+ * message inside the active theme's layout instead of a bare error screen.
+ *
+ * @package Restrictly
+ * @since   0.1.0
+ */
+
+namespace Restrictly\Core\Common;
+
+use WP_Post;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Replaces placeholders in access denied messages and displays them.
+ *
+ * @since 0.1.0
+ */
+class AccessMessage {
+
+	/**
+	 * Rendered message shown in place of the restricted post's content.
+	 *
+	 * @var string
+	 *
+	 * @since 0.1.0
+	 */
+	private static string $replacement = '';
+
+	/**
+	 * ID of the restricted post whose content is replaced.
+	 *
+	 * @var int
+	 *
+	 * @since 0.1.0
+	 */
+	private static int $replaced_post_id = 0;
+
+	/**
+	 * Retrieves the supported placeholders and their descriptions.
+	 *
+	 * @return array<string,string> Placeholder => description.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_placeholders(): array {
+		return array(
+			'{login_url}'      => __( 'Login URL that returns to the restricted page', 'restrictly-wp' ),
+			'{register_url}'   => __( 'Registration URL (empty when registration is closed)', 'restrictly-wp' ),
+			'{current_user}'   => __( 'Display name of the visitor, or “Guest”', 'restrictly-wp' ),
+			'{required_roles}' => __( 'Roles allowed to view the content', 'restrictly-wp' ),
+			'{post_title}'     => __( 'Title of the restricted content', 'restrictly-wp' ),
+		);
+	}
+
+	/**
+	 * Renders a message with its placeholders replaced.
+	 *
+	 * Placeholder values are escaped; the message itself is passed through
+	 * wp_kses_post(). Block markup is rendered with do_blocks(), anything
+	 * else with wpautop().
+	 *
+	 * @param string              $message Message as saved.
+	 * @param array<string,mixed> $context Optional. `post` (WP_Post|null), `post_title` (overrides
+	 *                                     the post's title), `roles` (string[]) and `role_mode`
+	 *                                     ('include' or 'exclude').
+	 *
+	 * @return string Rendered HTML.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function render( string $message, array $context = array() ): string {
+		$message = wp_kses_post( $message );
+
+		if ( '' === trim( $message ) ) {
+			$message = esc_html__( 'You do not have permission to view this content.', 'restrictly-wp' );
+		}
+
+		$values = self::get_placeholder_values( $context );
+
+		// Editors may URL-encode placeholders used as link targets.
+		foreach ( $values as $placeholder => $value ) {
+			$values[ rawurlencode( $placeholder ) ] = $value;
+		}
+
+		$html = strtr( $message, $values );
+		$html = has_blocks( $html ) ? do_blocks( $html ) : wpautop( $html );
+
+		/**
+		 * Filters a rendered access denied message.
+		 *
+		 * @param string              $html    Rendered HTML.
+		 * @param string              $message Message as saved.
+		 * @param array<string,mixed> $context Render context.
+		 *
+		 * @since 0.1.0
+		 */
+		return (string) apply_filters( 'restrictly_access_message', $html, $message, $context );
+	}
+
+	/**
+	 * Builds an excerpt teaser for restricted content.
+	 *
+	 * Uses the manual excerpt when there is one, otherwise the trimmed
+	 * content with blocks and shortcodes removed. The rendered call to
+	 * action follows the excerpt.
+	 *
+	 * @param WP_Post             $post           Restricted post.
+	 * @param string              $call_to_action Call to action message, before rendering.
+	 * @param array<string,mixed> $context        Optional. Context for render().
+	 *
+	 * @return string Teaser HTML.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function render_teaser( WP_Post $post, string $call_to_action, array $context = array() ): string {
+		if ( has_excerpt( $post ) ) {
+			$excerpt = $post->post_excerpt;
+		} else {
+			$excerpt = wp_trim_words(
+				excerpt_remove_blocks( strip_shortcodes( $post->post_content ) ),
+				(int) apply_filters( 'excerpt_length', 55 ),
+				apply_filters( 'excerpt_more', ' [&hellip;]' )
+			);
+		}
+
+		return sprintf(
+			'<div class="restrictly-teaser"><div class="restrictly-teaser-excerpt">%s</div><div class="restrictly-teaser-cta">%s</div></div>',
+			wpautop( wp_kses_post( $excerpt ) ),
+			self::render( $call_to_action, $context )
+		);
+	}
+
+	/**
+	 * Shows a rendered message in place of the restricted post's content.
+	 *
+	 * The theme template renders as usual; the post's content, excerpt,
+	 * featured image and comments are replaced or removed. Access denied
+	 * responses (403) are also kept out of search results.
+	 *
+	 * @param string  $html   Rendered message.
+	 * @param WP_Post $post   Restricted post.
+	 * @param int     $status Optional. HTTP status code. Default 403.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function display_in_theme( string $html, WP_Post $post, int $status = 403 ): void {
+		self::$replacement      = $html;
+		self::$replaced_post_id = $post->ID;
+
+		status_header( $status );
+		nocache_headers();
+
+		// Discard the restricted content before core filters (blocks, shortcodes) render it.
+		add_filter( 'the_content', array( __CLASS__, 'clear_content' ), 0 );
+		add_filter( 'the_content', array( __CLASS__, 'replace_content' ), PHP_INT_MAX );
+		add_filter( 'get_the_excerpt', array( __CLASS__, 'clear_content' ), 0 );
+		add_filter( 'post_thumbnail_html', array( __CLASS__, 'clear_content' ), PHP_INT_MAX );
+		add_filter( 'comments_open', array( __CLASS__, 'close_comments' ), PHP_INT_MAX, 2 );
+		add_filter( 'pings_open', array( __CLASS__, 'close_comments' ), PHP_INT_MAX, 2 );
+		add_filter( 'comments_array', array( __CLASS__, 'clear_comments' ), PHP_INT_MAX, 2 );
+		add_filter( 'render_block_core/comments', array( __CLASS__, 'clear_content' ), PHP_INT_MAX );
+
+		if ( 403 === $status ) {
+			add_filter( 'wp_robots', 'wp_robots_no_robots' );
+		}
+	}
+
+	/**
+	 * Empties the restricted post's content, excerpt or featured image.
+	 *
+	 * @param string $content Content.
+	 *
+	 * @return string Empty string for the restricted post, otherwise the content unchanged.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function clear_content( $content ) {
+		return self::is_replaced_post( get_the_ID() ) ? '' : $content;
+	}
+
+	/**
+	 * Replaces the restricted post's content with the rendered message.
+	 *
+	 * @param string $content Content.
+	 *
+	 * @return string Rendered message for the restricted post, otherwise the content unchanged.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function replace_content( $content ) {
+		return self::is_replaced_post( get_the_ID() ) ? self::$replacement : $content;
+	}
+
+	/**
+	 * Closes comments and pings on the restricted post.
+	 *
+	 * @param bool        $open    Whether comments are open.
+	 * @param int|WP_Post $post_id Post ID or object.
+	 *
+	 * @return bool False for the restricted post.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function close_comments( $open, $post_id ) {
+		return self::is_replaced_post( $post_id ) ? false : $open;
+	}
+
+	/**
+	 * Hides the existing comments of the restricted post.
+	 *
+	 * @param array<int,\WP_Comment> $comments Comments.
+	 * @param int                    $post_id  Post ID.
+	 *
+	 * @return array<int,\WP_Comment> No comments for the restricted post.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function clear_comments( $comments, $post_id ) {
+		return self::is_replaced_post( $post_id ) ? array() : $comments;
+	}
+
+	/**
+	 * Builds the escaped placeholder values.
+	 *
+	 * @param array<string,mixed> $context Render context.
+	 *
+	 * @return array<string,string> Placeholder => value.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function get_placeholder_values( array $context ): array {
+		$post       = ( $context['post'] ?? null ) instanceof WP_Post ? $context['post'] : null;
+		$return_url = $post ? (string) get_permalink( $post ) : home_url( '/' );
+		$user       = wp_get_current_user();
+		$post_title = $post ? html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ) : '';
+
+		return array(
+			'{login_url}'      => esc_url( wp_login_url( $return_url ) ),
+			'{register_url}'   => get_option( 'users_can_register' ) ? esc_url( wp_registration_url() ) : '',
+			'{current_user}'   => esc_html( $user->exists() ? $user->display_name : __( 'Guest', 'restrictly-wp' ) ),
+			'{required_roles}' => esc_html( self::describe_roles( (array) ( $context['roles'] ?? array() ), (string) ( $context['role_mode'] ?? 'include' ) ) ),
+			'{post_title}'     => esc_html( (string) ( $context['post_title'] ?? $post_title ) ),
+		);
+	}
+
+	/**
+	 * Describes the roles allowed by a role rule.
+	 *
+	 * @param string[] $roles     Role slugs.
+	 * @param string   $role_mode 'include' or 'exclude'.
+	 *
+	 * @return string Role names, or '' when no role is required.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function describe_roles( array $roles, string $role_mode ): string {
+		if ( empty( $roles ) ) {
+			return '';
+		}
+
+		$names = RoleHelper::get_available_roles();
+		$list  = implode( ', ', array_map( static fn( $role ) => $names[ $role ] ?? (string) $role, $roles ) );
+
+		// translators: %s is a list of role names.
+		return 'exclude' === $role_mode ? sprintf( __( 'any role except %s', 'restrictly-wp' ), $list ) : $list;
+	}
+
+	/**
+	 * Determines whether a post is the restricted post being replaced.
+	 *
+	 * @param int|WP_Post|false $post Post ID or object.
+	 *
+	 * @return bool True for the restricted post.
+	 *
+	 * @since 0.1.0
+	 */
+	private static function is_replaced_post( $post ): bool {
+		$post_id = $post instanceof WP_Post ? $post->ID : (int) $post;
+
+		return 0 !== self::$replaced_post_id && self::$replaced_post_id === $post_id;
+	}
+}
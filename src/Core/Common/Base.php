@@ -9,6 +9,7 @@
 namespace Restrictly\Core\Common;
 
 use Restrictly\Core\Common\RoleHelper;
+use Restrictly\Core\Admin\BlockVisibility;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -70,6 +71,12 @@ class Base {
 		// Ensure Restrictly visibility script also loads in the Site Editor (FSE).
 		add_action( 'enqueue_block_assets', array( __CLASS__, 'restrictly_enqueue_block_editor_assets' ) );
 
+		// Restrictly sidebar ("Preview as", restricted blocks list) for the post and site editors.
+		add_action( 'enqueue_block_editor_assets', array( __CLASS__, 'restrictly_enqueue_editor_sidebar_assets' ) );
+
+		// Enqueue the page access document settings panel.
+		add_action( 'enqueue_block_editor_assets', array( __CLASS__, 'restrictly_enqueue_page_access_panel_assets' ) );
+
 		// Add a settings link in the plugins list.
 		add_action( 'plugin_action_links_' . plugin_basename( $plugin_file ), array( __CLASS__, 'restrictly_settings_link' ) );
 	}
@@ -96,6 +103,43 @@ class Base {
 		return self::$plugin_base_path;
 	}
 
+	/**
+	 * Registers the public visibility conditions API script.
+	 *
+	 * Shared by the block, navigation, and navigation screen scripts. Other
+	 * plugins can depend on the `restrictly-visibility-api` handle to register
+	 * their own visibility conditions.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function register_visibility_api_script(): void {
+		if ( wp_script_is( 'restrictly-visibility-api', 'registered' ) ) {
+			return;
+		}
+
+		$api_path = self::$plugin_base_path . 'assets/js/visibility-api.js';
+		$api_ver  = file_exists( $api_path ) ? filemtime( $api_path ) : time();
+
+		wp_register_script(
+			'restrictly-visibility-api',
+			self::$plugin_base_url . 'assets/js/visibility-api.js',
+			array( 'wp-hooks', 'wp-date', 'wp-element', 'wp-components', 'wp-data', 'wp-blocks', 'wp-block-editor' ),
+			(string) $api_ver,
+			true
+		);
+
+		// Settings mirrored by window.restrictly.canView() for editor previews.
+		wp_localize_script(
+			'restrictly-visibility-api',
+			'restrictlyVisibilityApi',
+			array(
+				'alwaysAllowAdmins' => (int) get_option( 'restrictly_always_allow_admins', 1 ) === 1,
+			)
+		);
+	}
+
 	/**
 	 * Enqueues admin-specific styles.
 	 *
@@ -240,10 +284,48 @@ class Base {
 			wp_enqueue_script(
 				'restrictly-settings-script',
 				$plugin_base_url . 'assets/js/settings.js',
-				array( 'jquery' ),
+				array( 'jquery', 'wp-i18n' ),
 				(string) $version,
 				true
 			);
+
+			wp_localize_script(
+				'restrictly-settings-script',
+				'restrictlyImportExport',
+				array(
+					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'   => wp_create_nonce( 'restrictly_import_export_nonce' ),
+				)
+			);
+
+			wp_localize_script(
+				'restrictly-settings-script',
+				'restrictlyAuditReport',
+				array(
+					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'   => wp_create_nonce( 'restrictly_audit_report_nonce' ),
+				)
+			);
+
+			wp_localize_script(
+				'restrictly-settings-script',
+				'restrictlyAccessTester',
+				array(
+					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'   => wp_create_nonce( 'restrictly_access_test_nonce' ),
+				)
+			);
+
+			wp_localize_script(
+				'restrictly-settings-script',
+				'restrictlyMessagePreview',
+				array(
+					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'   => wp_create_nonce( 'restrictly_message_preview_nonce' ),
+				)
+			);
+
+			self::enqueue_link_picker();
 		}
 
 		// Enqueue standard edit script only on the post editing screen.
@@ -260,6 +342,8 @@ class Base {
 				(string) $version,
 				true
 			);
+
+			self::enqueue_link_picker();
 		}
 
 		// Enqueue quick & bulk edit scripts on the posts listing page.
@@ -285,23 +369,65 @@ class Base {
 			wp_enqueue_script(
 				'restrictly-bulk-edit-content-type-script',
 				$plugin_base_url . 'assets/js/bulk-edit-content-type.js',
-				array( 'jquery' ),
+				array( 'jquery', 'wp-i18n', 'inline-edit-post' ),
 				(string) $version,
 				true
 			);
 
+			/**
+			 * Filters how many posts each bulk edit request updates.
+			 *
+			 * @param int $chunk_size Posts per request. Default 50.
+			 *
+			 * @since 0.1.0
+			 */
+			$chunk_size = max( 1, (int) apply_filters( 'restrictly_bulk_edit_chunk_size', 50 ) );
+
 			// Ensure localized script is properly enqueued.
 			wp_localize_script(
 				'restrictly-bulk-edit-content-type-script',
 				'restrictlyAdmin',
 				array(
-					'bulkEditNonce' => wp_create_nonce( 'restrictly_bulk_edit_nonce' ),
-					'ajaxUrl'       => admin_url( 'admin-ajax.php' ),
+					'bulkEditNonce'     => wp_create_nonce( 'restrictly_bulk_edit_nonce' ),
+					'ajaxUrl'           => admin_url( 'admin-ajax.php' ),
+					'bulkEditChunkSize' => $chunk_size,
 				)
 			);
+
+			self::enqueue_link_picker();
 		}
 	}
 
+	/**
+	 * Enqueues the link picker of the forward URL fields.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	private static function enqueue_link_picker(): void {
+		$file_path = self::$plugin_base_path . 'assets/js/link-picker.js';
+		$version   = file_exists( $file_path ) ? filemtime( $file_path ) : time();
+
+		wp_enqueue_script(
+			'restrictly-link-picker-script',
+			self::$plugin_base_url . 'assets/js/link-picker.js',
+			array( 'jquery', 'jquery-ui-autocomplete', 'wp-i18n' ),
+			(string) $version,
+			true
+		);
+
+		wp_localize_script(
+			'restrictly-link-picker-script',
+			'restrictlyLinkPicker',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'restrictly_link_picker_nonce' ),
+				'homeUrl' => home_url( '/' ),
+			)
+		);
+	}
+
 	/**
 	 * Adds a settings link to the plugin entry in the plugins list.
 	 *
@@ -351,10 +477,12 @@ class Base {
 		$block_js_path = $plugin_base_path . 'assets/js/block-visibility.js';
 		$block_js_ver  = file_exists( $block_js_path ) ? filemtime( $block_js_path ) : time();
 
+		self::register_visibility_api_script();
+
 		wp_enqueue_script(
 			'restrictly-block-visibility',
 			$plugin_base_url . 'assets/js/block-visibility.js',
-			array( 'wp-blocks', 'wp-dom-ready', 'wp-edit-post', 'wp-components', 'wp-element' ),
+			array( 'restrictly-visibility-api', 'wp-blocks', 'wp-dom-ready', 'wp-edit-post', 'wp-components', 'wp-element', 'wp-date', 'wp-data', 'wp-core-data' ),
 			(string) $block_js_ver,
 			true
 		);
@@ -379,7 +507,7 @@ class Base {
 		wp_enqueue_script(
 			'restrictly-editor',
 			$plugin_base_url . 'assets/js/editor.js',
-			array( 'wp-blocks', 'wp-hooks', 'wp-element', 'wp-i18n', 'wp-components', 'wp-edit-post', 'wp-compose', 'wp-data', 'wp-block-editor' ),
+			array( 'restrictly-visibility-api', 'wp-blocks', 'wp-hooks', 'wp-element', 'wp-i18n', 'wp-components', 'wp-edit-post', 'wp-compose', 'wp-data', 'wp-block-editor' ),
 			(string) $nav_js_ver,
 			true
 		);
@@ -406,7 +534,10 @@ class Base {
 		wp_localize_script(
 			'restrictly-block-visibility',
 			'RestrictlyBlockData',
-			array( 'roles' => $role_options )
+			array(
+				'roles'        => $role_options,
+				'capabilities' => RoleHelper::get_capability_options(),
+			)
 		);
 
 		wp_localize_script(
@@ -419,7 +550,84 @@ class Base {
 			'restrictly-block-visibility',
 			'RestrictlySettings',
 			array(
-				'showNavPills' => (bool) get_option( 'restrictly_show_nav_pills', false ),
+				'showNavPills'      => (bool) get_option( 'restrictly_show_nav_pills', false ),
+				'allowedNamespaces' => BlockVisibility::get_allowed_namespaces(),
+				'disabledBlocks'    => BlockVisibility::get_disabled_blocks(),
+			)
+		);
+	}
+
+	/**
+	 * Enqueues the Restrictly™ editor sidebar.
+	 *
+	 * Hooked to `enqueue_block_editor_assets` only, so the sidebar plugin is
+	 * registered once in the editor window (not inside the canvas iframe).
+	 *
+	 * @since 0.1.0
+	 * @return void
+	 */
+	public static function restrictly_enqueue_editor_sidebar_assets(): void {
+		$sidebar_js_path = self::$plugin_base_path . 'assets/js/editor-sidebar.js';
+		$sidebar_js_ver  = file_exists( $sidebar_js_path ) ? filemtime( $sidebar_js_path ) : time();
+
+		self::register_visibility_api_script();
+
+		wp_enqueue_script(
+			'restrictly-editor-sidebar',
+			self::$plugin_base_url . 'assets/js/editor-sidebar.js',
+			array( 'restrictly-visibility-api', 'wp-plugins', 'wp-editor', 'wp-blocks', 'wp-block-editor', 'wp-hooks', 'wp-compose', 'wp-element', 'wp-components', 'wp-data' ),
+			(string) $sidebar_js_ver,
+			true
+		);
+	}
+
+	/**
+	 * Enqueues the page access document settings panel for restricted content types.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function restrictly_enqueue_page_access_panel_assets(): void {
+		$screen        = get_current_screen();
+		$content_types = (array) get_option( 'restrictly_content_types', array( 'page' ) );
+
+		if ( ! $screen || ! in_array( $screen->post_type, $content_types, true ) ) {
+			return;
+		}
+
+		$panel_js_path = self::$plugin_base_path . 'assets/js/page-access-panel.js';
+		$panel_js_ver  = file_exists( $panel_js_path ) ? filemtime( $panel_js_path ) : time();
+
+		self::register_visibility_api_script();
+
+		wp_enqueue_script(
+			'restrictly-page-access-panel',
+			self::$plugin_base_url . 'assets/js/page-access-panel.js',
+			array( 'restrictly-visibility-api', 'wp-plugins', 'wp-editor', 'wp-block-editor', 'wp-element', 'wp-components', 'wp-data' ),
+			(string) $panel_js_ver,
+			true
+		);
+
+		$role_options = array();
+		foreach ( RoleHelper::get_available_roles() as $role_key => $role_name ) {
+			$role_options[] = array(
+				'label' => translate_user_role( $role_name ),
+				'value' => (string) $role_key,
+			);
+		}
+
+		wp_localize_script(
+			'restrictly-page-access-panel',
+			'restrictlyPageAccess',
+			array(
+				'roles'          => $role_options,
+				'capabilities'   => RoleHelper::get_capability_options(),
+				'defaultMessage' => wp_strip_all_tags( (string) get_option( 'restrictly_default_message', '' ) ),
+				'placeholders'   => implode( ' ', array_keys( AccessMessage::get_placeholders() ) ),
+				'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
+				'linkNonce'      => wp_create_nonce( 'restrictly_link_picker_nonce' ),
+				'homeUrl'        => home_url( '/' ),
 			)
 		);
 	}
@@ -40,8 +40,7 @@ class Enforcement {
 		// Filter menu items before rendering.
 		add_filter( 'wp_nav_menu_objects', array( __CLASS__, 'restrictly_filter_menu_items' ), 10, 2 );
 
-		// Enforce visibility on individual Gutenberg blocks (FSE or classic).
-		add_filter( 'render_block', array( __CLASS__, 'restrictly_enforce_block_visibility' ), 10, 2 );
+		// Block-level visibility is enforced by BlockVisibility::apply_visibility_rules().
 
 		// Add default REST redaction message.
 		add_filter(
@@ -73,13 +72,52 @@ class Enforcement {
 			return;
 		}
 
+		$decision = self::get_page_access_decision( (int) $post->ID );
+
+		if ( '' !== $decision['blocked_by'] ) {
+			self::restrictly_handle_enforcement(
+				$decision['action'],
+				$decision['message'],
+				$decision['forward_url'],
+				array(
+					'post'      => $post,
+					'roles'     => $decision['roles'],
+					'role_mode' => $decision['role_mode'],
+				)
+			);
+		}
+	}
+
+	/**
+	 * Evaluates the page access rules of a post for the current user.
+	 *
+	 * Rules are checked in order: login status, role rule, then required
+	 * capability; the first failing rule is reported in `blocked_by`. The
+	 * enforcement action is resolved against the global defaults.
+	 *
+	 * The Administrator override is reported in `admin_bypass` but does not
+	 * clear `blocked_by`, as restrictly_handle_enforcement() applies it.
+	 *
+	 * @param int $post_id Post ID.
+	 *
+	 * @return array<string,mixed> Decision with blocked_by ('' | 'login_status' | 'role' | 'capability'),
+	 *                             admin_bypass, login_status, roles, role_mode, capability,
+	 *                             action, message and forward_url.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_page_access_decision( int $post_id ): array {
 		// Get the restriction settings for this content.
-		$post_id            = $post->ID;
 		$login_status       = get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true );
 		$allowed_roles      = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
+		$role_mode          = (string) get_post_meta( $post_id, 'restrictly_page_access_role_mode', true );
+		$capability         = (string) get_post_meta( $post_id, 'restrictly_page_access_capability', true );
 		$enforcement_action = get_post_meta( $post_id, 'restrictly_enforcement_action', true );
 		$custom_message     = get_post_meta( $post_id, 'restrictly_custom_message', true );
-		$custom_forward_url = get_post_meta( $post_id, 'restrictly_custom_forward_url', true );
+		$custom_forward_url = self::resolve_forward_url(
+			(string) get_post_meta( $post_id, 'restrictly_custom_forward_url', true ),
+			(int) get_post_meta( $post_id, 'restrictly_custom_forward_post_id', true )
+		);
 
 		// Ensure roles are an array.
 		$allowed_roles = is_array( $allowed_roles ) ? $allowed_roles : array();
@@ -93,8 +131,8 @@ class Enforcement {
 			$custom_forward_url = '';
 		}
 
-		// Use Global Defaults if Custom Message or URL is Empty.
-		if ( 'custom_message' === $enforcement_action && empty( $custom_message ) ) {
+		// Use Global Defaults if Custom Message or URL is Empty. The teaser uses the message as its call to action.
+		if ( in_array( $enforcement_action, array( 'custom_message', 'teaser' ), true ) && empty( $custom_message ) ) {
 			$custom_message = get_option(
 				'restrictly_default_message',
 				__( 'You do not have permission to view this content.', 'restrictly-wp' )
@@ -103,48 +141,161 @@ class Enforcement {
 
 		// Use Global Defaults if Custom URL is Empty.
 		if ( 'custom_url' === $enforcement_action && empty( $custom_forward_url ) ) {
-			$custom_forward_url = get_option( 'restrictly_default_forward_url', '' );
+			$custom_forward_url = self::resolve_forward_url(
+				(string) get_option( 'restrictly_default_forward_url', '' ),
+				(int) get_option( 'restrictly_default_forward_post_id', 0 )
+			);
 		}
 
 		// Check user permissions.
 		$user         = wp_get_current_user();
 		$user_roles   = $user->roles;
 		$is_logged_in = is_user_logged_in();
+		$blocked_by   = '';
 
-		// Enforce login status restrictions.
 		if (
 			( 'logged_in_users' === $login_status && ! $is_logged_in ) ||
 			( 'logged_out_users' === $login_status && $is_logged_in )
 		) {
-			self::restrictly_handle_enforcement( $enforcement_action, $custom_message, $custom_forward_url );
+			// Enforce login status restrictions.
+			$blocked_by = 'login_status';
+		} elseif ( ! self::matches_role_rule( $allowed_roles, $role_mode, $user_roles ) ) {
+			// User is either not logged in, doesn't match allowed roles, or holds an excluded role.
+			$blocked_by = 'role';
+		} elseif ( ! self::matches_capability_rule( $capability ) ) {
+			// Enforce capability-based restrictions.
+			$blocked_by = 'capability';
 		}
 
-		// Enforce role-based restrictions.
-		if ( ! empty( $allowed_roles ) ) {
-			if ( empty( $user_roles ) || empty( array_intersect( $allowed_roles, $user_roles ) ) ) {
-				// User is either not logged in or doesn't match allowed roles.
-				self::restrictly_handle_enforcement( $enforcement_action, $custom_message, $custom_forward_url );
-			}
+		return array(
+			'blocked_by'   => $blocked_by,
+			'admin_bypass' => (int) get_option( 'restrictly_always_allow_admins', 1 ) === 1 && current_user_can( 'manage_options' ),
+			'login_status' => (string) $login_status,
+			'roles'        => $allowed_roles,
+			'role_mode'    => 'exclude' === $role_mode ? 'exclude' : 'include',
+			'capability'   => $capability,
+			'action'       => (string) $enforcement_action,
+			'message'      => (string) $custom_message,
+			'forward_url'  => (string) $custom_forward_url,
+		);
+	}
+
+	/**
+	 * Resolves a forward target to a URL.
+	 *
+	 * Internal targets picked with the link picker are stored by post ID, so
+	 * they follow slug changes. The stored URL is used when the post is gone
+	 * or unpublished, and for external or hand-typed targets.
+	 *
+	 * @param string $url     Stored forward URL.
+	 * @param int    $post_id Stored target post ID, or 0.
+	 *
+	 * @return string Forward URL, or '' when none is set.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function resolve_forward_url( string $url, int $post_id ): string {
+		if ( $post_id > 0 && 'publish' === get_post_status( $post_id ) ) {
+			return (string) get_permalink( $post_id );
 		}
+
+		return $url;
 	}
 
 	/**
-	 * Handles enforcement actions: show a message or redirect.
+	 * Determines whether a user's roles satisfy a Restrictly™ role rule.
+	 *
+	 * In `include` mode (the default) the user needs at least one of the roles.
+	 * In `exclude` mode the user must hold none of them ("everyone except").
+	 * An empty role list always passes.
 	 *
-	 * @param string      $action        Enforcement action (`custom_message` or `custom_url`).
-	 * @param string|null $message       Custom message to display (if applicable).
-	 * @param string|null $redirect_url  Custom redirect URL (if applicable).
+	 * @param string[] $roles      Role slugs selected on the rule.
+	 * @param string   $mode       'include' or 'exclude'. Empty means 'include'.
+	 * @param string[] $user_roles Current user's roles (empty when logged out).
+	 *
+	 * @return bool True if the rule passes.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function matches_role_rule( array $roles, string $mode, array $user_roles ): bool {
+		$roles = array_map( 'strtolower', array_filter( array_map( 'strval', $roles ) ) );
+
+		if ( empty( $roles ) ) {
+			return true;
+		}
+
+		$matched = (bool) array_intersect( $roles, array_map( 'strtolower', $user_roles ) );
+
+		return 'exclude' === $mode ? ! $matched : $matched;
+	}
+
+	/**
+	 * Determines whether the current user satisfies a Restrictly™ capability rule.
+	 *
+	 * Capabilities are checked with current_user_can(), so access granted by
+	 * plugins that map or filter capabilities (e.g. an LMS) is respected.
+	 * An empty capability always passes.
+	 *
+	 * @param string $capability Required capability, or '' for none.
+	 *
+	 * @return bool True if the rule passes.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function matches_capability_rule( string $capability ): bool {
+		$capability = trim( $capability );
+
+		return '' === $capability || current_user_can( $capability );
+	}
+
+	/**
+	 * Handles enforcement actions: show a message, a teaser, a 404 or redirect.
+	 *
+	 * On singular content the message or teaser is shown inside the theme's
+	 * layout; elsewhere the message is shown on the `wp_die()` screen.
+	 * Logged-in visitors sent to the login page would only be bounced back,
+	 * so they see the message instead.
+	 *
+	 * @param string              $action        Enforcement action (`custom_message`, `custom_url`,
+	 *                                           `login_redirect`, `not_found` or `teaser`).
+	 * @param string|null         $message       Custom message to display (if applicable).
+	 * @param string|null         $redirect_url  Custom redirect URL (if applicable).
+	 * @param array<string,mixed> $context       Optional. Message context for AccessMessage::render().
 	 *
 	 * @return void
 	 *
 	 * @since 0.1.0
 	 */
-	public static function restrictly_handle_enforcement( string $action, ?string $message, ?string $redirect_url ): void {
+	public static function restrictly_handle_enforcement( string $action, ?string $message, ?string $redirect_url, array $context = array() ): void {
 		// Always allow users with admin capabilities full access if enabled.
 		if ( (int) get_option( 'restrictly_always_allow_admins', 1 ) === 1 && current_user_can( 'manage_options' ) ) {
 			return; // Skip enforcement completely.
 		}
 
+		$post = ( $context['post'] ?? null ) instanceof \WP_Post ? $context['post'] : null;
+
+		// Send logged-out visitors to the login page, returning here afterwards.
+		if ( 'login_redirect' === $action && ! is_user_logged_in() ) {
+			wp_safe_redirect( wp_login_url( (string) get_permalink( $post ?? 0 ) ) );
+			exit;
+		}
+
+		// Pretend the content does not exist; the theme renders its 404 template.
+		if ( 'not_found' === $action ) {
+			global $wp_query;
+
+			$wp_query->set_404();
+			status_header( 404 );
+			nocache_headers();
+			return;
+		}
+
+		// Show the excerpt and call to action in place of the content.
+		if ( 'teaser' === $action && $post && is_singular() ) {
+			AccessMessage::display_in_theme( AccessMessage::render_teaser( $post, (string) $message, $context ), $post, 200 );
+			return;
+		}
+
 		// If the enforcement action is a custom URL but no URL is set, redirect logged-out users to the login page.
 		if ( 'custom_url' === $action && empty( $redirect_url ) ) {
 			$redirect_url = wp_login_url( (string) get_permalink() );
@@ -174,8 +325,15 @@ class Enforcement {
 		}
 
 		// Handle custom message enforcement.
+		$html = AccessMessage::render( (string) $message, $context );
+
+		if ( $post && is_singular() ) {
+			AccessMessage::display_in_theme( $html, $post );
+			return;
+		}
+
 		wp_die(
-			! empty( $message ) ? esc_html( $message ) : esc_html__( 'You do not have permission to view this content.', 'restrictly-wp' ),
+			wp_kses_post( $html ),
 			esc_html__( 'Access Denied', 'restrictly-wp' ),
 			array( 'response' => 403 )
 		);
@@ -191,8 +349,7 @@ class Enforcement {
 	 */
 	public static function restrictly_filter_menu_items( array $items ): array {
 		// Global Administrator Override (Always Allow Administrators).
-		$admin_override = get_option( 'restrictly_always_allow_admins', false );
-		if ( $admin_override ) {
+		if ( (int) get_option( 'restrictly_always_allow_admins', 1 ) === 1 ) {
 			$user = wp_get_current_user();
 
 			if ( $user && in_array( 'administrator', (array) $user->roles, true ) ) {
@@ -206,9 +363,16 @@ class Enforcement {
 		$user_roles   = $user->roles;
 		$is_logged_in = is_user_logged_in();
 
+		// IDs of removed items, so their children are not left behind as orphans.
+		$removed = array();
+
+		// Menu order lists every parent before its children.
 		foreach ( $items as $key => $item ) {
-			// Check if item should be removed based on restrictions.
-			if ( self::should_remove_menu_item( $item, $is_logged_in, $user_roles ) ) {
+			$parent_id = (int) ( $item->menu_item_parent ?? 0 );
+
+			// Check if item should be removed based on restrictions, or because its parent was.
+			if ( isset( $removed[ $parent_id ] ) || self::should_remove_menu_item( $item, $is_logged_in, $user_roles ) ) {
+				$removed[ (int) $item->ID ] = true;
 				unset( $items[ $key ] );
 			}
 		}
@@ -216,6 +380,48 @@ class Enforcement {
 		return array_values( $items );
 	}
 
+	/**
+	 * Retrieves the visibility rule a menu item is displayed with.
+	 *
+	 * An item inherits the rule of its closest parent set to "Apply to child
+	 * items" unless its own settings were changed (overridden). The parent
+	 * chain is resolved here, so menus edited outside the Menus screen (the
+	 * Customizer, an import) never rely on the copies the screen keeps in the
+	 * child items.
+	 *
+	 * @param int            $item_id Menu item ID.
+	 * @param array<int,int> $seen    Item IDs already visited, guarding against parent loops.
+	 *
+	 * @return array{visibility:string,roles:string[],role_mode:string} Rule.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_menu_item_rule( int $item_id, array $seen = array() ): array {
+		$seen[ $item_id ] = $item_id;
+
+		if ( ! get_post_meta( $item_id, 'restrictly_menu_override', true ) ) {
+			$parent_id = (int) get_post_meta( $item_id, '_menu_item_menu_item_parent', true );
+
+			while ( $parent_id && ! isset( $seen[ $parent_id ] ) ) {
+				if ( get_post_meta( $parent_id, 'restrictly_menu_cascade', true ) ) {
+					return self::get_menu_item_rule( $parent_id, $seen );
+				}
+
+				$seen[ $parent_id ] = $parent_id;
+				$parent_id          = (int) get_post_meta( $parent_id, '_menu_item_menu_item_parent', true );
+			}
+		}
+
+		$visibility = (string) get_post_meta( $item_id, 'restrictly_menu_visibility', true );
+		$roles      = get_post_meta( $item_id, 'restrictly_menu_roles', true );
+
+		return array(
+			'visibility' => '' !== $visibility ? $visibility : 'everyone',
+			'roles'      => is_array( $roles ) ? array_values( array_map( 'strval', $roles ) ) : array(),
+			'role_mode'  => (string) get_post_meta( $item_id, 'restrictly_menu_role_mode', true ),
+		);
+	}
+
 	/**
 	 * Determines if a menu item should be removed based on restrictions.
 	 *
@@ -227,12 +433,11 @@ class Enforcement {
 	 * @since 0.1.0
 	 */
 	private static function should_remove_menu_item( \WP_Post $item, bool $is_logged_in, array $user_roles ): bool {
-		// Get the menu item's visibility and allowed roles.
-		$visibility = get_post_meta( $item->ID, 'restrictly_menu_visibility', true );
-
-		$visibility    = ( '' !== $visibility && false !== $visibility ) ? $visibility : 'everyone';
-		$allowed_roles = get_post_meta( $item->ID, 'restrictly_menu_roles', true );
-		$allowed_roles = is_array( $allowed_roles ) ? $allowed_roles : array();
+		// Get the menu item's visibility and allowed roles, inherited from a parent item if set to.
+		$rule          = self::get_menu_item_rule( (int) $item->ID );
+		$visibility    = $rule['visibility'];
+		$allowed_roles = $rule['roles'];
+		$role_mode     = $rule['role_mode'];
 
 		// Check menu item's own restrictions.
 		if ( 'logged_in_users' === $visibility && ! $is_logged_in ) {
@@ -243,7 +448,7 @@ class Enforcement {
 			return true;
 		}
 
-		if ( ! empty( $allowed_roles ) && ( empty( $user_roles ) || empty( array_intersect( $allowed_roles, $user_roles ) ) ) ) {
+		if ( ! self::matches_role_rule( $allowed_roles, $role_mode, $user_roles ) ) {
 			return true;
 		}
 
@@ -251,6 +456,8 @@ class Enforcement {
 		if ( ! empty( $item->object_id ) && 'everyone' === $visibility && empty( $allowed_roles ) ) {
 			$page_login_status  = get_post_meta( $item->object_id, 'restrictly_page_access_by_login_status', true );
 			$page_allowed_roles = get_post_meta( $item->object_id, 'restrictly_page_access_by_role', true );
+			$page_role_mode     = (string) get_post_meta( $item->object_id, 'restrictly_page_access_role_mode', true );
+			$page_capability    = (string) get_post_meta( $item->object_id, 'restrictly_page_access_capability', true );
 
 			if ( 'logged_in_users' === $page_login_status && ! $is_logged_in ) {
 				return true;
@@ -260,7 +467,11 @@ class Enforcement {
 				return true;
 			}
 
-			if ( is_array( $page_allowed_roles ) && ! empty( $page_allowed_roles ) && empty( array_intersect( $page_allowed_roles, $user_roles ) ) ) {
+			if ( is_array( $page_allowed_roles ) && ! self::matches_role_rule( $page_allowed_roles, $page_role_mode, $user_roles ) ) {
+				return true;
+			}
+
+			if ( ! self::matches_capability_rule( $page_capability ) ) {
 				return true;
 			}
 		}
@@ -286,6 +497,8 @@ class Enforcement {
 
 		$login_status  = get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true );
 		$allowed_roles = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
+		$role_mode     = (string) get_post_meta( $post_id, 'restrictly_page_access_role_mode', true );
+		$capability    = (string) get_post_meta( $post_id, 'restrictly_page_access_capability', true );
 
 		// Normalize role meta.
 		if ( ! is_array( $allowed_roles ) ) {
@@ -312,8 +525,18 @@ class Enforcement {
 			return true;
 		}
 
+		// A required capability applies on top of every other rule.
+		if ( ! self::matches_capability_rule( $capability ) ) {
+			return false;
+		}
+
+		// Exclusion rules apply on top of the login status ("logged-in users except …").
+		if ( 'exclude' === $role_mode && ! self::matches_role_rule( $allowed_roles, $role_mode, $user_roles ) ) {
+			return false;
+		}
+
 		// Role-based restrictions take priority.
-		if ( ! empty( $allowed_roles ) ) {
+		if ( ! empty( $allowed_roles ) && 'exclude' !== $role_mode ) {
 			$allowed_roles = array_map( 'strtolower', $allowed_roles );
 			$user_roles    = array_map( 'strtolower', $user_roles );
 
@@ -338,64 +561,66 @@ class Enforcement {
 	}
 
 	/**
-	 * Enforces Restrictly™ visibility rules during block rendering.
+	 * Retrieves every visibility condition key accepted by Restrictly™.
 	 *
-	 * Evaluates a block's attributes and determines whether the content
-	 * should be displayed based on Restrictly™ visibility settings.
-	 *
-	 * @param string              $block_content The rendered block content.
-	 * @param array<string,mixed> $block         The full block data array, including 'blockName' and 'attrs' keys.
-	 *
-	 * @return string The filtered (or empty) block content.
+	 * @return string[] Core condition keys plus any custom ones.
 	 *
 	 * @since 0.1.0
 	 */
-	public static function restrictly_enforce_block_visibility( string $block_content, array $block ): string {
-		// Skip visibility enforcement in the admin or editor context.
-		if ( is_admin() ) {
-			return $block_content;
-		}
-
-		// Extract attributes safely.
-		$attrs      = $block['attrs'] ?? array();
-		$visibility = isset( $attrs['restrictlyVisibility'] ) ? (string) $attrs['restrictlyVisibility'] : 'everyone';
-		$roles      = isset( $attrs['restrictlyRoles'] ) && is_array( $attrs['restrictlyRoles'] )
-			? $attrs['restrictlyRoles']
-			: array();
-
-		// Ask Enforcement if the block should be visible.
-		if ( ! self::can_view_by_visibility( $visibility, $roles ) ) {
-			return '';
-		}
-
-		return $block_content;
+	public static function get_visibility_conditions(): array {
+		$core = array( 'everyone', 'logged_in', 'logged_out' );
+
+		/**
+		 * Filters the custom visibility condition keys known to the server.
+		 *
+		 * Add the keys registered in JavaScript with
+		 * `window.restrictly.registerVisibilityCondition()` so they validate
+		 * wherever Restrictly™ stores visibility in REST-exposed meta.
+		 *
+		 * @param string[] $conditions Custom condition keys. Default empty.
+		 *
+		 * @since 0.1.0
+		 */
+		$custom = (array) apply_filters( 'restrictly_visibility_conditions', array() );
+
+		return array_values( array_unique( array_merge( $core, array_map( 'strval', $custom ) ) ) );
 	}
 
 	/**
 	 * Determines whether the current user can view content based on Restrictly™ visibility settings.
 	 *
 	 * Provides a unified visibility check for blocks, menus, or FSE components
-	 * using simple `$visibility` and `$roles` parameters.
+	 * using simple `$visibility` and `$roles` parameters. Custom conditions are
+	 * resolved through the `restrictly_visibility_condition` filter.
 	 *
-	 * @param string            $visibility One of: 'everyone', 'logged_in', 'logged_out', 'roles', or 'role_*'.
-	 * @param array<int,string> $roles      Optional. Array of role slugs (when restricting by role).
+	 * @param string              $visibility One of: 'everyone', 'logged_in', 'logged_out', 'roles', 'role_*', or a custom condition key.
+	 * @param array<int,string>   $roles      Optional. Array of role slugs (when restricting by role).
+	 * @param array<string,mixed> $attributes Optional. Block attributes (or equivalent rule data): `restrictlyRoleMode`
+	 *                                        ('include' or 'exclude'), `restrictlyCapability` (a required
+	 *                                        capability) and any custom condition attributes.
 	 *
 	 * @return bool True if the user can view the content, false if restricted.
 	 *
 	 * @since 0.1.0
 	 */
-	public static function can_view_by_visibility( string $visibility, array $roles = array() ): bool {
+	public static function can_view_by_visibility( string $visibility, array $roles = array(), array $attributes = array() ): bool {
 		// Always allow administrators if configured to do so.
 		if ( (int) get_option( 'restrictly_always_allow_admins', 1 ) === 1 && current_user_can( 'manage_options' ) ) {
 			return true;
 		}
 
+		// A required capability applies on top of the visibility condition.
+		if ( ! self::matches_capability_rule( (string) ( $attributes['restrictlyCapability'] ?? '' ) ) ) {
+			return false;
+		}
+
 		$is_logged_in = is_user_logged_in();
 		$user_roles   = $is_logged_in ? (array) wp_get_current_user()->roles : array();
 
 		// Normalize for comparisons.
 		$roles      = array_map( 'strtolower', $roles );
 		$user_roles = array_map( 'strtolower', $user_roles );
+		$role_mode  = isset( $attributes['restrictlyRoleMode'] ) ? (string) $attributes['restrictlyRoleMode'] : 'include';
 
 		switch ( $visibility ) {
 			case '':
@@ -410,13 +635,8 @@ class Enforcement {
 					return false;
 				}
 
-				// If no roles passed, any logged-in user can see it.
-				if ( empty( $roles ) ) {
-					return true;
-				}
-
-				// If roles passed, user must match at least one.
-				return (bool) array_intersect( $roles, $user_roles );
+				// No roles → any logged-in user; otherwise include/exclude the roles.
+				return self::matches_role_rule( $roles, $role_mode, $user_roles );
 
 			case 'logged_out':
 				return ! $is_logged_in;
@@ -427,7 +647,7 @@ class Enforcement {
 					return false;
 				}
 
-				return (bool) array_intersect( $roles, $user_roles );
+				return self::matches_role_rule( $roles, $role_mode, $user_roles );
 
 			default:
 				// Support old-style "role_editor", "role_subscriber", etc.
@@ -441,6 +661,25 @@ class Enforcement {
 					return in_array( $role, $user_roles, true );
 				}
 
+				/**
+				 * Filters the visibility decision for a custom condition.
+				 *
+				 * Return true to show the content or false to hide it. Leaving
+				 * the value null marks the condition as unknown, which hides it.
+				 *
+				 * @param bool|null           $can_view   Visibility decision. Default null.
+				 * @param string              $visibility Custom condition key.
+				 * @param string[]            $roles      Selected role slugs.
+				 * @param array<string,mixed> $attributes Block attributes (or equivalent rule data).
+				 *
+				 * @since 0.1.0
+				 */
+				$can_view = apply_filters( 'restrictly_visibility_condition', null, $visibility, $roles, $attributes );
+
+				if ( null !== $can_view ) {
+					return (bool) $can_view;
+				}
+
 				// Unknown or invalid visibility key → safest to hide.
 				return false;
 		}
@@ -84,7 +84,53 @@ class FSEHandler {
 	 *
 	 * @since 0.1.0
 	 */
-	private static function user_can_view_url( string $url ): bool {
+	public static function user_can_view_url( string $url ): bool {
+		$post_id = self::get_url_post_id( $url );
+
+		// External or non-WordPress links are always visible.
+		if ( ! $post_id ) {
+			return true;
+		}
+
+		// LOGIN STATUS ENFORCEMENT.
+		$login_setting = get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true );
+		if ( in_array( $login_setting, array( 'logged_in', 'logged_in_users' ), true ) && ! is_user_logged_in() ) {
+			return false;
+		}
+		if ( in_array( $login_setting, array( 'logged_out', 'logged_out_users' ), true ) && is_user_logged_in() ) {
+			return false;
+		}
+
+		// CAPABILITY ENFORCEMENT.
+		$capability = (string) get_post_meta( $post_id, 'restrictly_page_access_capability', true );
+		if ( ! Enforcement::matches_capability_rule( $capability ) ) {
+			return false;
+		}
+
+		// ROLE-BASED ENFORCEMENT.
+		$role_restrictions = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
+		$role_mode         = (string) get_post_meta( $post_id, 'restrictly_page_access_role_mode', true );
+		if ( ! empty( $role_restrictions ) && is_array( $role_restrictions ) ) {
+			$user_roles = is_user_logged_in() ? (array) wp_get_current_user()->roles : array();
+
+			// Allowed roles need a match; excluded roles must not match.
+			return Enforcement::matches_role_rule( $role_restrictions, $role_mode, $user_roles );
+		}
+
+		// Default allow if no restrictions apply.
+		return true;
+	}
+
+	/**
+	 * Resolves the post a URL points to.
+	 *
+	 * @param string $url The URL to resolve.
+	 *
+	 * @return int Post ID, or 0 for external or non-WordPress links.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_url_post_id( string $url ): int {
 		// Try url_to_postid first.
 		$post_id = url_to_postid( $url );
 
@@ -112,38 +158,7 @@ class FSEHandler {
 			}
 		}
 
-		// External or non-WordPress links are always visible.
-		if ( ! $post_id ) {
-			return true;
-		}
-
-		// LOGIN STATUS ENFORCEMENT.
-		$login_setting = get_post_meta( $post_id, 'restrictly_page_access_by_login_status', true );
-		if ( in_array( $login_setting, array( 'logged_in', 'logged_in_users' ), true ) && ! is_user_logged_in() ) {
-			return false;
-		}
-		if ( in_array( $login_setting, array( 'logged_out', 'logged_out_users' ), true ) && is_user_logged_in() ) {
-			return false;
-		}
-
-		// ROLE-BASED ENFORCEMENT.
-		$role_restrictions = get_post_meta( $post_id, 'restrictly_page_access_by_role', true );
-		if ( ! empty( $role_restrictions ) && is_array( $role_restrictions ) ) {
-			// If user is not logged in, deny access.
-			if ( ! is_user_logged_in() ) {
-				return false;
-			}
-			$user = wp_get_current_user();
-			foreach ( $user->roles as $role ) {
-				if ( in_array( $role, $role_restrictions, true ) ) {
-					return true;
-				}
-			}
-			return false; // No matching roles.
-		}
-
-		// Default allow if no restrictions apply.
-		return true;
+		return (int) $post_id;
 	}
 
 	/**
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Registers Restrictly™ page access meta for the REST API.
+ *
+ * Exposes the page access settings stored on restricted content types so the
+ * block editor's document settings panel can edit them through the
+ * `core/editor` store and save them together with the post.
+ *
+ * @package Restrictly
+ * @since   0.1.0
+ */
+
+namespace Restrictly\Core\Common;
+
+use WP_Post;
+use WP_REST_Response;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Registers Restrictly™ page access meta for the REST API.
+ *
+ * @since 0.1.0
+ */
+class PageAccessMeta {
+
+	/**
+	 * Initializes meta registration.
+	 *
+	 * Runs everywhere, as REST requests are not admin requests.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function init(): void {
+		add_action( 'init', array( __CLASS__, 'register_meta' ), 20 );
+	}
+
+	/**
+	 * Retrieves the page access meta schemas, keyed by meta key.
+	 *
+	 * @return array<string,array<string,mixed>> Meta key => register_post_meta() arguments.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_meta_schemas(): array {
+		return array(
+			'restrictly_page_access_by_login_status' => array(
+				'type'              => 'string',
+				'default'           => 'everyone',
+				'enum'              => array( 'everyone', 'logged_in_users', 'logged_out_users' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'restrictly_page_access_by_role'         => array(
+				'type'              => 'array',
+				'default'           => array(),
+				'items'             => array( 'type' => 'string' ),
+				'sanitize_callback' => array( __CLASS__, 'sanitize_roles' ),
+			),
+			'restrictly_page_access_role_mode'       => array(
+				'type'              => 'string',
+				'default'           => 'include',
+				'enum'              => array( 'include', 'exclude' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'restrictly_page_access_capability'      => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'restrictly_enforcement_action'          => array(
+				'type'              => 'string',
+				'default'           => 'default',
+				'enum'              => array( 'default', 'custom_message', 'custom_url', 'login_redirect', 'not_found', 'teaser' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'restrictly_custom_message'              => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'wp_kses_post',
+			),
+			'restrictly_custom_forward_url'          => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'esc_url_raw',
+			),
+			'restrictly_custom_forward_post_id'      => array(
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			),
+		);
+	}
+
+	/**
+	 * Registers the page access meta on every restricted content type.
+	 *
+	 * REST only exposes post meta on types supporting `custom-fields`, so
+	 * that support is added where a REST-enabled type lacks it. The meta is
+	 * removed again from responses for users who cannot edit the post.
+	 *
+	 * @return void
+	 *
+	 * @since 0.1.0
+	 */
+	public static function register_meta(): void {
+		$content_types = (array) get_option( 'restrictly_content_types', array( 'page' ) );
+
+		foreach ( $content_types as $post_type ) {
+			$post_type = (string) $post_type;
+
+			if ( ! post_type_exists( $post_type ) ) {
+				continue;
+			}
+
+			$object = get_post_type_object( $post_type );
+			if ( $object && $object->show_in_rest && ! post_type_supports( $post_type, 'custom-fields' ) ) {
+				add_post_type_support( $post_type, 'custom-fields' );
+			}
+
+			add_filter( "rest_prepare_{$post_type}", array( __CLASS__, 'hide_meta_from_readers' ), 10, 2 );
+
+			foreach ( self::get_meta_schemas() as $meta_key => $schema ) {
+				$rest_schema = array(
+					'type'    => $schema['type'],
+					'default' => $schema['default'],
+				);
+
+				if ( isset( $schema['enum'] ) ) {
+					$rest_schema['enum'] = $schema['enum'];
+				}
+
+				if ( isset( $schema['items'] ) ) {
+					$rest_schema['items'] = $schema['items'];
+				}
+
+				register_post_meta(
+					$post_type,
+					$meta_key,
+					array(
+						'type'              => $schema['type'],
+						'single'            => true,
+						'default'           => $schema['default'],
+						'show_in_rest'      => array( 'schema' => $rest_schema ),
+						'sanitize_callback' => $schema['sanitize_callback'],
+						'auth_callback'     => static fn( $_allowed, $_meta_key, $post_id ) => current_user_can( 'edit_post', (int) $post_id ),
+					)
+				);
+			}
+		}
+	}
+
+	/**
+	 * Removes the page access meta from REST responses for users who cannot edit the post.
+	 *
+	 * `auth_callback` only guards writes; without this, anyone could read a
+	 * post's allowed roles, custom message or forward URL through the REST API.
+	 *
+	 * @param WP_REST_Response $response REST response.
+	 * @param WP_Post          $post     Post being returned.
+	 *
+	 * @return WP_REST_Response Filtered response.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function hide_meta_from_readers( WP_REST_Response $response, WP_Post $post ): WP_REST_Response {
+		if ( current_user_can( 'edit_post', $post->ID ) ) {
+			return $response;
+		}
+
+		$data = $response->get_data();
+
+		if ( isset( $data['meta'] ) && is_array( $data['meta'] ) ) {
+			$data['meta'] = array_diff_key( $data['meta'], self::get_meta_schemas() );
+			$response->set_data( $data );
+		}
+
+		return $response;
+	}
+
+	/**
+	 * Sanitizes a list of role slugs.
+	 *
+	 * @param mixed $roles Raw meta value.
+	 *
+	 * @return string[] Sanitized role slugs.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function sanitize_roles( $roles ): array {
+		return array_values( array_filter( array_map( 'sanitize_text_field', array_map( 'strval', (array) $roles ) ) ) );
+	}
+}
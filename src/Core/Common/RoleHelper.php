@@ -55,4 +55,66 @@ class RoleHelper {
 		 */
 		return apply_filters( 'restrictly_available_roles', $available );
 	}
+
+	/**
+	 * Retrieves the capabilities that Restrictly™ rules can require.
+	 *
+	 * Every capability granted by a registered role is included, so
+	 * capabilities added by other plugins (e.g. an LMS) show up automatically.
+	 * Deprecated `level_*` capabilities are skipped.
+	 *
+	 * @return array<string,string[]> Capability => keys of the roles granting it, sorted by capability.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_available_capabilities(): array {
+		$capabilities = array();
+
+		foreach ( wp_roles()->roles as $role_key => $role ) {
+			foreach ( (array) ( $role['capabilities'] ?? array() ) as $capability => $granted ) {
+				$capability = (string) $capability;
+
+				if ( ! $granted || 0 === strpos( $capability, 'level_' ) ) {
+					continue;
+				}
+
+				$capabilities[ $capability ][] = (string) $role_key;
+			}
+		}
+
+		ksort( $capabilities );
+
+		/**
+		 * Allows developers to modify the capability list offered in the editors.
+		 *
+		 * @param array<string,string[]> $capabilities Capability => role keys granting it.
+		 *
+		 * @since 0.1.0
+		 */
+		return (array) apply_filters( 'restrictly_available_capabilities', $capabilities );
+	}
+
+	/**
+	 * Retrieves the available capabilities as options for the editor scripts.
+	 *
+	 * Each option lists the roles granting the capability so the block
+	 * editor's "Preview as" mode can evaluate capability rules.
+	 *
+	 * @return array<int,array{label:string,value:string,roles:string[]}> Capability options.
+	 *
+	 * @since 0.1.0
+	 */
+	public static function get_capability_options(): array {
+		$options = array();
+
+		foreach ( self::get_available_capabilities() as $capability => $roles ) {
+			$options[] = array(
+				'label' => (string) $capability,
+				'value' => (string) $capability,
+				'roles' => array_values( array_map( 'strval', (array) $roles ) ),
+			);
+		}
+
+		return $options;
+	}
 }
@@ -26,6 +26,7 @@ $restrictly_option_keys = array(
 	'restrictly_default_action',
 	'restrictly_default_message',
 	'restrictly_default_forward_url',
+	'restrictly_default_forward_post_id',
 	'restrictly_enable_menu_flags',
 	'restrictly_always_allow_admins',
 
@@ -37,8 +38,20 @@ $restrictly_option_keys = array(
 
 	// FSE + Editor settings.
 	'restrictly_show_nav_pills', // newly added toggle for editor indicators.
+	'restrictly_block_namespaces',
+	'restrictly_disabled_blocks',
+
+	// Bulk edit undo history.
+	'restrictly_bulk_edit_history',
 );
 
+// Bulk edit undo snapshots live in one option per operation of the history.
+foreach ( (array) get_option( 'restrictly_bulk_edit_history', array() ) as $restrictly_operation ) {
+	if ( is_array( $restrictly_operation ) && ! empty( $restrictly_operation['id'] ) ) {
+		delete_option( 'restrictly_bulk_edit_snapshot_' . sanitize_key( (string) $restrictly_operation['id'] ) );
+	}
+}
+
 foreach ( $restrictly_option_keys as $restrictly_option_name ) {
 	delete_option( $restrictly_option_name );
 }
@@ -52,11 +65,17 @@ delete_transient( 'restrictly_mismatch_flag' );
 $restrictly_meta_keys = array(
 	'restrictly_page_access_by_login_status',
 	'restrictly_page_access_by_role',
+	'restrictly_page_access_role_mode',
+	'restrictly_page_access_capability',
 	'restrictly_enforcement_action',
 	'restrictly_custom_message',
 	'restrictly_custom_forward_url',
+	'restrictly_custom_forward_post_id',
 	'restrictly_menu_visibility',
 	'restrictly_menu_roles',
+	'restrictly_menu_role_mode',
+	'restrictly_menu_cascade',
+	'restrictly_menu_override',
 );
 
 foreach ( $restrictly_meta_keys as $restrictly_meta_key ) {